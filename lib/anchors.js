@@ -0,0 +1,100 @@
+// ========== TEXT ANCHORS ==========
+// Inline comments point at a range of a section's markdown source. The anchor
+// keeps the quoted text, a little context on each side and the offsets, so it
+// can be found again after the section is edited:
+//   1. the exact quote, preferring the occurrence whose context matches best
+//   2. otherwise the closest approximate match (up to 30% of it changed)
+//   3. otherwise the anchor is marked orphaned and the discussion stays
+//      attached to the section as a whole
+
+const CONTEXT_LENGTH = 32;
+const MAX_ERROR_RATE = 0.3;
+const MAX_FUZZY_QUOTE = 500; // approximate matching is O(quote × section)
+
+function createAnchor(content, start, end) {
+    return {
+        quote: content.slice(start, end),
+        prefix: content.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+        suffix: content.slice(end, end + CONTEXT_LENGTH),
+        start,
+        end,
+        orphaned: false
+    };
+}
+
+// Characters of stored context that still surround a candidate range
+function contextScore(content, start, end, anchor) {
+    let score = 0;
+    while (score < anchor.prefix.length && content[start - 1 - score] === anchor.prefix[anchor.prefix.length - 1 - score]) score++;
+    let after = 0;
+    while (after < anchor.suffix.length && content[end + after] === anchor.suffix[after]) after++;
+    return score + after;
+}
+
+function exactMatch(anchor, content) {
+    let best = null;
+    for (let i = content.indexOf(anchor.quote); i !== -1; i = content.indexOf(anchor.quote, i + 1)) {
+        const candidate = {
+            start: i,
+            score: contextScore(content, i, i + anchor.quote.length, anchor),
+            distance: Math.abs(i - anchor.start)
+        };
+        if (!best || candidate.score > best.score || (candidate.score === best.score && candidate.distance < best.distance)) {
+            best = candidate;
+        }
+    }
+    return best ? { start: best.start, end: best.start + anchor.quote.length } : null;
+}
+
+// Approximate substring match (Sellers' algorithm): the range of content with
+// the smallest edit distance to the quote, tracking where each alignment starts
+function fuzzyMatch(anchor, content) {
+    const quote = anchor.quote;
+    const m = quote.length;
+    const maxErrors = Math.floor(m * MAX_ERROR_RATE);
+    if (m === 0 || m > MAX_FUZZY_QUOTE) return null;
+
+    let cost = new Int32Array(content.length + 1);
+    let origin = Int32Array.from({ length: content.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= m; i++) {
+        const nextCost = new Int32Array(content.length + 1);
+        const nextOrigin = new Int32Array(content.length + 1);
+        nextCost[0] = i;
+        for (let j = 1; j <= content.length; j++) {
+            const substitute = cost[j - 1] + (quote[i - 1] === content[j - 1] ? 0 : 1);
+            const skipQuote = cost[j] + 1;
+            const skipContent = nextCost[j - 1] + 1;
+            if (substitute <= skipQuote && substitute <= skipContent) {
+                nextCost[j] = substitute;
+                nextOrigin[j] = origin[j - 1];
+            } else if (skipQuote <= skipContent) {
+                nextCost[j] = skipQuote;
+                nextOrigin[j] = origin[j];
+            } else {
+                nextCost[j] = skipContent;
+                nextOrigin[j] = nextOrigin[j - 1];
+            }
+        }
+        cost = nextCost;
+        origin = nextOrigin;
+    }
+
+    let best = null;
+    for (let end = 1; end <= content.length; end++) {
+        if (cost[end] > maxErrors) continue;
+        const candidate = { start: origin[end], end, errors: cost[end], distance: Math.abs(origin[end] - anchor.start) };
+        if (!best || candidate.errors < best.errors || (candidate.errors === best.errors && candidate.distance < best.distance)) {
+            best = candidate;
+        }
+    }
+    return best && best.end > best.start ? { start: best.start, end: best.end } : null;
+}
+
+// Where the anchor sits in (possibly edited) content; orphaned when it's gone
+function reanchor(anchor, content) {
+    const match = exactMatch(anchor, content) || fuzzyMatch(anchor, content);
+    if (!match) return { ...anchor, orphaned: true };
+    return createAnchor(content, match.start, match.end);
+}
+
+module.exports = { createAnchor, reanchor };
@@ -0,0 +1,183 @@
+// ========== EMAIL DIGESTS ==========
+// A periodic email for members who don't open the app every day: their
+// unread notifications, discussions started since the last digest and
+// questions from others still waiting for an answer. Members choose how
+// often (off, daily or weekly); digests go out at a set hour of the day.
+
+const Markdown = require('../public/markdown');
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const LIST_LIMIT = 10; // items shown per list; the rest are counted
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TYPE_LABELS = {
+    comment: 'Comment',
+    question: 'Question',
+    suggestion: 'Suggested edit'
+};
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Whether a member's digest should go out now: at or after `hour` (server
+ * time), once the member's period has passed since the last one
+ */
+function digestDue(user, now = new Date(), hour = 8) {
+    if (!PERIOD_DAYS[user.digest] || !user.email) return false;
+    if (now.getHours() < hour) return false;
+    if (!user.digest_sent_at) return true;
+    // Calendar days, so a digest sent late one day doesn't push the next one back
+    const days = Math.round((startOfDay(now) - startOfDay(new Date(user.digest_sent_at))) / DAY_MS);
+    return days >= PERIOD_DAYS[user.digest];
+}
+
+// Start of the window a digest covers: the last digest, or one period back
+function digestSince(user, now = new Date()) {
+    return user.digest_sent_at ? new Date(user.digest_sent_at) : new Date(now - (PERIOD_DAYS[user.digest] || 1) * DAY_MS);
+}
+
+/**
+ * What goes into a member's digest
+ * @param {object} user
+ * @param {{ notifications: object[], discussions: object[], sections: object[] }} data
+ * @param {Date} since
+ * @returns {{ notifications: object[], discussions: object[], questions: object[] }}
+ *   discussions and questions carry section_title
+ */
+function collectDigest(user, { notifications, discussions, sections }, since) {
+    const titles = new Map(sections.map(s => [s.id, s.title]));
+    const withTitle = d => ({ ...d, section_title: titles.get(d.section_id) || null });
+    const isNew = item => new Date(item.created_at) > since;
+    const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+    const isOpenQuestion = d => d.type === 'question' && !d.resolved;
+    const fromOthers = discussions.filter(d => d.author_id !== user.id);
+
+    return {
+        notifications: notifications.filter(n => n.user_id === user.id && !n.read && isNew(n)).sort(newestFirst),
+        // New open questions are listed with the other questions instead
+        discussions: fromOthers.filter(d => isNew(d) && !isOpenQuestion(d)).sort(newestFirst).map(withTitle),
+        // Open questions from others, oldest (longest waiting) first
+        questions: fromOthers.filter(isOpenQuestion).sort((a, b) => newestFirst(b, a)).map(withTitle)
+    };
+}
+
+function isEmpty(items) {
+    return items.notifications.length === 0 && items.discussions.length === 0 && items.questions.length === 0;
+}
+
+function truncate(text, length) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function discussionLine(d) {
+    const where = d.section_title ? ` on ${d.section_title}` : '';
+    return `${TYPE_LABELS[d.type] || d.type}${where} from ${d.author}: ${truncate(d.text || d.anchor?.quote || '', 140)}`;
+}
+
+function digestLists(items) {
+    return [
+        { title: 'Unread notifications', lines: items.notifications.map(n => n.message) },
+        { title: 'New discussions', lines: items.discussions.map(discussionLine) },
+        { title: 'Questions waiting for an answer', lines: items.questions.map(discussionLine) }
+    ].filter(list => list.lines.length > 0).map(list => ({
+        ...list,
+        count: list.lines.length,
+        more: Math.max(list.lines.length - LIST_LIMIT, 0),
+        lines: list.lines.slice(0, LIST_LIMIT)
+    }));
+}
+
+/**
+ * Write the digest email
+ * @param {object} user
+ * @param {{ notifications: object[], discussions: object[], questions: object[] }} items - from collectDigest
+ * @param {{ appUrl: string, unsubscribeUrl: string }} links
+ * @returns {{ subject: string, text: string, html: string, headers: object } | null} null when there is nothing to report
+ */
+function buildDigest(user, items, { appUrl, unsubscribeUrl }) {
+    if (isEmpty(items)) return null;
+
+    const lists = digestLists(items);
+    const period = user.digest === 'weekly' ? 'weekly' : 'daily';
+    const summary = [
+        items.notifications.length && plural(items.notifications.length, 'unread notification'),
+        items.discussions.length && plural(items.discussions.length, 'new discussion'),
+        items.questions.length && plural(items.questions.length, 'open question')
+    ].filter(Boolean).join(', ');
+    const why = `You get this ${period} digest because you turned it on in the business plan review app.`;
+
+    const text = [
+        `Hi ${user.name},`,
+        '',
+        `Here is what happened on the business plan: ${summary}.`,
+        ...lists.flatMap(list => [
+            '',
+            `${list.title} (${list.count})`,
+            ...list.lines.map(line => `- ${line}`),
+            ...(list.more ? [`- and ${list.more} more`] : [])
+        ]),
+        '',
+        `Open the plan: ${appUrl}`,
+        '',
+        '--',
+        why,
+        `Unsubscribe: ${unsubscribeUrl}`,
+        ''
+    ].join('\n');
+
+    const esc = Markdown.escapeHtml;
+    const html = `<!DOCTYPE html>
+<html><body style="font-family: -apple-system, Segoe UI, sans-serif; color: #111827; line-height: 1.5; max-width: 600px;">
+<p>Hi ${esc(user.name)},</p>
+<p>Here is what happened on the business plan: ${esc(summary)}.</p>
+${lists.map(list => `<h3 style="font-size: 15px; margin: 20px 0 6px;">${esc(list.title)} (${list.count})</h3>
+<ul style="padding-left: 20px; margin: 0;">
+${list.lines.map(line => `<li>${esc(line)}</li>`).join('\n')}${list.more ? `\n<li>and ${list.more} more</li>` : ''}
+</ul>`).join('\n')}
+<p style="margin-top: 24px;"><a href="${esc(appUrl)}" style="color: #4f46e5;">Open the plan</a></p>
+<p style="margin-top: 32px; font-size: 12px; color: #6b7280;">${esc(why)}<br><a href="${esc(unsubscribeUrl)}" style="color: #6b7280;">Unsubscribe</a></p>
+</body></html>`;
+
+    return {
+        subject: `Business plan ${period} digest: ${summary}`,
+        text,
+        html,
+        headers: {
+            // One-click unsubscribe from the mail client (RFC 8058)
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+}
+
+/**
+ * Email a member their digest and record when it went out
+ * @param {object} store - repository from lib/storage
+ * @param {object} user
+ * @param {{ transport: { send: Function }, from: string, links: { appUrl: string, unsubscribeUrl: string } }} mail
+ * @param {{ now?: Date, record?: boolean }} [options] - record: false for a test
+ *   send, which leaves the schedule and the next digest's window alone
+ * @returns {Promise<boolean>} false when there was nothing to report (nothing is sent)
+ */
+async function sendDigest(store, user, { transport, from, links }, { now = new Date(), record = true } = {}) {
+    const items = collectDigest(user, {
+        notifications: store.all('notifications'),
+        discussions: store.all('discussions'),
+        sections: store.all('sections')
+    }, digestSince(user, now));
+    const digest = buildDigest(user, items, links);
+
+    if (digest) await transport.send({ from, to: user.email, ...digest });
+    if (record) store.update('users', user.id, { digest_sent_at: now.toISOString() });
+    return Boolean(digest);
+}
+
+module.exports = { DIGEST_FREQUENCIES, digestDue, digestSince, collectDigest, buildDigest, sendDigest };
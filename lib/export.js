@@ -0,0 +1,518 @@
+// ========== PLAN EXPORT ==========
+// The app blocks printing and copying, so owners hand the plan to outsiders
+// (bank, accountant) as an export instead: every section in order, optionally
+// followed by its review threads and where each one stands. Markdown and HTML
+// are built as strings; PDF is drawn with pdfkit. Every format carries the
+// watermark on each page and in its footer.
+
+const Markdown = require('../public/markdown');
+const Outline = require('../public/outline');
+
+const PLAN_TITLE = 'Business Plan';
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const TYPE_LABELS = {
+    comment: 'Comment',
+    question: 'Question',
+    suggestion: 'Suggested edit'
+};
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Where a thread stands, e.g. "Resolved by Francisco on Oct 3, 2026"
+function threadStatus(discussion) {
+    const by = discussion.resolved_by ? ` by ${discussion.resolved_by}` : '';
+    const on = discussion.resolved_at ? ` on ${formatDate(discussion.resolved_at)}` : '';
+    if (discussion.type === 'suggestion' && discussion.suggestion) {
+        const { status } = discussion.suggestion;
+        return status === 'pending' ? 'Pending' : `${status === 'accepted' ? 'Accepted' : 'Rejected'}${by}${on}`;
+    }
+    return discussion.resolved ? `Resolved${by}${on}` : 'Open';
+}
+
+function threadMeta(discussion) {
+    return `${TYPE_LABELS[discussion.type] || discussion.type} · ${discussion.author} · ${formatDate(discussion.created_at)}`;
+}
+
+/**
+ * Collect what an export shows
+ * @param {object} store - repository from lib/storage
+ * @param {{ discussions: boolean, watermark: string, exportedBy: string }} options
+ * @returns {object} { title, watermark, exportedBy, exportedAt, sections, general }; sections
+ *   are in outline order with their number ("1.2") and threads, general holds
+ *   discussions not tied to a section
+ */
+function buildPlan(store, { discussions, watermark, exportedBy }) {
+    const threads = discussions
+        ? store.all('discussions').sort((a, b) => a.created_at.localeCompare(b.created_at))
+        : [];
+    const ordered = Outline.sortSections(store.all('sections'));
+    const numbers = Outline.numberSections(ordered);
+    const sections = ordered.map(section => ({
+        id: section.id,
+        number: numbers.get(section.id),
+        title: section.title,
+        level: section.level,
+        content: section.content,
+        threads: threads.filter(d => d.section_id === section.id)
+    }));
+    const sectionIds = new Set(sections.map(s => s.id));
+
+    return {
+        title: PLAN_TITLE,
+        watermark,
+        exportedBy,
+        exportedAt: new Date().toISOString(),
+        sections,
+        general: threads.filter(d => !sectionIds.has(d.section_id))
+    };
+}
+
+function exportFilename(plan, format) {
+    return `business-plan-${plan.exportedAt.slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+function exportedLine(plan) {
+    return `Exported by ${plan.exportedBy} on ${formatDate(plan.exportedAt)}`;
+}
+
+// ========== MARKDOWN ==========
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+function markdownThread(discussion) {
+    const lines = [`- **${threadMeta(discussion)}** · _${threadStatus(discussion)}_`];
+    if (discussion.anchor) {
+        const note = discussion.anchor.orphaned ? ' _(no longer in the text)_' : '';
+        lines.push(indent(`> ${discussion.anchor.quote.replace(/\n/g, '\n> ')}`, '  ') + note);
+    }
+    if (discussion.suggestion) {
+        const original = discussion.suggestion.original ?? discussion.anchor?.quote ?? '';
+        lines.push(`  Replace ~~${original}~~ with **${discussion.suggestion.replacement}**`);
+        if (discussion.suggestion.note) lines.push(`  Note: ${discussion.suggestion.note}`);
+    }
+    if (discussion.text) lines.push(indent(discussion.text, '  '));
+    for (const reply of discussion.replies || []) {
+        lines.push(`  - **${reply.author} · ${formatDate(reply.created_at)}**`, indent(reply.text, '    '));
+    }
+    return lines.join('\n\n');
+}
+
+function markdownThreads(threads) {
+    return [`**Review threads (${threads.length})**`, ...threads.map(markdownThread)].join('\n\n');
+}
+
+function toMarkdown(plan) {
+    const parts = [
+        `# ${plan.title}`,
+        `> **${plan.watermark}**  \n> ${exportedLine(plan)}`
+    ];
+    for (const section of plan.sections) {
+        parts.push('---', `# ${section.number} ${section.title}`, section.content.trim());
+        if (section.threads.length > 0) parts.push(markdownThreads(section.threads));
+    }
+    if (plan.general.length > 0) {
+        parts.push('---', '# General discussion', markdownThreads(plan.general));
+    }
+    parts.push('---', `_${plan.watermark} · ${exportedLine(plan)}_`);
+    return parts.join('\n\n') + '\n';
+}
+
+// ========== HTML ==========
+
+const HTML_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; line-height: 1.6; max-width: 860px; margin: 0 auto; padding: 2rem 1.5rem; }
+    h1, h2, h3, h4 { color: #111827; line-height: 1.3; }
+    .cover { border-bottom: 2px solid #111827; margin-bottom: 2rem; }
+    .cover p { margin: 0.25rem 0; color: #4b5563; }
+    .cover .confidential { font-weight: 600; color: #b91c1c; }
+    .toc ol { list-style: none; padding-left: 0; }
+    .toc a { color: #1d4ed8; text-decoration: none; }
+    .plan-section { padding-top: 1rem; border-top: 1px solid #e5e7eb; }
+    table { border-collapse: collapse; width: 100%; margin: 1rem 0; font-size: 0.9rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    blockquote { margin: 1rem 0; padding-left: 1rem; border-left: 3px solid #d1d5db; color: #4b5563; }
+    code { background: #f3f4f6; padding: 0.1rem 0.3rem; border-radius: 3px; font-size: 0.9em; }
+    pre { background: #f3f4f6; padding: 0.75rem; overflow-x: auto; }
+    img { max-width: 100%; }
+    .threads { margin: 1.5rem 0; padding: 1rem; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 0.9rem; }
+    .threads h4 { margin: 0 0 0.75rem; }
+    .thread { padding: 0.75rem 0; border-top: 1px solid #e5e7eb; }
+    .thread:first-of-type { border-top: none; }
+    .thread-meta { font-weight: 600; }
+    .thread-status { font-weight: normal; color: #b45309; }
+    .thread.resolved .thread-status { color: #047857; }
+    .thread p { margin: 0.4rem 0; }
+    .thread blockquote { margin: 0.4rem 0; }
+    .thread-suggestion del { color: #b91c1c; }
+    .thread-suggestion ins { color: #047857; text-decoration: none; font-weight: 600; }
+    .reply { margin: 0.5rem 0 0 1.25rem; padding-left: 0.75rem; border-left: 2px solid #e5e7eb; }
+    .watermark { position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%) rotate(-35deg); font-size: 4rem; font-weight: 700; color: #111827; opacity: 0.06; white-space: nowrap; pointer-events: none; z-index: 10; }
+    footer { margin-top: 3rem; padding-top: 1rem; border-top: 1px solid #e5e7eb; font-size: 0.8rem; color: #6b7280; text-align: center; }
+    @media print {
+        body { max-width: none; padding: 0; }
+        .plan-section { break-before: page; border-top: none; }
+        .threads, tr { break-inside: avoid; }
+    }
+`;
+
+function htmlThread(discussion) {
+    const esc = Markdown.escapeHtml;
+    const parts = [
+        `<div class="thread-meta">${esc(threadMeta(discussion))} · <span class="thread-status">${esc(threadStatus(discussion))}</span></div>`
+    ];
+    if (discussion.anchor) {
+        const note = discussion.anchor.orphaned ? ' <em>(no longer in the text)</em>' : '';
+        parts.push(`<blockquote>${esc(discussion.anchor.quote)}${note}</blockquote>`);
+    }
+    if (discussion.suggestion) {
+        const original = discussion.suggestion.original ?? discussion.anchor?.quote ?? '';
+        parts.push(`<p class="thread-suggestion">Replace <del>${esc(original)}</del> with <ins>${esc(discussion.suggestion.replacement)}</ins></p>`);
+        if (discussion.suggestion.note) parts.push(`<p>Note: ${esc(discussion.suggestion.note)}</p>`);
+    }
+    if (discussion.text) parts.push(Markdown.render(discussion.text));
+    for (const reply of discussion.replies || []) {
+        parts.push(`<div class="reply"><div class="thread-meta">${esc(reply.author)} · ${esc(formatDate(reply.created_at))}</div>${Markdown.render(reply.text)}</div>`);
+    }
+    const closed = discussion.resolved ? ' resolved' : '';
+    return `<div class="thread${closed}">${parts.join('\n')}</div>`;
+}
+
+function htmlThreads(threads) {
+    return `<aside class="threads"><h4>Review threads (${threads.length})</h4>${threads.map(htmlThread).join('\n')}</aside>`;
+}
+
+function toHtml(plan) {
+    const esc = Markdown.escapeHtml;
+    const sections = plan.sections.map(section => `
+<section class="plan-section" id="section-${section.id}">
+<h1>${esc(section.number)} ${esc(section.title)}</h1>
+${Markdown.render(section.content)}
+${section.threads.length > 0 ? htmlThreads(section.threads) : ''}
+</section>`);
+    if (plan.general.length > 0) {
+        sections.push(`
+<section class="plan-section" id="general">
+<h1>General discussion</h1>
+${htmlThreads(plan.general)}
+</section>`);
+    }
+    const contents = plan.sections.map(s =>
+        `<li style="margin-left: ${(s.level - 1) * 1.25}rem"><a href="#section-${s.id}">${esc(s.number)} ${esc(s.title)}</a></li>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(plan.title)} – ${esc(plan.watermark)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<div class="watermark" aria-hidden="true">${esc(plan.watermark)}</div>
+<header class="cover">
+<h1>${esc(plan.title)}</h1>
+<p class="confidential">${esc(plan.watermark)}</p>
+<p>${esc(exportedLine(plan))}</p>
+</header>
+<nav class="toc">
+<h2>Contents</h2>
+<ol>
+${contents}
+</ol>
+</nav>
+${sections.join('\n')}
+<footer>${esc(plan.watermark)} · ${esc(exportedLine(plan))}</footer>
+</body>
+</html>
+`;
+}
+
+// ========== PDF ==========
+
+const PDF_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', mono: 'Courier' };
+const PDF_HEADING_SIZES = [20, 16, 13.5, 12, 11, 11];
+const PDF_BODY_SIZE = 10.5;
+
+// The standard PDF fonts only cover Latin-1 (plus curly quotes, dashes and
+// a few symbols); swap what the plan uses and drop anything else
+const PDF_REPLACEMENTS = [
+    [/✅/g, '+'],
+    [/❌/g, 'x'],
+    [/→/g, '->'],
+    [/←/g, '<-'],
+    [/≥/g, '>='],
+    [/≤/g, '<='],
+    [/≈/g, '~'],
+    [/[^\t\n\x20-\x7E\xA0-\xFF–—‘’“”•…€™]/g, '']
+];
+
+function pdfText(text) {
+    return PDF_REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text ?? ''));
+}
+
+// Inline markdown becomes runs of regular and bold text
+function inlineRuns(text) {
+    const plain = pdfText(text)
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\(([^)]*)\)/g, '$1 ($2)')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/~~(.*?)~~/g, '$1')
+        .replace(/(^|[^\w*])[*_](?![*_\s])(.+?)(?<![*_\s])[*_](?![\w*])/g, '$1$2');
+    return plain.split('**')
+        .map((run, i) => ({ text: run, bold: i % 2 === 1 }))
+        .filter(run => run.text);
+}
+
+function writeRuns(doc, text, { x, width, font = PDF_FONTS.regular, bold = PDF_FONTS.bold, size = PDF_BODY_SIZE, color = '#1f2937' }) {
+    const runs = inlineRuns(text);
+    if (runs.length === 0) return;
+    doc.fontSize(size).fillColor(color);
+    runs.forEach((run, i) => {
+        const options = { width, continued: i < runs.length - 1 };
+        doc.font(run.bold ? bold : font);
+        if (i === 0) doc.text(run.text, x, doc.y, options);
+        else doc.text(run.text, options);
+    });
+}
+
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function pdfTable(doc, rows, { x, width }) {
+    const columns = Math.max(...rows.map(row => row.length));
+    const weights = Array.from({ length: columns }, (_, c) =>
+        Math.min(40, Math.max(...rows.map(row => (row[c] || '').length))) + 4);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const widths = weights.map(w => (w / total) * width);
+    const padding = 4;
+
+    doc.fontSize(9);
+    rows.forEach((row, r) => {
+        const font = r === 0 ? PDF_FONTS.bold : PDF_FONTS.regular;
+        const cells = widths.map((_, c) => pdfText(row[c] || '').replace(/\*\*/g, ''));
+        const height = Math.max(...cells.map((cell, c) =>
+            doc.font(font).heightOfString(cell, { width: widths[c] - 2 * padding }))) + 2 * padding;
+        ensureSpace(doc, height);
+
+        const top = doc.y;
+        let left = x;
+        cells.forEach((cell, c) => {
+            if (r === 0) doc.rect(left, top, widths[c], height).fillAndStroke('#f3f4f6', '#d1d5db');
+            else doc.rect(left, top, widths[c], height).strokeColor('#d1d5db').stroke();
+            doc.font(font).fillColor('#1f2937').text(cell, left + padding, top + padding, { width: widths[c] - 2 * padding });
+            left += widths[c];
+        });
+        doc.x = x;
+        doc.y = top + height;
+    });
+    doc.moveDown(0.5);
+}
+
+// Block-level markdown, one line at a time
+function pdfMarkdown(doc, markdown, { x, width }) {
+    const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = [];
+    let table = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length === 0) return;
+        writeRuns(doc, paragraph.join(' '), { x, width });
+        doc.moveDown(0.4);
+        paragraph = [];
+    };
+    const flushTable = () => {
+        if (table.length === 0) return;
+        pdfTable(doc, table, { x, width });
+        table = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (/^\s*\|/.test(line)) {
+            flushParagraph();
+            if (!/^\s*\|?[\s:|-]+\|[\s:|-]*$/.test(line)) {
+                table.push(line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+            }
+            continue;
+        }
+        flushTable();
+
+        const fence = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i]);
+            doc.font(PDF_FONTS.mono).fontSize(9).fillColor('#374151').text(pdfText(code.join('\n')), x + 10, doc.y, { width: width - 10 });
+            doc.moveDown(0.5);
+            continue;
+        }
+
+        const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            const size = PDF_HEADING_SIZES[Math.min(heading[1].length, 6) - 1] - 2;
+            ensureSpace(doc, size * 3);
+            doc.moveDown(0.3);
+            writeRuns(doc, heading[2], { x, width, font: PDF_FONTS.bold, size, color: '#111827' });
+            doc.moveDown(0.3);
+            continue;
+        }
+
+        if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            doc.moveDown(0.3);
+            doc.moveTo(x, doc.y).lineTo(x + width, doc.y).strokeColor('#d1d5db').stroke();
+            doc.moveDown(0.5);
+            continue;
+        }
+
+        const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            flushParagraph();
+            const depth = Math.floor(item[1].replace(/\t/g, '    ').length / 2);
+            const marker = /\d/.test(item[2]) ? item[2] : '•';
+            const task = item[3].match(/^\[([ xX])\]\s+(.*)$/);
+            const text = task ? `${task[1] === ' ' ? '[ ]' : '[x]'} ${task[2]}` : item[3];
+            const left = x + 12 + depth * 14;
+            doc.font(PDF_FONTS.regular).fontSize(PDF_BODY_SIZE).fillColor('#1f2937').text(marker, left - 12, doc.y, { width: 12, lineBreak: false });
+            writeRuns(doc, text, { x: left, width: width - (left - x) });
+            doc.moveDown(0.15);
+            continue;
+        }
+
+        const quote = line.match(/^ {0,3}>\s?(.*)$/);
+        if (quote) {
+            flushParagraph();
+            writeRuns(doc, quote[1], { x: x + 14, width: width - 14, font: PDF_FONTS.italic, color: '#4b5563' });
+            continue;
+        }
+
+        if (line.trim() === '') {
+            flushParagraph();
+            doc.moveDown(0.2);
+            continue;
+        }
+        paragraph.push(line.trim());
+    }
+    flushParagraph();
+    flushTable();
+}
+
+function pdfThreads(doc, threads, { x, width }) {
+    ensureSpace(doc, 60);
+    doc.moveDown(0.5);
+    doc.font(PDF_FONTS.bold).fontSize(11).fillColor('#111827').text(`Review threads (${threads.length})`, x, doc.y, { width });
+    doc.moveDown(0.3);
+
+    for (const discussion of threads) {
+        ensureSpace(doc, 40);
+        const left = x + 10;
+        const inner = width - 10;
+        doc.font(PDF_FONTS.bold).fontSize(9.5).fillColor('#1f2937').text(pdfText(threadMeta(discussion)), left, doc.y, { width: inner, continued: true });
+        doc.font(PDF_FONTS.regular).fillColor(discussion.resolved ? '#047857' : '#b45309').text(pdfText(` · ${threadStatus(discussion)}`));
+        if (discussion.anchor) {
+            const note = discussion.anchor.orphaned ? ' (no longer in the text)' : '';
+            doc.font(PDF_FONTS.italic).fontSize(9).fillColor('#4b5563').text(pdfText(`“${discussion.anchor.quote}”${note}`), left + 8, doc.y, { width: inner - 8 });
+        }
+        if (discussion.suggestion) {
+            const original = discussion.suggestion.original ?? discussion.anchor?.quote ?? '';
+            doc.font(PDF_FONTS.regular).fontSize(9).fillColor('#1f2937')
+                .text(pdfText(`Replace “${original}” with “${discussion.suggestion.replacement}”`), left, doc.y, { width: inner });
+            if (discussion.suggestion.note) doc.text(pdfText(`Note: ${discussion.suggestion.note}`), { width: inner });
+        }
+        if (discussion.text) writeRuns(doc, discussion.text, { x: left, width: inner, size: 9.5 });
+        for (const reply of discussion.replies || []) {
+            doc.font(PDF_FONTS.bold).fontSize(9).fillColor('#1f2937')
+                .text(pdfText(`${reply.author} · ${formatDate(reply.created_at)}`), left + 14, doc.y, { width: inner - 14 });
+            writeRuns(doc, reply.text, { x: left + 14, width: inner - 14, size: 9 });
+        }
+        doc.moveDown(0.5);
+    }
+}
+
+// Diagonal watermark and footer, drawn on every page once the content is laid out
+function stampPages(doc, plan) {
+    const text = pdfText(plan.watermark);
+    const footer = pdfText(`${plan.watermark} · ${exportedLine(plan)}`);
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const { width, height, margins } = doc.page;
+        const diagonal = Math.hypot(width, height) * 0.7;
+
+        doc.save();
+        doc.rotate(-45, { origin: [width / 2, height / 2] });
+        doc.font(PDF_FONTS.bold).fontSize(48);
+        const size = Math.min(48, (48 * diagonal) / Math.max(1, doc.widthOfString(text)));
+        doc.fontSize(size).fillColor('#111827').fillOpacity(0.07)
+            .text(text, (width - diagonal) / 2, height / 2 - size / 2, { width: diagonal, align: 'center', lineBreak: false });
+        doc.restore();
+
+        // Writing inside the bottom margin would otherwise start a new page
+        const bottom = margins.bottom;
+        margins.bottom = 0;
+        doc.font(PDF_FONTS.regular).fontSize(8).fillColor('#6b7280').fillOpacity(1)
+            .text(`${footer} · Page ${i + 1} of ${range.count}`, margins.left, height - bottom / 2 - 4,
+                { width: width - margins.left - margins.right, align: 'center', lineBreak: false });
+        margins.bottom = bottom;
+    }
+}
+
+/**
+ * Lay the plan out as a PDF
+ * @returns {PDFDocument} a finished document; pipe it into the response
+ */
+function toPdf(plan) {
+    // Optional dependency: only needed for PDF exports
+    const PDFDocument = require('pdfkit');
+    const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: 60,
+        bufferPages: true,
+        info: { Title: plan.title, Author: plan.exportedBy, Subject: pdfText(plan.watermark) }
+    });
+    const x = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.font(PDF_FONTS.bold).fontSize(26).fillColor('#111827').text(plan.title, x, 200, { width, align: 'center' });
+    doc.moveDown(0.5);
+    doc.font(PDF_FONTS.bold).fontSize(13).fillColor('#b91c1c').text(pdfText(plan.watermark), { width, align: 'center' });
+    doc.font(PDF_FONTS.regular).fontSize(11).fillColor('#4b5563').text(pdfText(exportedLine(plan)), { width, align: 'center' });
+    doc.moveDown(3);
+    doc.font(PDF_FONTS.bold).fontSize(12).fillColor('#111827').text('Contents', x, doc.y, { width });
+    plan.sections.forEach(section => {
+        const indent = 10 + (section.level - 1) * 14;
+        doc.font(PDF_FONTS.regular).fontSize(10.5).text(pdfText(`${section.number} ${section.title}`), x + indent, doc.y, { width: width - indent });
+    });
+
+    const sections = [...plan.sections];
+    if (plan.general.length > 0) sections.push({ number: '', title: 'General discussion', content: '', threads: plan.general });
+    for (const section of sections) {
+        doc.addPage();
+        const heading = section.number ? `${section.number} ${section.title}` : section.title;
+        doc.font(PDF_FONTS.bold).fontSize(PDF_HEADING_SIZES[0]).fillColor('#111827').text(pdfText(heading), x, doc.y, { width });
+        doc.moveDown(0.5);
+        pdfMarkdown(doc, section.content, { x, width });
+        if (section.threads.length > 0) pdfThreads(doc, section.threads, { x, width });
+    }
+
+    stampPages(doc, plan);
+    doc.end();
+    return doc;
+}
+
+module.exports = { EXPORT_FORMATS, buildPlan, exportFilename, toMarkdown, toHtml, toPdf };
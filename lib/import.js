@@ -0,0 +1,203 @@
+// ========== PLAN IMPORT ==========
+// Splits a Markdown or DOCX document into plan sections. Every heading down to
+// the split level starts a section whose title and level come from the heading;
+// deeper headings stay inside the section's content. DOCX is converted to HTML
+// by mammoth and from there to Markdown by turndown. Imported sections are
+// matched to existing ones by title, so "1. Market Focus" and "Market focus"
+// are the same section and keep its discussions and history.
+
+const IMPORT_FORMATS = ['markdown', 'docx'];
+const TITLE_MAX_LENGTH = 200;
+const EXCERPT_LENGTH = 140;
+const UNTITLED_INTRO = 'Introduction';
+
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+// "1. ", "2.3 ", "4) ", "IV. ": the outline numbers sections itself. A bare
+// number ("2026 Goals") is part of the title.
+const LEADING_NUMBER = /^\s*(?:\d+(?:\.\d+)*[.)]|\d+(?:\.\d+)+|[ivx]+\.)\s+/i;
+const FENCE = /^ {0,3}(```|~~~)/;
+
+// Headings often carry emphasis or escapes from the converter, and their own
+// numbering: "**1\. Vision**" is "Vision"
+function cleanTitle(text) {
+    const title = text
+        .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1')
+        .replace(/(\*\*|__|\*|_)(.+?)\1/g, '$2')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return (title.replace(LEADING_NUMBER, '') || title).slice(0, TITLE_MAX_LENGTH);
+}
+
+/**
+ * Key used to match an imported section to an existing one: case, numbering
+ * and punctuation don't count
+ */
+function titleKey(title) {
+    return String(title ?? '')
+        .toLowerCase()
+        .replace(LEADING_NUMBER, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Split Markdown into sections at its headings
+ * @param {string} markdown
+ * @param {number} [splitLevel] - deepest heading level that starts a section;
+ *   defaults to the document's top heading level
+ * @returns {{ title: string, level: number, content: string }[]} level 1 is the
+ *   document's top heading level; empty when the document has no headings
+ */
+function splitSections(markdown, splitLevel) {
+    const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+
+    // Headings inside fenced code are code
+    const headings = [];
+    let fence = null;
+    lines.forEach((line, index) => {
+        const marker = line.match(FENCE);
+        if (marker) {
+            if (!fence) fence = marker[1];
+            else if (marker[1] === fence) fence = null;
+            return;
+        }
+        const heading = !fence && line.match(HEADING);
+        if (heading && heading[2]) headings.push({ index, depth: heading[1].length, title: cleanTitle(heading[2]) });
+    });
+    if (headings.length === 0) return [];
+
+    const top = Math.min(...headings.map(h => h.depth));
+    const deepest = Math.max(top, splitLevel || top);
+    const breaks = headings.filter(h => h.depth <= deepest && h.title);
+
+    const sections = [];
+    const intro = lines.slice(0, breaks[0].index).join('\n').trim();
+    if (intro) sections.push({ title: UNTITLED_INTRO, level: 1, content: intro });
+
+    breaks.forEach((heading, i) => {
+        const end = i + 1 < breaks.length ? breaks[i + 1].index : lines.length;
+        sections.push({
+            title: heading.title,
+            level: heading.depth - top + 1,
+            content: lines.slice(heading.index + 1, end).join('\n').trim()
+        });
+    });
+    return sections;
+}
+
+// GFM pipe tables: turndown leaves tables alone unless told how
+function addTableRules(turndown) {
+    turndown.addRule('tableCell', {
+        filter: ['th', 'td'],
+        replacement: content => ` ${content.replace(/\s*\n+\s*/g, ' ').replace(/\|/g, '\\|').trim()} |`
+    });
+    turndown.addRule('tableRow', {
+        filter: 'tr',
+        replacement: content => `\n|${content}`
+    });
+    turndown.addRule('table', {
+        filter: 'table',
+        replacement: content => {
+            const rows = content.split('\n').filter(row => row.trim());
+            if (rows.length === 0) return '';
+            const columns = (rows[0].match(/(?<!\\)\|/g) || []).length - 1;
+            rows.splice(1, 0, `|${' --- |'.repeat(Math.max(columns, 1))}`);
+            return `\n\n${rows.join('\n')}\n\n`;
+        }
+    });
+}
+
+/**
+ * Convert a DOCX file to Markdown. Word heading styles become # headings.
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function docxToMarkdown(buffer) {
+    // Optional dependencies: only needed for DOCX imports
+    const mammoth = require('mammoth');
+    const TurndownService = require('turndown');
+
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    const turndown = new TurndownService({
+        headingStyle: 'atx',
+        bulletListMarker: '-',
+        codeBlockStyle: 'fenced',
+        emDelimiter: '_'
+    });
+    // Embedded images would arrive as huge data: URLs the renderer won't show anyway
+    turndown.remove(['img']);
+    addTableRules(turndown);
+    return turndown.turndown(html);
+}
+
+/**
+ * Read an upload into sections
+ * @param {{ format: string, content: string, split_level?: number }} upload -
+ *   content is the Markdown text, or the DOCX file base64-encoded
+ */
+async function readImport({ format, content, split_level }) {
+    const markdown = format === 'docx' ? await docxToMarkdown(Buffer.from(content, 'base64')) : content;
+    return splitSections(markdown, split_level);
+}
+
+function excerpt(content) {
+    const text = content.replace(/[#*_`>|]+/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+}
+
+/**
+ * Pair imported sections with existing ones by title. Each existing section
+ * matches at most once; the first imported section with its title wins.
+ * @returns {{ items: { imported: object, existing: object|null }[], unmatched: object[] }}
+ *   unmatched lists existing sections no imported section matched
+ */
+function matchSections(imported, existing) {
+    const available = new Map();
+    existing.forEach(section => {
+        const key = titleKey(section.title);
+        if (!available.has(key)) available.set(key, section);
+    });
+
+    const items = imported.map(section => {
+        const key = titleKey(section.title);
+        const match = available.get(key) || null;
+        available.delete(key);
+        return { imported: section, existing: match };
+    });
+    const matchedIds = new Set(items.filter(item => item.existing).map(item => item.existing.id));
+    return { items, unmatched: existing.filter(section => !matchedIds.has(section.id)) };
+}
+
+/**
+ * What the import would do, for the preview
+ * @param {object[]} imported - from readImport()
+ * @param {object[]} existing - current sections
+ * @param {object[]} discussions - current discussions, counted per section
+ */
+function previewImport(imported, existing, discussions) {
+    const discussionCount = id => discussions.filter(d => d.section_id === id).length;
+    const { items, unmatched } = matchSections(imported, existing);
+
+    return {
+        sections: items.map(({ imported: section, existing: match }) => ({
+            title: section.title,
+            level: section.level,
+            length: section.content.length,
+            excerpt: excerpt(section.content),
+            match: match ? {
+                id: match.id,
+                title: match.title,
+                changed: match.content !== section.content || match.title !== section.title || match.level !== section.level,
+                discussions: discussionCount(match.id)
+            } : null
+        })),
+        // Kept when merging, removed when replacing
+        unmatched: unmatched.map(section => ({
+            id: section.id,
+            title: section.title,
+            discussions: discussionCount(section.id)
+        }))
+    };
+}
+
+module.exports = { IMPORT_FORMATS, TITLE_MAX_LENGTH, splitSections, readImport, matchSections, previewImport, titleKey };
@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+/**
+ * Versioned data schema
+ *
+ * The database document carries a `schemaVersion`. Each migration below
+ * upgrades the document by one version and validates the result; on startup
+ * every pending migration runs in order and the result is written back once.
+ *
+ * Usage: npm run migrate              (apply pending migrations)
+ *        npm run migrate -- --dry-run (report what would change, write nothing)
+ */
+
+const crypto = require('crypto');
+
+class MigrationError extends Error {
+    constructor(migration, problems) {
+        super(`Migration ${migration.version} (${migration.name}) failed validation:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'MigrationError';
+        this.problems = problems;
+    }
+}
+
+// Collect a problem message for every record that fails the check
+function check(records, predicate, message) {
+    return (records || []).filter(r => !predicate(r)).map(r => `${message} (id ${r.id})`);
+}
+
+// ========== MIGRATION REGISTRY ==========
+// Append new migrations at the end with the next version number. Never edit
+// one that has shipped: databases in the wild have already run it.
+const migrations = [
+    {
+        version: 1,
+        name: 'section-revisions',
+        description: 'Record the current wording of every section as revision 1',
+        up(data) {
+            data.revisions = data.revisions || [];
+            data.nextId = data.nextId || {};
+            const nextRevisionId = () => {
+                data.nextId.revision = data.nextId.revision ||
+                    data.revisions.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+                return data.nextId.revision++;
+            };
+
+            data.sections.forEach(section => {
+                const numbers = data.revisions.filter(r => r.section_id === section.id).map(r => r.number);
+                if (numbers.length === 0) {
+                    data.revisions.push({
+                        id: nextRevisionId(),
+                        section_id: section.id,
+                        number: 1,
+                        title: section.title,
+                        content: section.content,
+                        author: null,
+                        created_at: section.updated_at || new Date().toISOString()
+                    });
+                    numbers.push(1);
+                }
+                section.revision = Math.max(...numbers);
+            });
+        },
+        validate(data) {
+            return check(data.sections, s => data.revisions.some(r => r.section_id === s.id && r.number === s.revision),
+                'section revision has no matching history entry');
+        }
+    },
+    {
+        version: 2,
+        name: 'discussion-versions',
+        description: 'Give every discussion a version number for optimistic concurrency',
+        up(data) {
+            (data.discussions || []).forEach(d => {
+                d.version = d.version || 1;
+            });
+        },
+        validate(data) {
+            return check(data.discussions, d => Number.isInteger(d.version) && d.version >= 1,
+                'discussion version must be a positive integer');
+        }
+    },
+    {
+        version: 3,
+        name: 'discussion-defaults',
+        description: 'Fill in fields that routes assume exist on discussions and notifications',
+        up(data) {
+            data.discussions = data.discussions || [];
+            data.notifications = data.notifications || [];
+            data.discussions.forEach(d => {
+                d.section_id = d.section_id ?? null;
+                d.replies = Array.isArray(d.replies) ? d.replies : [];
+                d.resolved = Boolean(d.resolved);
+                d.resolved_by = d.resolved ? d.resolved_by ?? null : null;
+                d.resolved_at = d.resolved ? d.resolved_at ?? null : null;
+            });
+            data.notifications.forEach(n => {
+                n.read = Boolean(n.read);
+            });
+        },
+        validate(data) {
+            return [
+                ...check(data.discussions, d => Array.isArray(d.replies), 'discussion replies must be an array'),
+                ...check(data.discussions, d => typeof d.resolved === 'boolean', 'discussion resolved must be a boolean'),
+                ...check(data.notifications, n => typeof n.read === 'boolean', 'notification read must be a boolean')
+            ];
+        }
+    },
+    {
+        version: 4,
+        name: 'user-accounts',
+        description: 'Create an account for everyone who has taken part and link records to it',
+        up(data) {
+            data.users = data.users || [];
+            data.nextId = data.nextId || {};
+
+            // Everyone named anywhere in the data, plus the two original reviewers
+            const names = new Set(['Francisco', 'Wife']);
+            (data.discussions || []).forEach(d => {
+                names.add(d.author);
+                (d.replies || []).forEach(r => names.add(r.author));
+            });
+            (data.revisions || []).forEach(r => names.add(r.author));
+            (data.notifications || []).forEach(n => names.add(n.user));
+
+            const byName = new Map(data.users.map(u => [u.name, u]));
+            [...names].filter(name => name && !byName.has(name)).forEach(name => {
+                const id = data.users.reduce((max, u) => Math.max(max, u.id), 0) + 1;
+                let username = name.toLowerCase().replace(/[^a-z0-9_.-]/g, '').slice(0, 32);
+                if (username.length < 2 || data.users.some(u => u.username === username)) username = `user${id}`;
+                const user = {
+                    id,
+                    username,
+                    name,
+                    // No hash yet: the shared APP_PASSWORD works until the user sets their own
+                    password_hash: null,
+                    created_at: new Date().toISOString()
+                };
+                data.users.push(user);
+                byName.set(name, user);
+            });
+            data.nextId.user = data.users.reduce((max, u) => Math.max(max, u.id), 0) + 1;
+
+            const idFor = name => byName.get(name)?.id ?? null;
+            (data.discussions || []).forEach(d => {
+                d.author_id = d.author_id ?? idFor(d.author);
+                (d.replies || []).forEach(r => {
+                    r.author_id = r.author_id ?? idFor(r.author);
+                });
+            });
+            (data.notifications || []).forEach(n => {
+                n.user_id = n.user_id ?? idFor(n.user);
+                delete n.user;
+            });
+
+            // Sessions from before accounts existed don't belong to anyone
+            data.sessions = [];
+        },
+        validate(data) {
+            const usernames = data.users.map(u => u.username);
+            return [
+                ...check(data.users, u => /^[a-z0-9_.-]{2,32}$/.test(u.username), 'username must be 2-32 lowercase letters, digits or ._-'),
+                ...check(data.users, u => usernames.indexOf(u.username) === usernames.lastIndexOf(u.username), 'username must be unique'),
+                ...check(data.notifications, n => data.users.some(u => u.id === n.user_id), 'notification must belong to a user')
+            ];
+        }
+    },
+    {
+        version: 5,
+        name: 'user-roles',
+        description: 'Make existing members owners, keeping the access they had before roles',
+        up(data) {
+            data.users.forEach(u => {
+                u.role = u.role || 'owner';
+            });
+        },
+        validate(data) {
+            return [
+                ...check(data.users, u => ['owner', 'reviewer', 'advisor'].includes(u.role), 'user role must be owner, reviewer or advisor'),
+                ...(data.users.some(u => u.role === 'owner') ? [] : ['at least one user must be an owner'])
+            ];
+        }
+    },
+    {
+        version: 6,
+        name: 'section-outline',
+        description: 'Give sections an explicit position and a level that nests under the section before',
+        up(data) {
+            let previous = 0;
+            (data.sections || []).sort((a, b) => a.id - b.id).forEach((section, position) => {
+                section.position = position;
+                section.level = Math.max(1, Math.min(Number.isInteger(section.level) ? section.level : 1, previous + 1, 6));
+                previous = section.level;
+            });
+        },
+        validate(data) {
+            const positions = (data.sections || []).map(s => s.position);
+            return [
+                ...check(data.sections, s => Number.isInteger(s.position) && positions.indexOf(s.position) === positions.lastIndexOf(s.position),
+                    'section position must be a unique integer'),
+                ...check(data.sections, s => Number.isInteger(s.level) && s.level >= 1 && s.level <= 6, 'section level must be 1-6')
+            ];
+        }
+    },
+    {
+        version: 7,
+        name: 'financial-model',
+        description: 'Add the financial model, starting from the figures in the plan text',
+        up(data) {
+            data.nextId = data.nextId || {};
+            const sectionId = title => (data.sections || []).find(s => s.title === title)?.id ?? null;
+            const metrics = sectionId('Five-Year Success Metrics');
+            const investment = sectionId('Investment Summary');
+            const now = new Date().toISOString();
+
+            if (!data.assumptions) {
+                data.assumptions = [
+                    ['start_year', 2026, metrics],
+                    ['years', 5, metrics],
+                    ['gross_margin', 85, metrics],
+                    ['target_ltv_cac', 5, metrics],
+                    ['max_churn', 10, metrics],
+                    ['fixed_costs', 1500, investment],
+                    ['initial_investment', 22000, investment],
+                    ['exit_multiple', 5, investment]
+                ].map(([key, value, section_id], i) => ({ id: i + 1, key, value, section_id, version: 1, updated_at: now }));
+                data.nextId.assumption = data.assumptions.length + 1;
+            }
+            if (!data.products) {
+                data.products = [
+                    ['Company 1', 49, 6],
+                    ['Company 2', 59, 18],
+                    ['Company 3', 69, 30]
+                ].map(([name, price, launch_month], i) => ({
+                    id: i + 1,
+                    name,
+                    price,
+                    launch_month,
+                    new_customers: 5,
+                    growth: 6,
+                    churn: 6,
+                    cac: 100,
+                    position: i,
+                    version: 1,
+                    updated_at: now
+                }));
+                data.nextId.product = data.products.length + 1;
+            }
+        },
+        validate(data) {
+            const keys = data.assumptions.map(a => a.key);
+            return [
+                ...check(data.assumptions, a => typeof a.value === 'number' && Number.isFinite(a.value), 'assumption value must be a number'),
+                ...check(data.assumptions, a => keys.indexOf(a.key) === keys.lastIndexOf(a.key), 'assumption key must be unique'),
+                ...check(data.products, p => ['price', 'launch_month', 'new_customers', 'growth', 'churn', 'cac']
+                    .every(field => Number.isFinite(p[field])), 'product figures must be numbers')
+            ];
+        }
+    },
+    {
+        version: 8,
+        name: 'model-scenarios',
+        description: 'Add base, conservative and aggressive scenarios and let discussions link to one',
+        up(data) {
+            data.nextId = data.nextId || {};
+            const now = new Date().toISOString();
+            const perProduct = changes => Object.fromEntries((data.products || []).map(p => [p.id, changes(p)]));
+
+            if (!data.scenarios) {
+                data.scenarios = [
+                    {
+                        name: 'Base',
+                        description: 'The model as entered',
+                        overrides: {}
+                    },
+                    {
+                        name: 'Conservative',
+                        description: 'Higher churn and CAC, slower growth, every launch three months later',
+                        overrides: {
+                            assumptions: { gross_margin: 80 },
+                            products: perProduct(p => ({ churn: 8, growth: 4, cac: 150, launch_month: p.launch_month + 3 }))
+                        }
+                    },
+                    {
+                        name: 'Aggressive',
+                        description: 'Lower churn and CAC, faster growth',
+                        overrides: {
+                            products: perProduct(() => ({ churn: 4, growth: 8, cac: 75 }))
+                        }
+                    }
+                ].map((scenario, i) => ({ id: i + 1, ...scenario, position: i, version: 1, created_by: null, updated_at: now }));
+                data.nextId.scenario = data.scenarios.length + 1;
+            }
+            (data.discussions || []).forEach(d => {
+                d.scenario_id = d.scenario_id ?? null;
+            });
+        },
+        validate(data) {
+            const names = data.scenarios.map(s => s.name.toLowerCase());
+            return [
+                ...check(data.scenarios, s => names.indexOf(s.name.toLowerCase()) === names.lastIndexOf(s.name.toLowerCase()), 'scenario name must be unique'),
+                ...check(data.scenarios, s => s.overrides !== null && typeof s.overrides === 'object', 'scenario overrides must be an object'),
+                ...check(data.discussions, d => d.scenario_id === null || data.scenarios.some(s => s.id === d.scenario_id),
+                    'discussion scenario must exist')
+            ];
+        }
+    },
+    {
+        version: 9,
+        name: 'section-approvals',
+        description: 'Start every section as a draft with no approvals',
+        up(data) {
+            data.approvals = data.approvals || [];
+            (data.sections || []).forEach(section => {
+                section.status = section.status || 'draft';
+            });
+        },
+        validate(data) {
+            return [
+                ...check(data.sections, s => ['draft', 'in_review'].includes(s.status), 'section status must be draft or in_review'),
+                ...check(data.approvals, a => data.sections.some(s => s.id === a.section_id), 'approval must belong to a section')
+            ];
+        }
+    },
+    {
+        version: 10,
+        name: 'decision-log',
+        description: 'Add the decision log',
+        up(data) {
+            data.decisions = data.decisions || [];
+        },
+        validate(data) {
+            return [
+                ...check(data.decisions, d => d.options.includes(d.chosen), 'decision must choose one of its options'),
+                ...check(data.decisions, d => d.section_id === null || data.sections.some(s => s.id === d.section_id),
+                    'decision section must exist'),
+                ...check(data.decisions, d => d.discussion_id === null || data.discussions.some(x => x.id === d.discussion_id),
+                    'decision discussion must exist')
+            ];
+        }
+    },
+    {
+        version: 11,
+        name: 'action-items',
+        description: 'Add action items (tasks) taken from discussions',
+        up(data) {
+            data.tasks = data.tasks || [];
+        },
+        validate(data) {
+            return [
+                ...check(data.tasks, t => ['open', 'in_progress', 'done'].includes(t.status), 'task status must be open, in_progress or done'),
+                ...check(data.tasks, t => data.users.some(u => u.id === t.assignee_id), 'task assignee must be a member'),
+                ...check(data.tasks, t => t.discussion_id === null || data.discussions.some(d => d.id === t.discussion_id),
+                    'task discussion must exist')
+            ];
+        }
+    },
+    {
+        version: 12,
+        name: 'email-digests',
+        description: 'Add email digest settings to every account (off until the member turns them on)',
+        up(data) {
+            data.users.forEach(user => {
+                user.email = user.email ?? null;
+                user.digest = user.digest || 'off';
+                user.digest_sent_at = user.digest_sent_at ?? null;
+                user.unsubscribe_token = user.unsubscribe_token || crypto.randomBytes(32).toString('hex');
+            });
+        },
+        validate(data) {
+            const tokens = data.users.map(u => u.unsubscribe_token);
+            return [
+                ...check(data.users, u => ['off', 'daily', 'weekly'].includes(u.digest), 'digest must be off, daily or weekly'),
+                ...check(data.users, u => u.digest === 'off' || u.email, 'a digest needs an email address'),
+                ...check(data.users, u => tokens.indexOf(u.unsubscribe_token) === tokens.lastIndexOf(u.unsubscribe_token),
+                    'unsubscribe token must be unique')
+            ];
+        }
+    },
+    {
+        version: 13,
+        name: 'notification-preferences',
+        description: 'Give every account notification preferences with nothing muted',
+        up(data) {
+            data.users.forEach(user => {
+                user.notification_preferences = user.notification_preferences || { muted_types: [], muted_sections: [] };
+            });
+        },
+        validate(data) {
+            return [
+                ...check(data.users, u => Array.isArray(u.notification_preferences?.muted_types) &&
+                    Array.isArray(u.notification_preferences.muted_sections), 'notification preferences must list muted types and sections'),
+                ...check(data.users, u => (u.notification_preferences?.muted_sections || []).every(id => data.sections.some(s => s.id === id)),
+                    'muted sections must exist')
+            ];
+        }
+    }
+];
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+// Number of records per collection that a migration added or changed
+function summarizeChanges(before, after) {
+    const summary = {};
+    for (const [name, docs] of Object.entries(after)) {
+        if (!Array.isArray(docs)) continue;
+        const previous = new Map((before[name] || []).map(d => [d.id, JSON.stringify(d)]));
+        const changed = docs.filter(d => previous.get(d.id) !== JSON.stringify(d)).length;
+        if (changed > 0) summary[name] = changed;
+    }
+    return summary;
+}
+
+/**
+ * Bring the store up to LATEST_VERSION. Migrations run on a copy of the data;
+ * nothing is written unless every one of them validates.
+ * @param {object} store - repository from lib/storage
+ * @param {{ dryRun?: boolean }} options - dryRun reports changes without writing
+ * @returns {{ from: number, to: number, applied: object[] }}
+ */
+function runMigrations(store, { dryRun = false } = {}) {
+    const original = store.exportData();
+    const from = original.schemaVersion || 0;
+
+    if (from > LATEST_VERSION) {
+        throw new Error(`Database schema version ${from} is newer than this app supports (${LATEST_VERSION}). Deploy a newer version.`);
+    }
+
+    const working = structuredClone(original);
+    const applied = [];
+
+    for (const migration of migrations.filter(m => m.version > from)) {
+        const before = structuredClone(working);
+        migration.up(working);
+
+        const problems = migration.validate(working);
+        if (problems.length > 0) throw new MigrationError(migration, problems);
+
+        working.schemaVersion = migration.version;
+        applied.push({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            changes: summarizeChanges(before, working)
+        });
+    }
+
+    if (applied.length > 0 && !dryRun) {
+        store.backup();
+        store.importData(working);
+    }
+
+    return { from, to: applied.length ? working.schemaVersion : from, applied };
+}
+
+module.exports = { migrations, runMigrations, LATEST_VERSION, MigrationError };
+
+// ========== CLI ==========
+if (require.main === module) {
+    const { createStore } = require('./storage');
+    const dryRun = process.argv.includes('--dry-run');
+    const store = createStore();
+
+    try {
+        const result = runMigrations(store, { dryRun });
+        if (result.applied.length === 0) {
+            console.log(`Schema is up to date (version ${result.from}).`);
+        } else {
+            console.log(`${dryRun ? 'Dry run: would migrate' : 'Migrated'} schema ${result.from} → ${result.to}`);
+            result.applied.forEach(m => {
+                const changes = Object.entries(m.changes).map(([name, count]) => `${count} ${name}`).join(', ') || 'no records changed';
+                console.log(`  ${m.version}. ${m.description}: ${changes}`);
+            });
+        }
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    } finally {
+        store.close();
+    }
+}
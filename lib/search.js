@@ -0,0 +1,170 @@
+// ========== FULL-TEXT SEARCH ==========
+// Ranks sections (title and content) and discussions (text and replies)
+// against a query. Every term must match, as a word or the start of one
+// ("churn" finds "churned"). Scores weigh rarer terms higher (IDF), count
+// title hits more than body hits and reward the exact phrase. The data is
+// small enough to scan on every request, so there is no index to keep in sync.
+
+const Markdown = require('../public/markdown');
+
+const SNIPPET_LENGTH = 160;
+const MAX_TERMS = 8;
+
+const FIELD_WEIGHTS = {
+    title: 3,
+    content: 1,
+    text: 1,
+    reply: 0.8
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Markdown source reads badly in a snippet: drop the syntax, keep the words
+function plainText(markdown) {
+    return String(markdown ?? '')
+        .replace(/^ {0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/gm, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^ {0,3}>\s?/gm, '')
+        .replace(/[*_~`|]+/g, ' ')
+        .replace(/^\s*(?:[-+]|\d+[.)])\s+/gm, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Quoted parts are kept together as phrases: "customer churn" LTV
+function parseQuery(query) {
+    const terms = [];
+    query.replace(/"([^"]+)"|(\S+)/g, (_, phrase, word) => {
+        const term = (phrase || word).toLowerCase().replace(/^[^\p{L}\p{N}$]+|[^\p{L}\p{N}%]+$/gu, '');
+        if (term && !terms.includes(term)) terms.push(term);
+        return '';
+    });
+    return terms.slice(0, MAX_TERMS);
+}
+
+function termPattern(term) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term).replace(/\s+/g, '\\s+')}`, 'giu');
+}
+
+function countMatches(text, pattern) {
+    pattern.lastIndex = 0;
+    return (text.match(pattern) || []).length;
+}
+
+// Window of text around the first match, with every term wrapped in <mark>
+function snippet(text, patterns) {
+    let first = -1;
+    for (const pattern of patterns) {
+        pattern.lastIndex = 0;
+        const match = pattern.exec(text);
+        if (match && (first === -1 || match.index < first)) first = match.index;
+    }
+    if (first === -1) return null;
+
+    let start = Math.max(0, first - SNIPPET_LENGTH / 3);
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) end = text.lastIndexOf(' ', end) > first ? text.lastIndexOf(' ', end) : end;
+    const excerpt = text.slice(start, end);
+
+    // Collect match ranges first so overlapping terms don't nest marks
+    const ranges = [];
+    for (const pattern of patterns) {
+        pattern.lastIndex = 0;
+        for (const match of excerpt.matchAll(pattern)) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const esc = Markdown.escapeHtml;
+    let html = '';
+    let cursor = 0;
+    for (const [from, to] of ranges) {
+        if (from < cursor) continue;
+        html += `${esc(excerpt.slice(cursor, from))}<mark>${esc(excerpt.slice(from, to))}</mark>`;
+        cursor = to;
+    }
+    html += esc(excerpt.slice(cursor));
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search sections and discussions
+ * @param {object} store - repository from lib/storage
+ * @param {string} query - words, "quoted phrases" stay together
+ * @param {{ limit?: number }} options
+ * @returns {object[]} results, best first: { kind: 'section'|'discussion', id, section_id,
+ *   title, snippet (HTML with <mark>), score } plus author, type and reply_id for discussions
+ */
+function search(store, query, { limit = 20 } = {}) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) return [];
+    const patterns = terms.map(termPattern);
+
+    const sections = store.all('sections');
+    const titles = new Map(sections.map(s => [s.id, s.title]));
+    const documents = [
+        ...sections.map(s => ({
+            result: { kind: 'section', id: s.id, section_id: s.id, title: s.title },
+            fields: [
+                { name: 'title', text: s.title },
+                { name: 'content', text: plainText(s.content) }
+            ]
+        })),
+        ...store.all('discussions').map(d => ({
+            result: {
+                kind: 'discussion',
+                id: d.id,
+                section_id: d.section_id,
+                title: titles.get(d.section_id) || 'General',
+                author: d.author,
+                type: d.type
+            },
+            fields: [
+                { name: 'text', text: plainText(d.text), author: d.author },
+                ...(d.replies || []).map(r => ({ name: 'reply', text: plainText(r.text), author: r.author, reply_id: r.id }))
+            ]
+        }))
+    ];
+
+    // Document frequency per term, for weighting rare terms up
+    const counts = documents.map(doc => doc.fields.map(field => patterns.map(p => countMatches(field.text, p))));
+    const documentFrequency = patterns.map((_, t) => counts.filter(doc => doc.some(field => field[t] > 0)).length);
+    const idf = documentFrequency.map(df => Math.log(1 + documents.length / (1 + df)));
+    const phrase = terms.length > 1 ? termPattern(terms.join(' ')) : null;
+
+    const results = [];
+    documents.forEach((doc, i) => {
+        const matchesAll = patterns.every((_, t) => counts[i].some(field => field[t] > 0));
+        if (!matchesAll) return;
+
+        let score = 0;
+        let best = null;
+        doc.fields.forEach((field, f) => {
+            let fieldScore = counts[i][f].reduce((sum, count, t) => sum + Math.log(1 + count) * idf[t], 0);
+            if (phrase && countMatches(field.text, phrase) > 0) fieldScore *= 1.5;
+            fieldScore *= FIELD_WEIGHTS[field.name];
+            score += fieldScore;
+            // The snippet comes from the best-scoring body field (titles are shown anyway)
+            if (field.name !== 'title' && fieldScore > 0 && (!best || fieldScore > best.score)) {
+                best = { field, score: fieldScore };
+            }
+        });
+
+        const source = best ? best.field : doc.fields.find(field => field.name !== 'title');
+        results.push({
+            ...doc.result,
+            ...(source?.reply_id ? { reply_id: source.reply_id, author: source.author } : {}),
+            snippet: (source && snippet(source.text, patterns)) || Markdown.escapeHtml(source ? source.text.slice(0, SNIPPET_LENGTH) : ''),
+            score: Math.round(score * 100) / 100
+        });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = { search };
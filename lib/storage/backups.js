@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// ========== CRASH-SAFE FILE WRITES & BACKUPS ==========
+// Used by the JSON store so a crash mid-write can never leave a truncated
+// data.json, and a damaged file can be recovered from a recent snapshot.
+
+// Write to a temp file, flush it to disk, then rename over the target.
+// rename() is atomic, so readers see either the old or the new file.
+function writeFileAtomic(file, contents) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+}
+
+// Leftovers from a process that died between write and rename
+function removeStaleTempFiles(file) {
+    const dir = path.dirname(file);
+    const prefix = `${path.basename(file)}.`;
+    fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))
+        .forEach(name => fs.rmSync(path.join(dir, name), { force: true }));
+}
+
+function listBackups(dir, file) {
+    if (!fs.existsSync(dir)) return [];
+    const base = path.basename(file, '.json');
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(`${base}-`) && name.endsWith('.json'))
+        .sort()
+        .reverse()
+        .map(name => path.join(dir, name));
+}
+
+// Copy the current file into a timestamped snapshot and drop the oldest beyond `keep`
+function createBackup(file, dir, keep) {
+    if (!fs.existsSync(file)) return null;
+    fs.mkdirSync(dir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const target = path.join(dir, `${path.basename(file, '.json')}-${stamp}.json`);
+    fs.copyFileSync(file, target);
+
+    listBackups(dir, file).slice(keep).forEach(old => fs.rmSync(old, { force: true }));
+    return target;
+}
+
+// Newest snapshot that parses and passes validation, or null
+function latestGoodBackup(dir, file, isValid) {
+    for (const backup of listBackups(dir, file)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(backup, 'utf-8'));
+            if (isValid(data)) return { file: backup, data };
+        } catch {
+            // Damaged snapshot, try the next older one
+        }
+        console.warn(`Skipping unreadable backup ${backup}`);
+    }
+    return null;
+}
+
+module.exports = { writeFileAtomic, removeStaleTempFiles, listBackups, createBackup, latestGoodBackup };
@@ -0,0 +1,17 @@
+// Helpers shared by the storage backends
+
+// Id counters are named after the singular collection: discussions -> discussion
+function counterFor(collection) {
+    return collection.replace(/ies$/, 'y').replace(/s$/, '');
+}
+
+// Filters are plain objects matched by equality: { section_id: 3, resolved: false }
+function matches(doc, filter) {
+    return Object.entries(filter).every(([key, value]) => (doc[key] ?? null) === value);
+}
+
+function nextFreeId(docs) {
+    return docs.reduce((max, doc) => Math.max(max, doc.id || 0), 0) + 1;
+}
+
+module.exports = { counterFor, matches, nextFreeId };
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * One-shot migration of an existing data.json into the SQLite store
+ * Usage: npm run migrate:sqlite -- [path/to/data.json] [--force]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createStore, DATA_FILE, SQLITE_FILE } = require('./index');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const source = path.resolve(args.find(a => !a.startsWith('--')) || DATA_FILE);
+
+if (!fs.existsSync(source)) {
+    console.error(`No data file found at ${source}`);
+    process.exit(1);
+}
+
+const document = JSON.parse(fs.readFileSync(source, 'utf-8'));
+const store = createStore({ backend: 'sqlite' });
+
+if (!store.isEmpty() && !force) {
+    console.error(`${SQLITE_FILE} already has data. Re-run with --force to replace it.`);
+    store.close();
+    process.exit(1);
+}
+
+store.importData(document);
+
+const counts = Object.entries(document)
+    .filter(([, docs]) => Array.isArray(docs))
+    .map(([name, docs]) => `${docs.length} ${name}`);
+console.log(`Imported ${counts.join(', ')} from ${source} into ${SQLITE_FILE}`);
+console.log('Start the server with STORAGE_BACKEND=sqlite to use it.');
+store.close();
@@ -0,0 +1,46 @@
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+
+// ========== STORAGE BACKEND SELECTION ==========
+// STORAGE_BACKEND=json (default) keeps everything in data.json,
+// STORAGE_BACKEND=sqlite uses business_plan.db (needs better-sqlite3)
+const ROOT = path.join(__dirname, '..', '..');
+const DATA_FILE = process.env.DATA_FILE || path.join(ROOT, 'data.json');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(ROOT, 'business_plan.db');
+
+// Snapshots of data.json: at most one per interval, newest BACKUP_KEEP are kept.
+// SQLite snapshots are only taken on demand (before migrations).
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(path.dirname(DATA_FILE), 'backups');
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP) || 48;
+const BACKUP_INTERVAL_MS = (parseInt(process.env.BACKUP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Every store exposes the same synchronous repository API:
+ *   all(collection, filter), get(collection, id), find(collection, filter),
+ *   insert(collection, doc), update(collection, id, changes), remove(collection, id),
+ *   nextId(counter), transaction(fn), exportData(), importData(document),
+ *   backup(), close()
+ * Filters are equality matches on top-level fields. Returned documents are
+ * copies: changes only persist through update().
+ *
+ * @param {{ backend?: string, seed?: () => object }} options
+ *   seed builds the initial document when the store is empty
+ */
+function createStore({ backend = process.env.STORAGE_BACKEND || 'json', seed = null } = {}) {
+    switch (backend) {
+        case 'json':
+            return createJsonStore(DATA_FILE, {
+                seed,
+                backupDir: BACKUP_DIR,
+                backupKeep: BACKUP_KEEP,
+                backupIntervalMs: BACKUP_INTERVAL_MS
+            });
+        case 'sqlite':
+            return createSqliteStore(SQLITE_FILE, { seed, backupDir: BACKUP_DIR });
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "json" or "sqlite")`);
+    }
+}
+
+module.exports = { createStore, DATA_FILE, SQLITE_FILE };
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const { counterFor, matches, nextFreeId } = require('./common');
+const { writeFileAtomic, removeStaleTempFiles, listBackups, createBackup, latestGoodBackup } = require('./backups');
+
+// A readable database document: an object whose collections are arrays
+function isValidDocument(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+    if (!Array.isArray(data.sections)) return false;
+    return Object.entries(data).every(([key, value]) =>
+        key === 'nextId' ? value && typeof value === 'object' : Array.isArray(value) || typeof value !== 'object');
+}
+
+// ========== JSON FILE STORE ==========
+// Keeps the whole database in memory and rewrites the JSON file after each
+// write (or once at the end of a transaction). Fine for a handful of users.
+// Writes are atomic and a timestamped backup is taken at most once per interval.
+function createJsonStore(file, { seed, backupDir, backupKeep, backupIntervalMs }) {
+    let data = null;
+    let transactionDepth = 0;
+    let dirty = false;
+    let lastBackupAt = 0;
+
+    function loadDB() {
+        removeStaleTempFiles(file);
+        if (!fs.existsSync(file)) {
+            return initializeDB();
+        }
+
+        try {
+            const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            if (isValidDocument(parsed)) return parsed;
+            console.error(`Database file ${file} has an unexpected structure`);
+        } catch (err) {
+            console.error('Error loading database:', err);
+        }
+        return restoreFromBackup();
+    }
+
+    // Never fall back to the seed plan when a data file exists: that would wipe every discussion
+    function restoreFromBackup() {
+        const damagedCopy = `${file}.damaged-${Date.now()}`;
+        fs.copyFileSync(file, damagedCopy);
+
+        const backup = latestGoodBackup(backupDir, file, isValidDocument);
+        if (!backup) {
+            throw new Error(`${file} is damaged and no usable backup was found in ${backupDir}. ` +
+                `The damaged file was kept as ${damagedCopy}.`);
+        }
+
+        console.warn(`Restored database from ${backup.file} (damaged file kept as ${damagedCopy})`);
+        writeFileAtomic(file, JSON.stringify(backup.data, null, 2));
+        return backup.data;
+    }
+
+    function saveDB() {
+        if (transactionDepth > 0) {
+            dirty = true;
+            return;
+        }
+        writeFileAtomic(file, JSON.stringify(data, null, 2));
+        backupIfDue();
+    }
+
+    function backupIfDue() {
+        if (Date.now() - lastBackupAt < backupIntervalMs) return;
+        createBackup(file, backupDir, backupKeep);
+        lastBackupAt = Date.now();
+    }
+
+    function initializeDB() {
+        data = { ...(seed ? seed() : {}), nextId: {} };
+        saveDB();
+        return data;
+    }
+
+    data = loadDB();
+
+    // Pick up the backup schedule where the previous process left off
+    const newestBackup = listBackups(backupDir, file)[0];
+    lastBackupAt = newestBackup ? fs.statSync(newestBackup).mtimeMs : 0;
+    backupIfDue();
+
+    function collection(name) {
+        if (!data[name]) data[name] = [];
+        return data[name];
+    }
+
+    return {
+        backend: 'json',
+
+        all(name, filter = {}) {
+            return collection(name).filter(doc => matches(doc, filter)).map(doc => structuredClone(doc));
+        },
+
+        get(name, id) {
+            const doc = collection(name).find(d => d.id === id);
+            return doc ? structuredClone(doc) : null;
+        },
+
+        find(name, filter) {
+            const doc = collection(name).find(d => matches(d, filter));
+            return doc ? structuredClone(doc) : null;
+        },
+
+        insert(name, doc) {
+            const { id, ...fields } = doc;
+            const stored = { id: id ?? this.nextId(counterFor(name), name), ...fields };
+            collection(name).push(structuredClone(stored));
+            saveDB();
+            return stored;
+        },
+
+        update(name, id, changes) {
+            const doc = collection(name).find(d => d.id === id);
+            if (!doc) return null;
+            Object.assign(doc, structuredClone(changes));
+            saveDB();
+            return structuredClone(doc);
+        },
+
+        remove(name, id) {
+            const docs = collection(name);
+            const index = docs.findIndex(d => d.id === id);
+            if (index === -1) return false;
+            docs.splice(index, 1);
+            saveDB();
+            return true;
+        },
+
+        // Counters continue after the highest existing id the first time they are used
+        nextId(counter, name) {
+            data.nextId = data.nextId || {};
+            if (!data.nextId[counter]) {
+                data.nextId[counter] = nextFreeId(name ? collection(name) : []);
+            }
+            const id = data.nextId[counter]++;
+            saveDB();
+            return id;
+        },
+
+        transaction(fn) {
+            transactionDepth++;
+            let result;
+            try {
+                result = fn();
+            } catch (err) {
+                transactionDepth--;
+                if (transactionDepth === 0) {
+                    // Roll the in-memory copy back to what was last written
+                    dirty = false;
+                    data = loadDB();
+                }
+                throw err;
+            }
+            transactionDepth--;
+            if (transactionDepth === 0 && dirty) {
+                dirty = false;
+                saveDB();
+            }
+            return result;
+        },
+
+        exportData() {
+            return structuredClone(data);
+        },
+
+        // Replaces everything currently stored
+        importData(document) {
+            data = structuredClone(document);
+            saveDB();
+        },
+
+        isEmpty() {
+            return !Object.values(data).some(docs => Array.isArray(docs) && docs.length > 0);
+        },
+
+        // Snapshot right now regardless of the backup interval, e.g. before a migration
+        backup() {
+            const target = createBackup(file, backupDir, backupKeep);
+            lastBackupAt = Date.now();
+            return target;
+        },
+
+        close() {}
+    };
+}
+
+module.exports = { createJsonStore };
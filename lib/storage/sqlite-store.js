@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { counterFor } = require('./common');
+
+// ========== SQLITE STORE ==========
+// Each record is a JSON document in one generic table, so collections can
+// gain fields without schema changes while writes only touch changed rows.
+function createSqliteStore(file, { seed, backupDir }) {
+    // Optional dependency: only needed when STORAGE_BACKEND=sqlite
+    const Database = require('better-sqlite3');
+    const db = new Database(file);
+
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (
+            collection TEXT NOT NULL,
+            id INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (collection, id)
+        );
+        CREATE TABLE IF NOT EXISTS counters (
+            name TEXT PRIMARY KEY,
+            value INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+    `);
+
+    const statements = {
+        get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+        insert: db.prepare('INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+        update: db.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?'),
+        remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+        maxId: db.prepare('SELECT MAX(id) AS id FROM documents WHERE collection = ?'),
+        getCounter: db.prepare('SELECT value FROM counters WHERE name = ?'),
+        setCounter: db.prepare('INSERT INTO counters (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value'),
+        collections: db.prepare('SELECT DISTINCT collection FROM documents'),
+        counters: db.prepare('SELECT name, value FROM counters'),
+        count: db.prepare('SELECT COUNT(*) AS count FROM documents'),
+        meta: db.prepare('SELECT key, value FROM meta'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)')
+    };
+
+    // Equality filters become json_extract() comparisons
+    function select(name, filter, limit) {
+        const conditions = ['collection = ?'];
+        const params = [name];
+
+        for (const [key, value] of Object.entries(filter)) {
+            if (!/^\w+$/.test(key)) throw new Error(`Invalid filter field: ${key}`);
+            if (value === null || value === undefined) {
+                conditions.push(`json_extract(data, '$.${key}') IS NULL`);
+            } else {
+                conditions.push(`json_extract(data, '$.${key}') = ?`);
+                params.push(typeof value === 'boolean' ? Number(value) : value);
+            }
+        }
+
+        const sql = `SELECT data FROM documents WHERE ${conditions.join(' AND ')} ORDER BY id${limit ? ' LIMIT 1' : ''}`;
+        return db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+    }
+
+    const store = {
+        backend: 'sqlite',
+
+        all(name, filter = {}) {
+            return select(name, filter, false);
+        },
+
+        get(name, id) {
+            const row = statements.get.get(name, id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        find(name, filter) {
+            return select(name, filter, true)[0] || null;
+        },
+
+        insert(name, doc) {
+            const { id, ...fields } = doc;
+            const stored = { id: id ?? store.nextId(counterFor(name), name), ...fields };
+            statements.insert.run(name, stored.id, JSON.stringify(stored));
+            return stored;
+        },
+
+        update(name, id, changes) {
+            const doc = store.get(name, id);
+            if (!doc) return null;
+            const updated = { ...doc, ...changes };
+            statements.update.run(JSON.stringify(updated), name, id);
+            return updated;
+        },
+
+        remove(name, id) {
+            return statements.remove.run(name, id).changes > 0;
+        },
+
+        // Counters continue after the highest existing id the first time they are used
+        nextId(counter, name) {
+            const row = statements.getCounter.get(counter);
+            const id = row ? row.value : (name ? statements.maxId.get(name).id || 0 : 0) + 1;
+            statements.setCounter.run(counter, id + 1);
+            return id;
+        },
+
+        transaction(fn) {
+            return db.inTransaction ? fn() : db.transaction(fn)();
+        },
+
+        // Same shape as data.json: { schemaVersion, sections: [...], ..., nextId: {...} }
+        exportData() {
+            const data = {};
+            for (const { key, value } of statements.meta.all()) {
+                data[key] = JSON.parse(value);
+            }
+            for (const { collection } of statements.collections.all()) {
+                data[collection] = select(collection, {}, false);
+            }
+            data.nextId = {};
+            for (const { name, value } of statements.counters.all()) {
+                data.nextId[name] = value;
+            }
+            return data;
+        },
+
+        // Replaces everything currently stored
+        importData(document) {
+            db.transaction(() => {
+                db.exec('DELETE FROM documents; DELETE FROM counters; DELETE FROM meta;');
+                for (const [name, value] of Object.entries(document)) {
+                    if (Array.isArray(value)) {
+                        value.forEach(doc => statements.insert.run(name, doc.id, JSON.stringify(doc)));
+                    } else if (name !== 'nextId') {
+                        // Top-level scalars such as schemaVersion
+                        statements.setMeta.run(name, JSON.stringify(value));
+                    }
+                }
+                for (const [name, value] of Object.entries(document.nextId || {})) {
+                    statements.setCounter.run(name, value);
+                }
+            })();
+        },
+
+        isEmpty() {
+            return statements.count.get().count === 0;
+        },
+
+        // Consistent snapshot of the whole database file, e.g. before a migration
+        backup() {
+            fs.mkdirSync(backupDir, { recursive: true });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const target = path.join(backupDir, `${path.basename(file, '.db')}-${stamp}.db`);
+            db.prepare('VACUUM INTO ?').run(target);
+            return target;
+        },
+
+        close() {
+            db.close();
+        }
+    };
+
+    if (seed && store.isEmpty()) {
+        store.importData(seed());
+    }
+
+    return store;
+}
+
+module.exports = { createSqliteStore };
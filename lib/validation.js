@@ -0,0 +1,147 @@
+// ========== REQUEST VALIDATION ==========
+// Routes declare a schema for their params, query string and body. validate()
+// checks the request against it, converts params and query values (always
+// strings) to the declared type and drops every field the schema doesn't
+// name, so handlers only see known, well-typed input.
+//
+// Field rules:
+//   type       'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array'
+//   required   must be present and not null
+//   nullable   null is allowed (kept as null)
+//   default    used when the field is missing
+//   trim       trim strings before checking them
+//   lowercase  lowercase strings before checking them
+//   min, max   string length, numeric value or array length
+//   oneOf      list of allowed values
+//   pattern    RegExp a string must match
+//   fields     rules for an object's properties
+//   items      rule for each element of an array
+//   message    replaces the generated message for pattern failures
+
+class ValidationError extends Error {
+    constructor(fields) {
+        const [field, message] = Object.entries(fields)[0];
+        super(`${field} ${message}`);
+        this.name = 'ValidationError';
+        this.fields = fields;
+    }
+}
+
+// Params and query strings arrive as text
+function fromString(value, type) {
+    if (typeof value !== 'string') return value;
+    if (type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+    if (type === 'number' && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+function checkType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        default: throw new Error(`Unknown validation type "${type}"`);
+    }
+}
+
+function checkBounds(value, rule) {
+    if (rule.type === 'integer' || rule.type === 'number') {
+        if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+        return null;
+    }
+    const unit = rule.type === 'array' ? 'items' : 'characters';
+    if (rule.min === 1 && value.length === 0) return 'must not be empty';
+    if (rule.min !== undefined && value.length < rule.min) return `must be at least ${rule.min} ${unit}`;
+    if (rule.max !== undefined && value.length > rule.max) return `must be at most ${rule.max} ${unit}`;
+    return null;
+}
+
+// Returns the cleaned value; problems are collected into errors by field path
+function checkField(value, rule, path, errors, coerce) {
+    if (value === undefined) {
+        if (rule.default !== undefined) return rule.default;
+        if (rule.required) errors[path] = 'is required';
+        return undefined;
+    }
+    if (value === null) {
+        if (!rule.nullable) errors[path] = rule.required ? 'is required' : 'must not be null';
+        return null;
+    }
+
+    if (coerce) value = fromString(value, rule.type);
+    if (!checkType(value, rule.type)) {
+        errors[path] = `must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type}`;
+        return undefined;
+    }
+
+    if (rule.type === 'string') {
+        if (rule.trim) value = value.trim();
+        if (rule.lowercase) value = value.toLowerCase();
+    }
+
+    const problem = ['string', 'integer', 'number', 'array'].includes(rule.type) && checkBounds(value, rule);
+    if (problem) {
+        errors[path] = problem;
+        return undefined;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+        errors[path] = `must be one of: ${rule.oneOf.join(', ')}`;
+        return undefined;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        errors[path] = rule.message || 'has an invalid format';
+        return undefined;
+    }
+
+    if (rule.type === 'object' && rule.fields) {
+        return checkFields(value, rule.fields, `${path}.`, errors, coerce);
+    }
+    if (rule.type === 'array' && rule.items) {
+        return value.map((item, i) => checkField(item, rule.items, `${path}[${i}]`, errors, coerce));
+    }
+    return value;
+}
+
+// Only fields named in the schema are copied over
+function checkFields(source, fields, prefix, errors, coerce) {
+    const cleaned = {};
+    for (const [name, rule] of Object.entries(fields)) {
+        const value = checkField(source?.[name], rule, prefix + name, errors, coerce);
+        if (value !== undefined) cleaned[name] = value;
+    }
+    return cleaned;
+}
+
+// Also used by routes for rules that span several fields
+function sendValidationError(res, err) {
+    res.status(400).json({ error: err.message, fields: err.fields });
+}
+
+/**
+ * Express middleware validating req.params, req.query and req.body. Locations
+ * without a schema are emptied; a failure answers 400 { error, fields }.
+ * @param {{ params?: object, query?: object, body?: object }} schema
+ */
+function validate(schema) {
+    return (req, res, next) => {
+        const errors = {};
+        const params = checkFields(req.params, schema.params || {}, '', errors, true);
+        const query = checkFields(req.query, schema.query || {}, '', errors, true);
+        const body = checkFields(req.body, schema.body || {}, '', errors, false);
+
+        if (Object.keys(errors).length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+        req.params = params;
+        req.query = query;
+        req.body = body;
+        next();
+    };
+}
+
+module.exports = { validate, sendValidationError, ValidationError };
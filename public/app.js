@@ -8,6 +8,11 @@ function authHeaders() {
     return token ? { 'x-auth-token': token } : {};
 }
 
+// Writes to sections and discussions name the version they were based on
+function ifMatch(version) {
+    return { 'If-Match': `"${version}"` };
+}
+
 function logout() {
     localStorage.removeItem('auth_token');
     document.cookie = 'auth_token=; path=/; max-age=0';
@@ -99,12 +104,24 @@ const CryptoUtils = {
 
 // ========== APP STATE ==========
 const state = {
-    currentUser: 'Francisco',
+    currentUser: null, // Signed-in account from /api/me
+    members: [],
     sections: [],
     discussions: [],
     notifications: [],
+    notificationPreferences: null, // Muted notification types and sections, loaded when settings open
     activeFilter: 'all',
     activeSectionId: null,
+    drafts: {}, // Section edits in progress, keyed by section id
+    pendingAnchor: null, // Text selected for an inline comment: { sectionId, quote, start, end }
+    searchResults: [],
+    collapsed: new Set(JSON.parse(localStorage.getItem('collapsedSections') || '[]')), // Outline branches folded in the sidebar
+    importUpload: null, // File being imported, kept between preview and import
+    model: null, // Financial model inputs and derived figures from /api/model
+    scenarios: [], // What-if scenarios, each with its projection
+    pendingScenario: null, // Scenario the discussion being written is about
+    decisions: [], // Decision log, most recent first
+    tasks: [], // Action items from discussions, soonest due first
     encryptionEnabled: true // Toggle for encrypted content
 };
 
@@ -116,6 +133,8 @@ const $$ = (sel) => document.querySelectorAll(sel);
 
 const elements = {
     menuToggle: $('#menu-toggle'),
+    searchInput: $('#search-input'),
+    searchResults: $('#search-results'),
     sidebar: $('#sidebar'),
     sidebarOverlay: $('#sidebar-overlay'),
     navList: $('#nav-list'),
@@ -130,15 +149,29 @@ const elements = {
     addForm: $('#add-form'),
     sectionSelect: $('#section-select'),
     formTextarea: $('#form-textarea'),
+    formAnchor: $('#form-anchor'),
+    formScenario: $('#form-scenario'),
+    formReplacement: $('#form-replacement'),
+    suggestionOption: $('#suggestion-option'),
+    anchorToolbar: $('#anchor-toolbar'),
     fab: $('#fab'),
     fabBadge: $('#fab-badge'),
-    currentUser: $('#current-user'),
+    userMenu: $('#user-menu'),
+    currentUserName: $('#current-user-name'),
     currentAvatar: $('#current-avatar'),
     notificationBtn: $('#notification-btn'),
     notificationBadge: $('#notification-badge'),
     notificationPanel: $('#notification-panel'),
     notificationList: $('#notification-list'),
     markAllRead: $('#mark-all-read'),
+    notificationSettings: $('#notification-settings'),
+    notificationSettingsBtn: $('#notification-settings-btn'),
+    notificationSettingsBody: $('#notification-settings-body'),
+    notificationSettingsClose: $('#notification-settings-close'),
+    modalOverlay: $('#modal-overlay'),
+    modalTitle: $('#modal-title'),
+    modalBody: $('#modal-body'),
+    modalClose: $('#modal-close'),
     toast: $('#toast')
 };
 
@@ -155,32 +188,44 @@ function formatTime(dateStr) {
     return date.toLocaleDateString();
 }
 
+// YYYY-MM-DD in the browser's time zone, as date inputs and the API use
+function localDate(date = new Date()) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+}
+
+// "Oct 19, 2026" for a YYYY-MM-DD date
+function formatDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
 function showToast(message) {
     elements.toast.textContent = message;
     elements.toast.classList.add('show');
     setTimeout(() => elements.toast.classList.remove('show'), 3000);
 }
 
+// What the signed-in member's role allows (the server enforces the same list)
+function can(permission) {
+    return Boolean(state.currentUser?.permissions.includes(permission));
+}
+
+// Members keep a stable colour by join order; former members get one from their name
+const AVATAR_COLORS = 6;
+
+function avatarColor(name) {
+    const index = state.members.findIndex(m => m.name === name);
+    if (index !== -1) return index % AVATAR_COLORS;
+    return [...String(name || '')].reduce((sum, c) => sum + c.charCodeAt(0), 0) % AVATAR_COLORS;
+}
+
+function renderAvatar(name) {
+    const initial = String(name || '?').trim().charAt(0).toUpperCase() || '?';
+    return `<div class="avatar avatar-color-${avatarColor(name)}" title="${window.Markdown.escapeHtml(name)}">${window.Markdown.escapeHtml(initial)}</div>`;
+}
+
+// Section content and comments; markdown.js escapes and sanitizes the result
 function parseMarkdown(text) {
-    return text
-        .replace(/^### (.+)$/gm, '<h3>$1</h3>')
-        .replace(/^## (.+)$/gm, '<h2>$1</h2>')
-        .replace(/^# (.+)$/gm, '<h1>$1</h1>')
-        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*(.+?)\*/g, '<em>$1</em>')
-        .replace(/^- (.+)$/gm, '<li>$1</li>')
-        .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>')
-        .replace(/\n\n/g, '</p><p>')
-        .replace(/\|(.+)\|/g, (match) => {
-            const cells = match.split('|').filter(c => c.trim());
-            if (cells.some(c => c.includes('---'))) return '';
-            const tag = match.includes('**') ? 'th' : 'td';
-            const row = cells.map(c => `<${tag}>${c.replace(/\*\*/g, '').trim()}</${tag}>`).join('');
-            return `<tr>${row}</tr>`;
-        })
-        .replace(/(<tr>.*<\/tr>)+/gs, '<table>$&</table>')
-        .replace(/✅/g, '<span style="color: var(--success)">✅</span>')
-        .replace(/❌/g, '<span style="color: var(--danger)">❌</span>');
+    return window.Markdown.render(text);
 }
 
 // ========== API FUNCTIONS ==========
@@ -204,6 +249,40 @@ async function fetchSections() {
     return sections;
 }
 
+async function searchPlan(query) {
+    const encryptParam = state.encryptionEnabled ? '&encrypted=true' : '';
+    const res = await fetch(`${API_BASE}/api/search?q=${encodeURIComponent(query)}${encryptParam}`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return []; }
+    if (!res.ok) return [];
+
+    const { results } = await res.json();
+    // Section snippets are encrypted like section content
+    for (const result of results) {
+        if (result.snippet && result.snippet.encrypted) {
+            result.snippet = await CryptoUtils.decrypt(result.snippet);
+        }
+    }
+    return results;
+}
+
+// Plain markdown source for the editor (edits are sent back unencrypted anyway)
+async function fetchSection(id) {
+    const res = await fetch(`${API_BASE}/api/sections/${id}`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return null; }
+    return res.ok ? res.json() : null;
+}
+
+// A stale revision comes back as { error, current } for the merge dialog
+async function updateSection(id, data, revision) {
+    const res = await fetch(`${API_BASE}/api/sections/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(revision) },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
 async function fetchDiscussions() {
     const res = await fetch(`${API_BASE}/api/discussions`, { headers: authHeaders() });
     if (res.status === 401) { logout(); return []; }
@@ -216,8 +295,102 @@ async function fetchStats() {
     return res.json();
 }
 
-async function fetchNotifications(user) {
-    const res = await fetch(`${API_BASE}/api/notifications/${user}`, { headers: authHeaders() });
+async function fetchCurrentUser() {
+    const res = await fetch(`${API_BASE}/api/me`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return null; }
+    return res.json();
+}
+
+async function fetchMembers() {
+    const res = await fetch(`${API_BASE}/api/users`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return []; }
+    return res.json();
+}
+
+async function createMember(data) {
+    const res = await fetch(`${API_BASE}/api/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function updateMemberRole(id, role) {
+    const res = await fetch(`${API_BASE}/api/users/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ role })
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function changePassword(currentPassword, newPassword) {
+    const res = await fetch(`${API_BASE}/api/me/password`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function updateDigestSettings(settings) {
+    const res = await fetch(`${API_BASE}/api/me/digest`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(settings)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function sendDigestNow() {
+    const res = await fetch(`${API_BASE}/api/me/digest/send`, {
+        method: 'POST',
+        headers: authHeaders()
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function previewImport(upload) {
+    const res = await fetch(`${API_BASE}/api/import/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(upload)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function importPlan(upload, mode) {
+    const res = await fetch(`${API_BASE}/api/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ ...upload, mode })
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+// Exports come back as a file; errors as JSON
+async function exportPlan({ format, discussions, watermark }) {
+    const params = new URLSearchParams({ format, discussions });
+    if (watermark) params.set('watermark', watermark);
+    const res = await fetch(`${API_BASE}/api/export?${params}`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return {}; }
+    if (!res.ok) return res.json();
+
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `business-plan.${format}`;
+    return { blob: await res.blob(), filename };
+}
+
+async function fetchNotifications() {
+    const res = await fetch(`${API_BASE}/api/notifications`, { headers: authHeaders() });
     if (res.status === 401) { logout(); return []; }
     return res.json();
 }
@@ -242,317 +415,3185 @@ async function addReply(discussionId, data) {
     return res.json();
 }
 
-async function resolveDiscussion(id, resolved, resolvedBy) {
+async function resolveDiscussion(id, resolved, version) {
     const res = await fetch(`${API_BASE}/api/discussions/${id}/resolve`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json', ...authHeaders() },
-        body: JSON.stringify({ resolved, resolved_by: resolvedBy })
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(version) },
+        body: JSON.stringify({ resolved })
     });
     if (res.status === 401) { logout(); return {}; }
     return res.json();
 }
 
-async function markNotificationRead(id) {
-    await fetch(`${API_BASE}/api/notifications/${id}/read`, { method: 'PATCH', headers: authHeaders() });
+async function acceptSuggestion(id, version) {
+    const res = await fetch(`${API_BASE}/api/discussions/${id}/accept`, {
+        method: 'POST',
+        headers: { ...authHeaders(), ...ifMatch(version) }
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
 }
 
-async function markAllNotificationsRead(user) {
-    await fetch(`${API_BASE}/api/notifications/${user}/read-all`, { method: 'PATCH', headers: authHeaders() });
+async function rejectSuggestion(id, version, note) {
+    const res = await fetch(`${API_BASE}/api/discussions/${id}/reject`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(version) },
+        body: JSON.stringify({ note })
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
 }
 
-// ========== RENDER FUNCTIONS ==========
-function renderNavigation() {
-    elements.navList.innerHTML = state.sections.map((section, index) => {
-        const discussions = state.discussions.filter(d => d.section_id === section.id && !d.resolved);
-        const comments = discussions.filter(d => d.type === 'comment').length;
-        const questions = discussions.filter(d => d.type === 'question').length;
+async function createSection(data) {
+    const res = await fetch(`${API_BASE}/api/sections`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
 
-        return `
-            <li class="nav-item ${index === 0 ? 'active' : ''}" data-id="${section.id}">
-                <span class="nav-item-title">${section.title}</span>
-                <div class="nav-badges">
-                    ${comments ? `<span class="badge badge-comment">${comments}</span>` : ''}
-                    ${questions ? `<span class="badge badge-question">${questions}</span>` : ''}
-                </div>
-            </li>
-        `;
-    }).join('');
+// changes: { level, before_id } - before_id null moves to the end
+async function moveSection(id, changes) {
+    const res = await fetch(`${API_BASE}/api/sections/${id}/outline`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(changes)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
 
-    // Add click handlers
-    $$('.nav-item').forEach(item => {
-        item.addEventListener('click', () => {
-            $$('.nav-item').forEach(i => i.classList.remove('active'));
-            item.classList.add('active');
-            const sectionId = item.dataset.id;
-            document.getElementById(`section-${sectionId}`)?.scrollIntoView({ behavior: 'smooth' });
-            closeSidebar();
-        });
+async function deleteSection(id, revision) {
+    const res = await fetch(`${API_BASE}/api/sections/${id}`, {
+        method: 'DELETE',
+        headers: { ...authHeaders(), ...ifMatch(revision) }
     });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
 
-    // Update section selector
-    elements.sectionSelect.innerHTML = `
-        <option value="">General</option>
-        ${state.sections.map(s => `<option value="${s.id}">${s.title}</option>`).join('')}
-    `;
+// Approval writes answer with the section's approval state, failures with { error }
+async function approveSection(id, revision) {
+    const res = await fetch(`${API_BASE}/api/sections/${id}/approvals`, {
+        method: 'POST',
+        headers: { ...authHeaders(), ...ifMatch(revision) }
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
 }
 
-function renderSections() {
-    elements.loading.style.display = 'none';
-    elements.sectionsContainer.innerHTML = state.sections.map(section => {
-        const discussions = state.discussions.filter(d => d.section_id === section.id);
-        const pending = discussions.filter(d => !d.resolved).length;
+async function revokeApproval(id) {
+    const res = await fetch(`${API_BASE}/api/sections/${id}/approvals`, {
+        method: 'DELETE',
+        headers: authHeaders()
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
 
-        return `
-            <article class="section-card" id="section-${section.id}">
-                <header class="section-header">
-                    <h2 class="section-title">${section.title}</h2>
-                    <div class="section-actions">
-                        <button class="btn-section" onclick="addFeedbackToSection(${section.id})">
-                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"/>
-                            </svg>
-                            <span>Add Feedback</span>
-                        </button>
-                    </div>
-                </header>
-                <div class="section-body">
-                    <div class="section-content">${parseMarkdown(section.content)}</div>
-                </div>
-                <footer class="section-footer">
-                    <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 8h10M7 12h4m1 8l-4-4H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-3l-4 4z"/>
-                    </svg>
-                    <span>${pending} pending feedback</span>
-                </footer>
-            </article>
-        `;
-    }).join('');
+async function setSectionStatus(id, status) {
+    const res = await fetch(`${API_BASE}/api/sections/${id}/status`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ status })
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
 }
 
-function renderDiscussions() {
-    let discussions = [...state.discussions];
+// Model writes answer with the whole recomputed model, failures with { error }
+async function fetchModel() {
+    const res = await fetch(`${API_BASE}/api/model`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return null; }
+    return res.ok ? res.json() : null;
+}
 
-    // Apply filter
-    switch (state.activeFilter) {
-        case 'comments':
-            discussions = discussions.filter(d => d.type === 'comment');
-            break;
-        case 'questions':
-            discussions = discussions.filter(d => d.type === 'question');
-            break;
-        case 'resolved':
-            discussions = discussions.filter(d => d.resolved);
-            break;
-        case 'pending':
-            discussions = discussions.filter(d => !d.resolved);
-            break;
-    }
+async function updateAssumption(key, value, version) {
+    const res = await fetch(`${API_BASE}/api/model/assumptions/${key}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(version) },
+        body: JSON.stringify({ value })
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
 
-    // Update FAB badge
-    const pendingCount = state.discussions.filter(d => !d.resolved).length;
-    elements.fabBadge.textContent = pendingCount;
-    elements.fabBadge.dataset.count = pendingCount;
+async function createProduct(data) {
+    const res = await fetch(`${API_BASE}/api/model/products`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
 
-    if (discussions.length === 0) {
-        elements.discussionList.innerHTML = `
-            <div class="empty-state">
-                <p>No discussions yet.<br>Add a comment or question below!</p>
-            </div>
-        `;
-        return;
-    }
+async function updateProduct(id, data, version) {
+    const res = await fetch(`${API_BASE}/api/model/products/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(version) },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
 
-    elements.discussionList.innerHTML = discussions.map(d => {
-        const isWife = d.author === 'Wife';
-        const avatarClass = isWife ? 'avatar-wife' : 'avatar-francisco';
-        const avatarLetter = isWife ? 'W' : 'F';
+async function deleteProduct(id, version) {
+    const res = await fetch(`${API_BASE}/api/model/products/${id}`, {
+        method: 'DELETE',
+        headers: { ...authHeaders(), ...ifMatch(version) }
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
 
-        return `
-            <div class="discussion-item type-${d.type} ${d.resolved ? 'resolved' : ''}" data-id="${d.id}">
-                <div class="discussion-header">
-                    <div class="discussion-meta">
-                        <div class="avatar ${avatarClass}">${avatarLetter}</div>
-                        <div>
-                            <div class="discussion-author">${d.author}</div>
-                            <div class="discussion-time">${formatTime(d.created_at)}</div>
-                        </div>
-                    </div>
-                    <span class="discussion-type">${d.type}</span>
-                </div>
-                ${d.section_title ? `<div class="discussion-section">📍 ${d.section_title}</div>` : ''}
-                <div class="discussion-text">${d.text}</div>
-                <div class="discussion-actions">
-                    <button class="action-btn reply" onclick="toggleReplyForm(${d.id})">Reply</button>
-                    ${d.resolved
-                        ? `<button class="action-btn" onclick="handleResolve(${d.id}, false)">Reopen</button>`
-                        : `<button class="action-btn resolve" onclick="handleResolve(${d.id}, true)">✓ Resolve</button>`
-                    }
-                </div>
-                ${d.replies && d.replies.length > 0 ? `
-                    <div class="replies">
-                        ${d.replies.map(r => {
-                            const rIsWife = r.author === 'Wife';
-                            const rAvatarClass = rIsWife ? 'avatar-wife' : 'avatar-francisco';
-                            const rAvatarLetter = rIsWife ? 'W' : 'F';
-                            return `
-                                <div class="reply">
-                                    <div class="avatar ${rAvatarClass}">${rAvatarLetter}</div>
-                                    <div class="reply-content">
-                                        <div class="reply-header">
-                                            <span class="reply-author">${r.author}</span>
-                                            <span class="reply-time">${formatTime(r.created_at)}</span>
-                                        </div>
-                                        <div class="reply-text">${r.text}</div>
-                                    </div>
-                                </div>
-                            `;
-                        }).join('')}
-                    </div>
-                ` : ''}
-                <div class="reply-form" id="reply-form-${d.id}">
-                    <input type="text" class="reply-input" id="reply-input-${d.id}" placeholder="Write a reply...">
-                    <div class="reply-form-actions">
-                        <button class="btn-cancel" onclick="toggleReplyForm(${d.id})">Cancel</button>
-                        <button class="btn-reply" onclick="submitReply(${d.id})">Reply</button>
-                    </div>
-                </div>
-            </div>
-        `;
-    }).join('');
+async function fetchScenarios() {
+    const res = await fetch(`${API_BASE}/api/scenarios`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return []; }
+    return res.ok ? res.json() : [];
+}
+
+async function createScenario(data) {
+    const res = await fetch(`${API_BASE}/api/scenarios`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function updateScenario(id, data, version) {
+    const res = await fetch(`${API_BASE}/api/scenarios/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(version) },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function deleteScenario(id, version) {
+    const res = await fetch(`${API_BASE}/api/scenarios/${id}`, {
+        method: 'DELETE',
+        headers: { ...authHeaders(), ...ifMatch(version) }
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+// Decision writes answer with the decision, failures with { error }
+async function fetchDecisions() {
+    const res = await fetch(`${API_BASE}/api/decisions`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return []; }
+    return res.ok ? res.json() : [];
+}
+
+async function createDecision(data) {
+    const res = await fetch(`${API_BASE}/api/decisions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function promoteDiscussion(discussionId, data) {
+    const res = await fetch(`${API_BASE}/api/discussions/${discussionId}/decision`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function updateDecision(id, data, version) {
+    const res = await fetch(`${API_BASE}/api/decisions/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(version) },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function deleteDecision(id, version) {
+    const res = await fetch(`${API_BASE}/api/decisions/${id}`, {
+        method: 'DELETE',
+        headers: { ...authHeaders(), ...ifMatch(version) }
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+// Task writes answer with the task, failures with { error }
+async function fetchTasks() {
+    const res = await fetch(`${API_BASE}/api/tasks`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return []; }
+    return res.ok ? res.json() : [];
+}
+
+async function createTask(discussionId, data) {
+    const res = await fetch(`${API_BASE}/api/discussions/${discussionId}/tasks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function updateTask(id, data, version) {
+    const res = await fetch(`${API_BASE}/api/tasks/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(version) },
+        body: JSON.stringify(data)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function setTaskStatus(id, status, version) {
+    const res = await fetch(`${API_BASE}/api/tasks/${id}/status`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(), ...ifMatch(version) },
+        body: JSON.stringify({ status })
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function deleteTask(id, version) {
+    const res = await fetch(`${API_BASE}/api/tasks/${id}`, {
+        method: 'DELETE',
+        headers: { ...authHeaders(), ...ifMatch(version) }
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function fetchRevisions(sectionId) {
+    const res = await fetch(`${API_BASE}/api/sections/${sectionId}/revisions`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return []; }
+    return res.json();
+}
+
+async function fetchRevisionDiff(sectionId, from, to) {
+    const res = await fetch(`${API_BASE}/api/sections/${sectionId}/diff?from=${from}&to=${to}`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return null; }
+    return res.json();
+}
+
+async function restoreRevision(sectionId, number, revision) {
+    const res = await fetch(`${API_BASE}/api/sections/${sectionId}/revisions/${number}/restore`, {
+        method: 'POST',
+        headers: { ...authHeaders(), ...ifMatch(revision) }
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+async function markNotificationRead(id) {
+    await fetch(`${API_BASE}/api/notifications/${id}/read`, { method: 'PATCH', headers: authHeaders() });
+}
+
+async function markAllNotificationsRead() {
+    await fetch(`${API_BASE}/api/notifications/read-all`, { method: 'PATCH', headers: authHeaders() });
+}
+
+async function fetchNotificationPreferences() {
+    const res = await fetch(`${API_BASE}/api/notifications/preferences`, { headers: authHeaders() });
+    if (res.status === 401) { logout(); return null; }
+    return res.json();
+}
+
+async function saveNotificationPreferences(preferences) {
+    const res = await fetch(`${API_BASE}/api/notifications/preferences`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(preferences)
+    });
+    if (res.status === 401) { logout(); return {}; }
+    return res.json();
+}
+
+// ========== RENDER FUNCTIONS ==========
+// Outline numbers ("1.2") by section id, for state.sections in order
+function sectionNumbers() {
+    return window.Outline.numberSections(state.sections);
+}
+
+// Collapsed outline branches survive reloads
+function saveCollapsed() {
+    localStorage.setItem('collapsedSections', JSON.stringify([...state.collapsed]));
+}
+
+function renderNavigation() {
+    const activeId = $('.nav-item.active')?.dataset.id;
+    const selectedSection = elements.sectionSelect.value;
+    const numbers = sectionNumbers();
+    const draggable = can('edit_sections');
+
+    elements.navList.innerHTML = state.sections.map((section, index) => {
+        const discussions = state.discussions.filter(d => d.section_id === section.id && !d.resolved);
+        const comments = discussions.filter(d => d.type === 'comment').length;
+        const questions = discussions.filter(d => d.type === 'question').length;
+        const hasChildren = state.sections[index + 1]?.level > section.level;
+        const collapsed = state.collapsed.has(section.id);
+        const hidden = window.Outline.ancestors(state.sections, section.id).some(id => state.collapsed.has(id));
+
+        return `
+            <li class="nav-item ${(activeId ? String(section.id) === activeId : index === 0) ? 'active' : ''}" data-id="${section.id}"
+                style="--level: ${section.level}" ${hidden ? 'hidden' : ''} ${draggable ? 'draggable="true"' : ''}>
+                ${hasChildren ? `
+                    <button class="nav-toggle ${collapsed ? 'collapsed' : ''}" data-toggle="${section.id}" aria-expanded="${!collapsed}" aria-label="${collapsed ? 'Expand' : 'Collapse'} ${window.Markdown.escapeHtml(section.title)}">
+                        <svg width="12" height="12" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="3" d="M19 9l-7 7-7-7"/>
+                        </svg>
+                    </button>
+                ` : '<span class="nav-toggle-spacer"></span>'}
+                <span class="nav-item-number">${numbers.get(section.id)}</span>
+                <span class="nav-item-title">${window.Markdown.escapeHtml(section.title)}</span>
+                <div class="nav-badges">
+                    ${renderApprovalIndicator(section)}
+                    ${comments ? `<span class="badge badge-comment">${comments}</span>` : ''}
+                    ${questions ? `<span class="badge badge-question">${questions}</span>` : ''}
+                </div>
+            </li>
+        `;
+    }).join('');
+
+    // Add click handlers
+    $$('.nav-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.nav-toggle');
+            if (toggle) {
+                toggleOutlineBranch(parseInt(toggle.dataset.toggle));
+                return;
+            }
+            $$('.nav-item').forEach(i => i.classList.remove('active'));
+            item.classList.add('active');
+            const sectionId = item.dataset.id;
+            document.getElementById(`section-${sectionId}`)?.scrollIntoView({ behavior: 'smooth' });
+            closeSidebar();
+        });
+    });
+    if (draggable) enableOutlineDrag();
+
+    // Update section selector
+    elements.sectionSelect.innerHTML = `
+        <option value="">General</option>
+        ${state.sections.map(s => `<option value="${s.id}">${'\u00a0\u00a0'.repeat(s.level - 1)}${numbers.get(s.id)} ${window.Markdown.escapeHtml(s.title)}</option>`).join('')}
+    `;
+    elements.sectionSelect.value = selectedSection;
+    renderReadiness();
+}
+
+function toggleOutlineBranch(sectionId) {
+    if (state.collapsed.has(sectionId)) {
+        state.collapsed.delete(sectionId);
+    } else {
+        state.collapsed.add(sectionId);
+    }
+    saveCollapsed();
+    renderNavigation();
+}
+
+function renderSections() {
+    elements.loading.style.display = 'none';
+    elements.sectionsContainer.innerHTML = state.sections.map(renderSectionCard).join('');
+    state.sections.forEach(s => highlightAnchors(s.id));
+}
+
+function pendingCount(sectionId) {
+    return state.discussions.filter(d => d.section_id === sectionId && !d.resolved).length;
+}
+
+function renderSectionCard(section) {
+    const draft = state.drafts[section.id];
+    const number = sectionNumbers().get(section.id);
+
+    return `
+        <article class="section-card ${draft ? 'editing' : ''}" id="section-${section.id}" style="--level: ${section.level}">
+            <header class="section-header">
+                <h2 class="section-title"><span class="section-number">${number}</span> ${window.Markdown.escapeHtml(section.title)}</h2>
+                <div class="section-actions">
+                    ${draft || !can('edit_sections') ? '' : renderOutlineActions(section)}
+                    ${draft || !can('edit_sections') ? '' : `
+                        <button class="btn-section" onclick="editSection(${section.id})">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
+                            </svg>
+                            <span>Edit</span>
+                        </button>
+                    `}
+                    ${modelSectionIds().has(section.id) ? `
+                        <button class="btn-section" onclick="showModel()">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"/>
+                            </svg>
+                            <span>Model</span>
+                        </button>
+                    ` : ''}
+                    ${isFrameworkSection(section) || sectionDecisions(section).length ? `
+                        <button class="btn-section" onclick="showDecisions(null, ${section.id})">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"/>
+                            </svg>
+                            <span>Decisions (${sectionDecisions(section).length})</span>
+                        </button>
+                    ` : ''}
+                    <button class="btn-section" onclick="showHistory(${section.id})">
+                        <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>
+                        </svg>
+                        <span>History</span>
+                    </button>
+                    ${can('comment') ? `
+                        <button class="btn-section" onclick="addFeedbackToSection(${section.id})">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"/>
+                            </svg>
+                            <span>Add Feedback</span>
+                        </button>
+                    ` : ''}
+                </div>
+            </header>
+            <div class="section-body">
+                ${draft ? renderSectionEditor(section.id, draft) : `<div class="section-content">${parseMarkdown(section.content)}</div>`}
+                ${draft || !modelSectionIds().has(section.id) ? '' : renderModelSummary()}
+            </div>
+            <footer class="section-footer">
+                <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 8h10M7 12h4m1 8l-4-4H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-3l-4 4z"/>
+                </svg>
+                <span id="section-pending-${section.id}">${pendingCount(section.id)} pending feedback</span>
+                <div class="section-approval" id="section-approval-${section.id}">${renderSectionApproval(section)}</div>
+            </footer>
+        </article>
+    `;
+}
+
+// Re-render one card in place. A card being edited only gets its footer
+// updated so the editor keeps its focus and cursor.
+function refreshSectionCard(sectionId) {
+    const section = state.sections.find(s => s.id === sectionId);
+    const card = document.getElementById(`section-${sectionId}`);
+    if (!section || !card) return;
+
+    if (state.drafts[sectionId]) {
+        document.getElementById(`section-pending-${sectionId}`).textContent = `${pendingCount(sectionId)} pending feedback`;
+        document.getElementById(`section-approval-${sectionId}`).innerHTML = renderSectionApproval(section);
+    } else {
+        card.outerHTML = renderSectionCard(section);
+        highlightAnchors(sectionId);
+    }
+}
+
+// ========== OUTLINE EDITING ==========
+// Owners add, nest, reorder and delete sections. Moves carry a section's
+// subsections along; the server keeps levels consistent and every tab
+// refetches the outline after a change.
+function renderOutlineActions(section) {
+    const index = state.sections.indexOf(section);
+    const canIndent = index > 0 && section.level <= state.sections[index - 1].level && section.level < window.Outline.MAX_LEVEL;
+    return `
+        <button class="btn-section btn-section-icon" onclick="shiftSectionLevel(${section.id}, -1)" title="Move up a level" aria-label="Move up a level" ${section.level === 1 ? 'disabled' : ''}>
+            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 17l-5-5 5-5m7 10l-5-5 5-5"/>
+            </svg>
+        </button>
+        <button class="btn-section btn-section-icon" onclick="shiftSectionLevel(${section.id}, 1)" title="Make a subsection of the section above" aria-label="Make a subsection" ${canIndent ? '' : 'disabled'}>
+            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 7l5 5-5 5M6 7l5 5-5 5"/>
+            </svg>
+        </button>
+        <button class="btn-section btn-section-icon" onclick="confirmDeleteSection(${section.id})" title="Delete section" aria-label="Delete section">
+            <svg width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+            </svg>
+        </button>
+    `;
+}
+
+async function reloadOutline() {
+    state.sections = await fetchSections();
+    state.discussions = await fetchDiscussions();
+    if (Object.keys(state.drafts).length === 0) {
+        renderSections();
+    } else {
+        // Open editors keep their cards; only the others are redrawn
+        state.sections.forEach(s => refreshSectionCard(s.id));
+    }
+    renderNavigation();
+    renderDiscussions();
+    renderStats();
+}
+
+// Moves answer with the new outline, failures with { error }
+async function applyOutlineChange(result, fallback) {
+    if (!Array.isArray(result)) showToast(result.error || fallback);
+    await reloadOutline();
+}
+
+window.shiftSectionLevel = async function(sectionId, step) {
+    const section = state.sections.find(s => s.id === sectionId);
+    await applyOutlineChange(await moveSection(sectionId, { level: section.level + step }), 'Could not move the section');
+};
+
+// "Place" options: after a section as its sibling or as its first subsection
+window.showNewSection = function() {
+    const activeId = parseInt($('.nav-item.active')?.dataset.id) || state.sections[state.sections.length - 1]?.id;
+    const numbers = sectionNumbers();
+
+    openModal('New section', `
+        <form class="account-form" onsubmit="submitNewSection(event)">
+            <input type="text" class="account-input" id="new-section-title" placeholder="Title" maxlength="200" required>
+            <select class="account-input" id="new-section-after" aria-label="Place after">
+                ${state.sections.map(s => `
+                    <option value="${s.id}" ${s.id === activeId ? 'selected' : ''}>After ${numbers.get(s.id)} ${window.Markdown.escapeHtml(truncate(s.title, 40))}</option>
+                `).join('')}
+            </select>
+            <label class="account-check">
+                <input type="checkbox" id="new-section-nested"> As a subsection
+            </label>
+            <button type="submit" class="btn-primary">Add section</button>
+        </form>
+    `);
+    $('#new-section-title').focus();
+};
+
+window.submitNewSection = async function(e) {
+    e.preventDefault();
+    const after = state.sections.find(s => s.id === parseInt($('#new-section-after').value));
+    const nested = $('#new-section-nested').checked;
+
+    // A sibling goes after the whole branch, a subsection right below the section
+    let level = 1;
+    let beforeId = null;
+    if (after) {
+        const branch = window.Outline.subtree(state.sections, after.id);
+        const next = nested ? state.sections[state.sections.indexOf(after) + 1] : state.sections[state.sections.indexOf(branch[branch.length - 1]) + 1];
+        level = nested ? after.level + 1 : after.level;
+        beforeId = next ? next.id : null;
+    }
+
+    const result = await createSection({ title: $('#new-section-title').value.trim(), level, before_id: beforeId });
+    if (!result.id) {
+        showToast(result.error || 'Could not add the section');
+        return;
+    }
+    closeModal();
+    await reloadOutline();
+    document.getElementById(`section-${result.id}`)?.scrollIntoView({ behavior: 'smooth' });
+    window.editSection(result.id);
+};
+
+window.confirmDeleteSection = function(sectionId) {
+    const section = state.sections.find(s => s.id === sectionId);
+    const discussions = state.discussions.filter(d => d.section_id === sectionId).length;
+    const subsections = window.Outline.subtree(state.sections, sectionId).length - 1;
+
+    openModal('Delete section', `
+        <div class="conflict">
+            <p>Delete "${window.Markdown.escapeHtml(section.title)}" and its revision history?</p>
+            <ul class="delete-consequences">
+                <li>${discussions
+                    ? `Its ${discussions} discussion${discussions === 1 ? '' : 's'} will be kept as general discussions; inline highlights are removed.`
+                    : 'It has no discussions.'}</li>
+                ${subsections ? `<li>Its ${subsections} subsection${subsections === 1 ? '' : 's'} move${subsections === 1 ? 's' : ''} up one level.</li>` : ''}
+            </ul>
+            <div class="editor-actions">
+                <button class="btn-cancel" onclick="closeModal()">Cancel</button>
+                <button class="btn-primary btn-danger" onclick="submitDeleteSection(${section.id})">Delete</button>
+            </div>
+        </div>
+    `);
+};
+
+window.submitDeleteSection = async function(sectionId) {
+    const section = state.sections.find(s => s.id === sectionId);
+    const result = await deleteSection(sectionId, section.revision);
+    closeModal();
+    if (!result.success) {
+        showToast(result.error || 'Could not delete the section');
+    } else {
+        state.collapsed.delete(sectionId);
+        saveCollapsed();
+        showToast(`Deleted "${section.title}"`);
+    }
+    await reloadOutline();
+};
+
+// Drag a sidebar item onto another: the upper half drops before it, the
+// lower half after its whole branch. The section takes the target's level.
+function enableOutlineDrag() {
+    let dragged = null;
+
+    $$('.nav-item[draggable="true"]').forEach(item => {
+        item.addEventListener('dragstart', (e) => {
+            dragged = parseInt(item.dataset.id);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(dragged));
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => {
+            item.classList.remove('dragging');
+            $$('.nav-item').forEach(i => i.classList.remove('drop-before', 'drop-after'));
+        });
+        item.addEventListener('dragover', (e) => {
+            const target = parseInt(item.dataset.id);
+            if (dragged === null || window.Outline.subtree(state.sections, dragged).some(s => s.id === target)) return;
+            e.preventDefault();
+            const rect = item.getBoundingClientRect();
+            const before = e.clientY < rect.top + rect.height / 2;
+            item.classList.toggle('drop-before', before);
+            item.classList.toggle('drop-after', !before);
+        });
+        item.addEventListener('dragleave', () => {
+            item.classList.remove('drop-before', 'drop-after');
+        });
+        item.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            const target = state.sections.find(s => s.id === parseInt(item.dataset.id));
+            const before = item.classList.contains('drop-before');
+            item.classList.remove('drop-before', 'drop-after');
+            if (dragged === null || !target) return;
+
+            const branch = window.Outline.subtree(state.sections, target.id);
+            const next = before ? target : state.sections[state.sections.indexOf(branch[branch.length - 1]) + 1];
+            const sectionId = dragged;
+            dragged = null;
+
+            // Dropped right where it is: only the level can change
+            const changes = { level: target.level };
+            if (next?.id !== sectionId) changes.before_id = next ? next.id : null;
+            await applyOutlineChange(await moveSection(sectionId, changes), 'Could not move the section');
+        });
+    });
+}
+
+// ========== SECTION APPROVAL ==========
+// Approvers sign off on each section's current revision; saving a new
+// revision clears the sign-offs on the server. The plan is ready once every
+// section is approved by everyone who can approve.
+const APPROVAL_LABELS = {
+    draft: 'Draft',
+    in_review: 'In review',
+    approved: 'Approved',
+    approved_all: 'Approved by all'
+};
+
+function approvalLabel(approval) {
+    if (approval.status !== 'approved') return APPROVAL_LABELS[approval.status];
+    return `Approved by ${approval.approved_by.map(a => a.name).join(', ')}`;
+}
+
+function approvalTitle(approval) {
+    const waiting = approval.waiting_for.map(w => w.name).join(', ');
+    return waiting && approval.status !== 'draft' ? `${approvalLabel(approval)} - waiting for ${waiting}` : approvalLabel(approval);
+}
+
+function renderApprovalIndicator(section) {
+    const { approval } = section;
+    return `<span class="nav-approval approval-${approval.status}" title="${window.Markdown.escapeHtml(approvalTitle(approval))}" aria-label="${window.Markdown.escapeHtml(approvalTitle(approval))}"></span>`;
+}
+
+function renderSectionApproval(section) {
+    const { approval } = section;
+    const mine = approval.approved_by.some(a => a.user_id === state.currentUser.id);
+
+    return `
+        <span class="approval-status approval-${approval.status}" title="${window.Markdown.escapeHtml(approvalTitle(approval))}">${window.Markdown.escapeHtml(approvalLabel(approval))}</span>
+        ${can('approve_sections') ? `
+            <button class="action-btn ${mine ? '' : 'resolve'}" onclick="${mine ? 'handleRevokeApproval' : 'handleApprove'}(${section.id})">${mine ? 'Revoke approval' : '✓ Approve'}</button>
+        ` : ''}
+        ${can('edit_sections') ? `
+            <button class="action-btn" onclick="handleSectionStatus(${section.id}, '${section.status === 'draft' ? 'in_review' : 'draft'}')">
+                ${section.status === 'draft' ? 'Ready for review' : 'Back to draft'}
+            </button>
+        ` : ''}
+    `;
+}
+
+// Plan-level summary above the sections
+function renderReadiness() {
+    const banner = $('#readiness-banner');
+    const total = state.sections.length;
+    const approved = state.sections.filter(s => s.approval.status === 'approved_all').length;
+    banner.hidden = total === 0;
+    if (total === 0) return;
+
+    // Who still has sections to approve, with how many
+    const waiting = new Map();
+    state.sections.filter(s => s.approval.status !== 'draft').forEach(s => {
+        s.approval.waiting_for.forEach(w => waiting.set(w.name, (waiting.get(w.name) || 0) + 1));
+    });
+    const drafts = state.sections.filter(s => s.approval.status === 'draft').length;
+    const ready = approved === total;
+
+    banner.classList.toggle('ready', ready);
+    banner.innerHTML = `
+        <div class="readiness-summary">
+            <strong>${ready ? 'Plan approved' : 'Plan not yet approved'}</strong>
+            <span>${approved} of ${total} section${total === 1 ? '' : 's'} approved by everyone</span>
+        </div>
+        <div class="readiness-progress"><div style="width: ${Math.round(approved / total * 100)}%"></div></div>
+        ${ready ? '' : `
+            <div class="readiness-details">
+                ${drafts ? `<span>${drafts} still in draft</span>` : ''}
+                ${[...waiting].map(([name, count]) => `<span>Waiting for ${window.Markdown.escapeHtml(name)} on ${count}</span>`).join('')}
+            </div>
+        `}
+    `;
+}
+
+function applyApproval(sectionId, approval) {
+    const section = state.sections.find(s => s.id === sectionId);
+    if (!section) return;
+    section.approval = approval;
+    // A section with approvals is always in review
+    section.status = approval.status === 'draft' ? 'draft' : 'in_review';
+    refreshSectionCard(sectionId);
+    renderNavigation();
+}
+
+window.handleApprove = async function(sectionId) {
+    const section = state.sections.find(s => s.id === sectionId);
+    const result = await approveSection(sectionId, section.revision);
+    if (result.current) {
+        // Someone saved a new revision we haven't seen: approve what's there now, not what we read
+        state.sections = await fetchSections();
+        renderNavigation();
+        renderSections();
+        showToast('This section changed since you read it - check the new wording before approving');
+        return;
+    }
+    if (!result.status) {
+        showToast(result.error || 'Could not approve the section');
+        return;
+    }
+    applyApproval(sectionId, result);
+    showToast(result.status === 'approved_all' ? 'Approved - every approver has signed off' : 'Approved');
+};
+
+window.handleRevokeApproval = async function(sectionId) {
+    const result = await revokeApproval(sectionId);
+    if (!result.status) {
+        showToast(result.error || 'Could not revoke the approval');
+        return;
+    }
+    applyApproval(sectionId, result);
+    showToast('Approval revoked');
+};
+
+window.handleSectionStatus = async function(sectionId, status) {
+    const result = await setSectionStatus(sectionId, status);
+    if (!result.status) {
+        showToast(result.error || 'Could not change the section status');
+        return;
+    }
+    applyApproval(sectionId, result);
+    showToast(status === 'draft' ? 'Back to draft - approvals cleared' : 'Ready for review');
+};
+
+// ========== INLINE COMMENT ANCHORS ==========
+// Anchors point into the markdown source; the rendered text differs from it
+// by markup and whitespace. Both sides are compared as a "skeleton" with
+// those characters removed, which survives the markdown round trip.
+const ANCHOR_MARKUP = /[\s*_`#>|-]/;
+
+function anchorSkeleton(text) {
+    return [...text].filter(c => !ANCHOR_MARKUP.test(c)).join('');
+}
+
+// Skeleton of the rendered text plus the DOM position of each of its characters
+function mapRenderedText(container) {
+    const positions = [];
+    let skeleton = '';
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        for (let i = 0; i < node.length; i++) {
+            if (ANCHOR_MARKUP.test(node.data[i])) continue;
+            skeleton += node.data[i];
+            positions.push({ node, offset: i });
+        }
+    }
+    return { skeleton, positions };
+}
+
+// Occurrence of the quote whose preceding text best matches the stored prefix
+function findRenderedAnchor(container, anchor) {
+    const quote = anchorSkeleton(anchor.quote);
+    if (!quote) return null;
+
+    const { skeleton, positions } = mapRenderedText(container);
+    const prefix = anchorSkeleton(anchor.prefix || '');
+    let best = null;
+    for (let i = skeleton.indexOf(quote); i !== -1; i = skeleton.indexOf(quote, i + 1)) {
+        let score = 0;
+        while (score < prefix.length && skeleton[i - 1 - score] === prefix[prefix.length - 1 - score]) score++;
+        if (!best || score > best.score) best = { index: i, score };
+    }
+    if (!best) return null;
+
+    const last = positions[best.index + quote.length - 1];
+    return { start: positions[best.index], end: { node: last.node, offset: last.offset + 1 } };
+}
+
+// Wrap each text node in the range in its own <mark>, since ranges can span elements
+function wrapAnchor({ start, end }, discussionId, className = 'anchor-highlight') {
+    const nodes = [];
+    const walker = document.createTreeWalker(start.node.parentNode.closest('.section-content'), NodeFilter.SHOW_TEXT);
+    walker.currentNode = start.node;
+    for (let node = start.node; node; node = walker.nextNode()) {
+        nodes.push(node);
+        if (node === end.node) break;
+    }
+
+    nodes.forEach(node => {
+        const from = node === start.node ? start.offset : 0;
+        const to = node === end.node ? end.offset : node.length;
+        if (from >= to || !node.data.slice(from, to).trim()) return;
+
+        let target = node;
+        if (from > 0) target = target.splitText(from);
+        if (to - from < target.length) target.splitText(to - from);
+
+        const mark = document.createElement('mark');
+        mark.className = `anchor-highlight ${className}`;
+        mark.dataset.discussionId = discussionId;
+        mark.addEventListener('click', (e) => {
+            e.stopPropagation(); // overlapping anchors nest their marks
+            window.focusDiscussion(discussionId);
+        });
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+    });
+}
+
+// Pending suggestions show as a tracked change: the quote struck through, the replacement inserted after it
+function markSuggestion(range, discussion) {
+    wrapAnchor(range, discussion.id, 'anchor-suggestion');
+    const marks = document.querySelectorAll(`.anchor-suggestion[data-discussion-id="${discussion.id}"]`);
+    if (!marks.length || !discussion.suggestion.replacement) return;
+
+    const insert = document.createElement('ins');
+    insert.className = 'suggestion-insert';
+    insert.dataset.discussionId = discussion.id;
+    insert.textContent = discussion.suggestion.replacement;
+    insert.addEventListener('click', () => window.focusDiscussion(discussion.id));
+    marks[marks.length - 1].after(insert);
+}
+
+function highlightAnchors(sectionId) {
+    const container = document.querySelector(`#section-${sectionId}:not(.editing) .section-content`);
+    if (!container) return;
+
+    state.discussions
+        .filter(d => d.section_id === sectionId && d.anchor && !d.anchor.orphaned && !d.resolved)
+        .forEach(d => {
+            const range = findRenderedAnchor(container, d.anchor);
+            if (!range) return;
+            if (d.suggestion) {
+                markSuggestion(range, d);
+            } else {
+                wrapAnchor(range, d.id);
+            }
+        });
+}
+
+// Translate the current selection into offsets in the section's markdown source
+async function anchorFromSelection() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount || selection.isCollapsed) return null;
+
+    const range = selection.getRangeAt(0);
+    const container = selectionContainer(range);
+    const card = container?.closest('.section-card:not(.editing)');
+    if (!card) return null;
+
+    const quote = anchorSkeleton(selection.toString());
+    if (!quote) return null;
+
+    // Which occurrence of the text was selected, counted in the rendered text
+    const before = document.createRange();
+    before.selectNodeContents(container);
+    before.setEnd(range.startContainer, range.startOffset);
+    const offset = anchorSkeleton(before.toString()).length;
+    const rendered = mapRenderedText(container).skeleton;
+    let occurrence = 0;
+    for (let i = rendered.indexOf(quote); i !== -1 && i < offset; i = rendered.indexOf(quote, i + 1)) occurrence++;
+
+    const sectionId = parseInt(card.id.replace('section-', ''));
+    const section = await fetchSection(sectionId);
+    if (!section) return null;
+
+    // Same characters in the source, with any markup or whitespace in between
+    const escape = c => c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp([...quote].map(escape).join('[\\s*_`#>|-]*'), 'g');
+    const matches = [...section.content.matchAll(pattern)];
+    const match = matches[occurrence] || matches[0];
+    if (!match) return null;
+
+    return {
+        sectionId,
+        quote: match[0],
+        start: match.index,
+        end: match.index + match[0].length
+    };
+}
+
+function renderFormAnchor() {
+    const anchor = state.pendingAnchor;
+    elements.formAnchor.hidden = !anchor;
+    // Suggestions always replace selected text
+    elements.suggestionOption.hidden = !anchor;
+    const suggesting = anchor && formType() === 'suggestion';
+    if (!anchor && formType() === 'suggestion') {
+        document.querySelector('input[name="type"][value="comment"]').checked = true;
+    }
+    elements.formReplacement.hidden = !suggesting;
+    elements.formTextarea.placeholder = suggesting ? 'Why this change? (optional)' : 'Add comment or question...';
+    elements.formAnchor.innerHTML = anchor ? `
+        <span class="form-anchor-quote">“${window.Markdown.escapeHtml(truncate(anchor.quote, 120))}”</span>
+        <button type="button" class="form-anchor-clear" onclick="clearPendingAnchor()" aria-label="Comment on the whole section">×</button>
+    ` : '';
+}
+
+function formType() {
+    return document.querySelector('input[name="type"]:checked').value;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+window.clearPendingAnchor = function() {
+    state.pendingAnchor = null;
+    renderFormAnchor();
+};
+
+// type is 'comment' or 'suggestion'
+window.commentOnSelection = async function(type) {
+    elements.anchorToolbar.hidden = true;
+    const anchor = await anchorFromSelection();
+    if (!anchor) {
+        showToast('Could not match that selection to the section text');
+        return;
+    }
+
+    state.pendingAnchor = anchor;
+    window.getSelection().removeAllRanges();
+    document.querySelector(`input[name="type"][value="${type}"]`).checked = true;
+    elements.formReplacement.value = type === 'suggestion' ? anchor.quote : '';
+    renderFormAnchor();
+    window.addFeedbackToSection(anchor.sectionId);
+    if (type === 'suggestion') elements.formReplacement.focus();
+};
+
+function selectionContainer(range) {
+    const node = range.commonAncestorContainer;
+    const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    return element.closest('.section-content');
+}
+
+// Floating Comment / Suggest edit buttons next to a text selection inside a section
+function updateAnchorButton() {
+    const selection = window.getSelection();
+    const container = selection.rangeCount ? selectionContainer(selection.getRangeAt(0)) : null;
+    const inSection = container?.closest('.section-card:not(.editing)');
+
+    if (!can('comment') || !inSection || selection.isCollapsed || !selection.toString().trim()) {
+        elements.anchorToolbar.hidden = true;
+        return;
+    }
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    elements.anchorToolbar.style.top = `${Math.max(rect.top - 44, 8)}px`;
+    elements.anchorToolbar.style.left = `${Math.min(Math.max(rect.left + rect.width / 2, 110), window.innerWidth - 110)}px`;
+    elements.anchorToolbar.hidden = false;
+}
+
+window.scrollToAnchor = function(discussionId) {
+    const mark = document.querySelector(`.anchor-highlight[data-discussion-id="${discussionId}"]`);
+    if (!mark) return;
+    mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    document.querySelectorAll(`.anchor-highlight[data-discussion-id="${discussionId}"]`)
+        .forEach(m => { m.style.animation = 'highlight 1s ease'; });
+};
+
+function renderSectionEditor(sectionId, draft) {
+    return `
+        <div class="section-editor">
+            <input type="text" class="editor-title" id="editor-title-${sectionId}" value="${window.Markdown.escapeHtml(draft.title)}" oninput="updateDraft(${sectionId})" placeholder="Section title">
+            <div class="editor-panes">
+                <textarea class="editor-textarea" id="editor-textarea-${sectionId}" oninput="updateDraft(${sectionId})" placeholder="Write in markdown...">${window.Markdown.escapeHtml(draft.content)}</textarea>
+                <div class="editor-preview section-content" id="editor-preview-${sectionId}">${parseMarkdown(draft.content)}</div>
+            </div>
+            <div class="editor-actions">
+                <span class="editor-status" id="editor-status-${sectionId}">${isDraftDirty(draft) ? 'Unsaved changes' : ''}</span>
+                <button class="btn-cancel" onclick="cancelEdit(${sectionId})">Cancel</button>
+                <button class="btn-primary" onclick="saveEdit(${sectionId})">Save</button>
+            </div>
+        </div>
+    `;
+}
+
+const SUGGESTION_STATUS = {
+    accepted: 'Accepted',
+    rejected: 'Rejected'
+};
+
+// Suggested edit as a diff of the anchored text, with its outcome once closed
+function renderSuggestion(d) {
+    const { replacement, status, note, original } = d.suggestion;
+    const pending = status === 'pending';
+    const quote = pending ? d.anchor.quote : original;
+    const located = pending && !d.anchor.orphaned;
+    return `
+        <div class="suggestion-diff" ${located ? `onclick="scrollToAnchor(${d.id})"` : ''}>
+            ${quote ? `<del>${window.Markdown.escapeHtml(truncate(quote, 200))}</del>` : ''}
+            ${replacement ? `<ins>${window.Markdown.escapeHtml(truncate(replacement, 200))}</ins>` : ''}
+        </div>
+        ${pending && d.anchor.orphaned ? '<div class="discussion-quote-note">This text is no longer in the section</div>' : ''}
+        ${!pending ? `
+            <div class="suggestion-status status-${status}">
+                ${SUGGESTION_STATUS[status]} by ${window.Markdown.escapeHtml(d.resolved_by)}${note ? `: ${window.Markdown.escapeHtml(note)}` : ''}
+            </div>
+        ` : ''}
+    `;
+}
+
+function renderSuggestionActions(d) {
+    if (d.suggestion.status !== 'pending') return '';
+    return `
+        ${can('edit_sections') && !d.anchor.orphaned ? `<button class="action-btn resolve" onclick="handleAcceptSuggestion(${d.id})">✓ Accept</button>` : ''}
+        ${can('resolve') ? `<button class="action-btn" onclick="handleRejectSuggestion(${d.id})">Reject</button>` : ''}
+    `;
+}
+
+function renderDiscussions() {
+    let discussions = [...state.discussions];
+
+    // Apply filter
+    switch (state.activeFilter) {
+        case 'comments':
+            discussions = discussions.filter(d => d.type === 'comment');
+            break;
+        case 'questions':
+            discussions = discussions.filter(d => d.type === 'question');
+            break;
+        case 'suggestions':
+            discussions = discussions.filter(d => d.type === 'suggestion');
+            break;
+        case 'resolved':
+            discussions = discussions.filter(d => d.resolved);
+            break;
+        case 'pending':
+            discussions = discussions.filter(d => !d.resolved);
+            break;
+    }
+
+    // Update FAB badge
+    const pendingCount = state.discussions.filter(d => !d.resolved).length;
+    elements.fabBadge.textContent = pendingCount;
+    elements.fabBadge.dataset.count = pendingCount;
+
+    if (discussions.length === 0) {
+        elements.discussionList.innerHTML = `
+            <div class="empty-state">
+                <p>No discussions yet.<br>Add a comment or question below!</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Live updates re-render the list while someone may be typing a reply
+    const openReplies = [...$$('.reply-form.open')].map(form => ({
+        id: form.id,
+        text: form.querySelector('.reply-input').value,
+        focused: form.contains(document.activeElement)
+    }));
+
+    elements.discussionList.innerHTML = discussions.map(d => {
+        return `
+            <div class="discussion-item type-${d.type} ${d.resolved ? 'resolved' : ''}" data-id="${d.id}">
+                <div class="discussion-header">
+                    <div class="discussion-meta">
+                        ${renderAvatar(d.author)}
+                        <div>
+                            <div class="discussion-author">${window.Markdown.escapeHtml(d.author)}</div>
+                            <div class="discussion-time">${formatTime(d.created_at)}</div>
+                        </div>
+                    </div>
+                    <span class="discussion-type">${d.type}</span>
+                </div>
+                ${d.section_title ? `<div class="discussion-section">📍 ${window.Markdown.escapeHtml(d.section_title)}</div>` : ''}
+                ${d.scenario_id ? renderScenarioLink(d.scenario_id) : ''}
+                ${renderDecisionLink(d.id)}
+                ${d.suggestion ? renderSuggestion(d) : d.anchor ? `
+                    <blockquote class="discussion-quote ${d.anchor.orphaned ? 'orphaned' : ''}" ${d.anchor.orphaned ? '' : `onclick="scrollToAnchor(${d.id})"`}>
+                        ${window.Markdown.escapeHtml(truncate(d.anchor.quote, 200))}
+                        ${d.anchor.orphaned ? '<span class="discussion-quote-note">This text is no longer in the section</span>' : ''}
+                    </blockquote>
+                ` : ''}
+                <div class="discussion-text">${parseMarkdown(d.text)}</div>
+                <div class="discussion-actions">
+                    ${can('comment') ? `<button class="action-btn reply" onclick="toggleReplyForm(${d.id})">Reply</button>` : ''}
+                    ${d.suggestion ? renderSuggestionActions(d) : !can('resolve') ? '' : d.resolved
+                        ? `<button class="action-btn" onclick="handleResolve(${d.id}, false)">Reopen</button>`
+                        : `<button class="action-btn resolve" onclick="handleResolve(${d.id}, true)">✓ Resolve</button>`
+                    }
+                    ${d.resolved && !d.suggestion && can('record_decisions') && !state.decisions.some(x => x.discussion_id === d.id)
+                        ? `<button class="action-btn" onclick="showDecisionForm(null, ${d.id})">Record decision</button>` : ''}
+                    ${can('assign_tasks') ? `<button class="action-btn" onclick="showTaskForm(null, ${d.id})">+ Task</button>` : ''}
+                </div>
+                ${renderDiscussionTasks(d.id)}
+                ${d.replies && d.replies.length > 0 ? `
+                    <div class="replies">
+                        ${d.replies.map(r => {
+                            return `
+                                <div class="reply">
+                                    ${renderAvatar(r.author)}
+                                    <div class="reply-content">
+                                        <div class="reply-header">
+                                            <span class="reply-author">${window.Markdown.escapeHtml(r.author)}</span>
+                                            <span class="reply-time">${formatTime(r.created_at)}</span>
+                                            ${can('assign_tasks') ? `<button class="reply-task" onclick="showTaskForm(null, ${d.id}, ${r.id})">+ Task</button>` : ''}
+                                        </div>
+                                        <div class="reply-text">${parseMarkdown(r.text)}</div>
+                                    </div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                ` : ''}
+                <div class="reply-form" id="reply-form-${d.id}">
+                    <input type="text" class="reply-input" id="reply-input-${d.id}" placeholder="Write a reply...">
+                    <div class="reply-form-actions">
+                        <button class="btn-cancel" onclick="toggleReplyForm(${d.id})">Cancel</button>
+                        <button class="btn-reply" onclick="submitReply(${d.id})">Reply</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    openReplies.forEach(({ id, text, focused }) => {
+        const form = document.getElementById(id);
+        if (!form) return;
+        const input = form.querySelector('.reply-input');
+        form.classList.add('open');
+        input.value = text;
+        if (focused) input.focus();
+    });
 }
 
 async function renderStats() {
     const stats = await fetchStats();
 
-    elements.sidebarStats.innerHTML = `
-        <div class="stats-grid">
-            <div class="stat-card">
-                <div class="stat-number">${stats.totalComments}</div>
-                <div class="stat-label">Comments</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-number">${stats.totalQuestions}</div>
-                <div class="stat-label">Questions</div>
+    elements.sidebarStats.innerHTML = `
+        <div class="stats-grid">
+            <div class="stat-card">
+                <div class="stat-number">${stats.totalComments}</div>
+                <div class="stat-label">Comments</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number">${stats.totalQuestions}</div>
+                <div class="stat-label">Questions</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number">${stats.resolved}</div>
+                <div class="stat-label">Resolved</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-number">${stats.pending}</div>
+                <div class="stat-label">Pending</div>
+            </div>
+        </div>
+    `;
+}
+
+async function renderNotifications() {
+    state.notifications = await fetchNotifications();
+    renderNotificationList();
+}
+
+function renderNotificationList() {
+    const unread = state.notifications.filter(n => !n.read).length;
+
+    elements.notificationBadge.textContent = unread;
+    elements.notificationBadge.dataset.count = unread;
+
+    if (state.notifications.length === 0) {
+        elements.notificationList.innerHTML = `
+            <div class="empty-state">
+                <p>No notifications yet</p>
+            </div>
+        `;
+        return;
+    }
+
+    elements.notificationList.innerHTML = state.notifications.map(n => `
+        <div class="notification-item ${n.read ? '' : 'unread'}" data-id="${n.id}" onclick="handleNotificationClick(${n.id})">
+            <div class="notification-message">${window.Markdown.escapeHtml(n.message)}</div>
+            <div class="notification-time">${formatTime(n.created_at)}</div>
+        </div>
+    `).join('');
+}
+
+// ========== NOTIFICATION SETTINGS ==========
+// Every type and section is ticked unless muted; each change saves at once
+async function openNotificationSettings() {
+    const preferences = await fetchNotificationPreferences();
+    if (!preferences) return;
+    state.notificationPreferences = preferences;
+    renderNotificationSettings();
+    elements.notificationPanel.classList.remove('open');
+    elements.notificationSettings.classList.add('open');
+}
+
+function renderNotificationSettings() {
+    const { types, muted_types: mutedTypes, muted_sections: mutedSections } = state.notificationPreferences;
+    const numbers = sectionNumbers();
+    const option = (data, label, muted) => `
+        <label class="account-check">
+            <input type="checkbox" ${data} ${muted ? '' : 'checked'} onchange="toggleNotificationMute(this)"> ${label}
+        </label>`;
+
+    elements.notificationSettingsBody.innerHTML = `
+        <fieldset class="notification-settings-group">
+            <legend>Activity</legend>
+            ${types.map(({ type, label }) => option(`data-type="${type}"`, window.Markdown.escapeHtml(label), mutedTypes.includes(type))).join('')}
+        </fieldset>
+        <fieldset class="notification-settings-group">
+            <legend>Sections</legend>
+            ${state.sections.map(s => option(`data-section="${s.id}"`,
+                `${numbers.get(s.id)} ${window.Markdown.escapeHtml(s.title)}`, mutedSections.includes(s.id))).join('')}
+        </fieldset>
+    `;
+}
+
+window.toggleNotificationMute = async function(input) {
+    const prefs = state.notificationPreferences;
+    const toggle = (list, value) => (input.checked ? list.filter(v => v !== value) : [...list, value]);
+    // Sections deleted since the settings were opened are no longer muted
+    const mutedSections = prefs.muted_sections.filter(id => state.sections.some(s => s.id === id));
+    const result = await saveNotificationPreferences(input.dataset.type
+        ? { muted_types: toggle(prefs.muted_types, input.dataset.type), muted_sections: mutedSections }
+        : { muted_types: prefs.muted_types, muted_sections: toggle(mutedSections, parseInt(input.dataset.section)) });
+
+    if (!result.types) {
+        input.checked = !input.checked;
+        showToast(result.error || 'Could not save notification settings');
+        return;
+    }
+    state.notificationPreferences = result;
+};
+
+function renderDiffLines(lines) {
+    const prefixes = { added: '+', removed: '-', unchanged: ' ' };
+    return `<pre class="diff-lines">${lines.map(l =>
+        `<div class="diff-line diff-${l.type}">${prefixes[l.type]} ${window.Markdown.escapeHtml(l.text)}</div>`
+    ).join('')}</pre>`;
+}
+
+function renderRevisionDiff(diff) {
+    const titleChange = diff.title.from !== diff.title.to
+        ? `<div class="diff-title-change">Title: <del>${window.Markdown.escapeHtml(diff.title.from)}</del> → <ins>${window.Markdown.escapeHtml(diff.title.to)}</ins></div>`
+        : '';
+
+    return `
+        <div class="diff-summary">
+            <span class="diff-added">+${diff.added}</span>
+            <span class="diff-removed">-${diff.removed}</span>
+            <span>revision ${diff.from} → ${diff.to}</span>
+        </div>
+        ${titleChange}
+        ${renderDiffLines(diff.lines)}
+    `;
+}
+
+// ========== EVENT HANDLERS ==========
+function updateUserAvatar() {
+    const name = state.currentUser.name;
+    elements.currentAvatar.textContent = name.charAt(0).toUpperCase();
+    elements.currentAvatar.className = `avatar avatar-color-${avatarColor(name)}`;
+    elements.currentUserName.textContent = name;
+}
+
+function closeSidebar() {
+    elements.sidebar.classList.remove('open');
+    elements.sidebarOverlay.classList.remove('open');
+}
+
+function openPanel() {
+    elements.panel.classList.add('open');
+}
+
+function closePanel() {
+    elements.panel.classList.remove('open');
+}
+
+function openModal(title, html) {
+    elements.modalTitle.textContent = title;
+    elements.modalBody.innerHTML = html;
+    elements.modalOverlay.classList.add('open');
+}
+
+function closeModal() {
+    elements.modalOverlay.classList.remove('open');
+}
+
+window.showHistory = async function(sectionId, selectedNumber) {
+    const section = state.sections.find(s => s.id === sectionId);
+    const revisions = await fetchRevisions(sectionId);
+    if (!section || revisions.length === 0) return;
+
+    const selected = revisions.find(r => r.number === selectedNumber) || revisions[0];
+    const diff = await fetchRevisionDiff(sectionId, selected.number - 1, selected.number);
+
+    openModal(`History · ${section.title}`, `
+        <div class="history">
+            <ul class="history-list">
+                ${revisions.map(r => `
+                    <li class="history-item ${r.number === selected.number ? 'active' : ''}" onclick="showHistory(${sectionId}, ${r.number})">
+                        <div class="history-number">Revision ${r.number}${r.current ? ' · current' : ''}</div>
+                        <div class="history-meta">${window.Markdown.escapeHtml(r.author || 'Original plan')} · ${r.created_at ? formatTime(r.created_at) : 'seed'}</div>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="history-detail">
+                ${diff ? renderRevisionDiff(diff) : ''}
+                ${selected.current || !can('edit_sections') ? '' : `
+                    <button class="btn-primary" onclick="handleRestore(${sectionId}, ${selected.number})">Restore revision ${selected.number}</button>
+                `}
+            </div>
+        </div>
+    `);
+};
+
+window.handleRestore = async function(sectionId, number) {
+    if (!confirm(`Restore revision ${number}? The current text stays available in the history.`)) return;
+
+    const section = state.sections.find(s => s.id === sectionId);
+    const result = await restoreRevision(sectionId, number, section.revision);
+    state.sections = await fetchSections();
+    renderNavigation();
+    renderSections();
+
+    if (result.current) {
+        await window.showHistory(sectionId);
+        showToast('This section was just changed by someone else - review the history and try again');
+        return;
+    }
+    await window.showHistory(sectionId, result.revision);
+    showToast(`Restored revision ${number}`);
+};
+
+function isDraftDirty(draft) {
+    return draft.title !== draft.original.title || draft.content !== draft.original.content;
+}
+
+function hasUnsavedDrafts() {
+    return Object.values(state.drafts).some(isDraftDirty);
+}
+
+window.editSection = async function(sectionId) {
+    const section = await fetchSection(sectionId);
+    if (!section) {
+        showToast('Could not load section for editing');
+        return;
+    }
+
+    state.drafts[sectionId] = {
+        title: section.title,
+        content: section.content,
+        original: { title: section.title, content: section.content, revision: section.revision }
+    };
+    renderSections();
+    document.getElementById(`editor-textarea-${sectionId}`).focus();
+};
+
+window.updateDraft = function(sectionId) {
+    const draft = state.drafts[sectionId];
+    draft.title = document.getElementById(`editor-title-${sectionId}`).value;
+    draft.content = document.getElementById(`editor-textarea-${sectionId}`).value;
+
+    document.getElementById(`editor-preview-${sectionId}`).innerHTML = parseMarkdown(draft.content);
+    document.getElementById(`editor-status-${sectionId}`).textContent = isDraftDirty(draft) ? 'Unsaved changes' : '';
+};
+
+window.cancelEdit = function(sectionId) {
+    if (isDraftDirty(state.drafts[sectionId]) && !confirm('Discard your unsaved changes to this section?')) return;
+
+    delete state.drafts[sectionId];
+    renderSections();
+};
+
+window.saveEdit = async function(sectionId) {
+    const draft = state.drafts[sectionId];
+    if (!draft.title.trim()) {
+        showToast('Section title is required');
+        return;
+    }
+
+    const result = await updateSection(sectionId, {
+        title: draft.title.trim(),
+        content: draft.content
+    }, draft.original.revision);
+    if (result.current) {
+        showSectionConflict(sectionId, result.current);
+        return;
+    }
+    if (!result.success) {
+        showToast(result.error || 'Failed to save section');
+        return;
+    }
+
+    delete state.drafts[sectionId];
+    state.sections = await fetchSections();
+    state.discussions = await fetchDiscussions(); // inline comment anchors follow the new text
+    renderNavigation();
+    renderSections();
+    renderDiscussions();
+    showToast(`Saved as revision ${result.revision}`);
+};
+
+// Someone else saved the section while we were editing: show what they changed
+// and let the user merge into their draft before saving against the new revision
+function showSectionConflict(sectionId, current) {
+    const draft = state.drafts[sectionId];
+
+    openModal('Edit conflict', `
+        <div class="conflict">
+            <p class="conflict-intro">
+                <strong>${window.Markdown.escapeHtml(current.changed_by || 'Someone')}</strong> saved revision ${current.revision} of this section while you were editing.
+                Review their changes, then merge your edits below.
+            </p>
+            ${current.changes ? `
+                <h4>Their changes since you started</h4>
+                ${renderDiffLines(current.changes)}
+            ` : ''}
+            <h4>Merged result</h4>
+            <input type="text" class="editor-title" id="merge-title" value="${window.Markdown.escapeHtml(draft.title)}">
+            <textarea class="editor-textarea" id="merge-content">${window.Markdown.escapeHtml(draft.content)}</textarea>
+            <div class="editor-actions">
+                <button class="btn-cancel" onclick="discardDraft(${sectionId})">Discard mine, keep theirs</button>
+                <button class="btn-primary" onclick="saveMerged(${sectionId})">Save merged version</button>
+            </div>
+        </div>
+    `);
+    draft.conflict = current;
+}
+
+window.saveMerged = async function(sectionId) {
+    const draft = state.drafts[sectionId];
+    const current = draft.conflict;
+
+    draft.title = document.getElementById('merge-title').value;
+    draft.content = document.getElementById('merge-content').value;
+    draft.original = { title: current.title, content: current.content, revision: current.revision };
+    delete draft.conflict;
+
+    closeModal();
+    await window.saveEdit(sectionId);
+};
+
+window.discardDraft = async function(sectionId) {
+    delete state.drafts[sectionId];
+    closeModal();
+
+    state.sections = await fetchSections();
+    renderNavigation();
+    renderSections();
+    showToast('Loaded the latest version');
+};
+
+window.addFeedbackToSection = function(sectionId) {
+    if (state.pendingAnchor && state.pendingAnchor.sectionId !== sectionId) window.clearPendingAnchor();
+    elements.sectionSelect.value = sectionId;
+    openPanel();
+    elements.formTextarea.focus();
+};
+
+window.toggleReplyForm = function(id) {
+    const form = document.getElementById(`reply-form-${id}`);
+    form.classList.toggle('open');
+    if (form.classList.contains('open')) {
+        document.getElementById(`reply-input-${id}`).focus();
+    }
+};
+
+window.submitReply = async function(discussionId) {
+    const input = document.getElementById(`reply-input-${discussionId}`);
+    const text = input.value.trim();
+
+    if (!text) return;
+
+    await addReply(discussionId, { text });
+
+    input.value = '';
+    window.toggleReplyForm(discussionId);
+
+    // Reload discussions
+    state.discussions = await fetchDiscussions();
+    renderDiscussions();
+    renderNavigation();
+    renderStats();
+    showToast('Reply added');
+};
+
+window.handleResolve = async function(id, resolved, version) {
+    const discussion = state.discussions.find(d => d.id === id);
+    const result = await resolveDiscussion(id, resolved, version || discussion.version);
+
+    if (result.current) {
+        showDiscussionConflict(result.current, resolved);
+        return;
+    }
+
+    state.discussions = await fetchDiscussions();
+    renderDiscussions();
+    renderSections();
+    renderNavigation();
+    renderStats();
+    showToast(resolved ? 'Marked as resolved' : 'Discussion reopened');
+};
+
+window.handleAcceptSuggestion = async function(id) {
+    const discussion = state.discussions.find(d => d.id === id);
+    if (state.drafts[discussion.section_id]) {
+        showToast('Save or cancel your edit of this section first');
+        return;
+    }
+
+    const result = await acceptSuggestion(id, discussion.version);
+    if (!result.success) {
+        showToast(result.error || 'Could not accept the suggestion');
+    } else {
+        showToast(`Suggestion applied as revision ${result.revision}`);
+    }
+
+    state.sections = await fetchSections();
+    state.discussions = await fetchDiscussions();
+    renderSections();
+    renderDiscussions();
+    renderNavigation();
+    renderStats();
+};
+
+window.handleRejectSuggestion = function(id) {
+    openModal('Reject suggestion', `
+        <div class="conflict">
+            <textarea class="form-textarea" id="reject-note" rows="3" placeholder="Why not? (optional)"></textarea>
+            <div class="editor-actions">
+                <button class="btn-cancel" onclick="closeModal()">Cancel</button>
+                <button class="btn-primary" onclick="submitRejectSuggestion(${id})">Reject</button>
+            </div>
+        </div>
+    `);
+    document.getElementById('reject-note').focus();
+};
+
+window.submitRejectSuggestion = async function(id) {
+    const discussion = state.discussions.find(d => d.id === id);
+    const note = document.getElementById('reject-note').value.trim();
+    const result = await rejectSuggestion(id, discussion.version, note);
+    closeModal();
+    if (!result.success) showToast(result.error || 'Could not reject the suggestion');
+
+    state.discussions = await fetchDiscussions();
+    renderDiscussions();
+    refreshSectionCard(discussion.section_id);
+    renderNavigation();
+    renderStats();
+    if (result.success) showToast('Suggestion rejected');
+};
+
+// The discussion changed since it was loaded (new reply, resolved or reopened by
+// the partner): show its current state and let the user decide whether to apply
+function showDiscussionConflict(current, resolved) {
+    const lastReply = current.replies[current.replies.length - 1];
+
+    openModal('This discussion just changed', `
+        <div class="conflict">
+            <p class="conflict-intro">
+                It is currently <strong>${current.resolved ? `resolved by ${window.Markdown.escapeHtml(current.resolved_by)}` : 'open'}</strong>
+                with ${current.replies.length} ${current.replies.length === 1 ? 'reply' : 'replies'}.
+            </p>
+            ${lastReply ? `
+                <h4>Latest reply</h4>
+                <div class="conflict-reply"><strong>${window.Markdown.escapeHtml(lastReply.author)}:</strong> ${window.Markdown.escapeHtml(lastReply.text)}</div>
+            ` : ''}
+            <div class="editor-actions">
+                <button class="btn-cancel" onclick="closeConflict()">Keep as is</button>
+                <button class="btn-primary" onclick="closeModal(); handleResolve(${current.id}, ${resolved}, ${current.version})">
+                    ${resolved ? 'Resolve anyway' : 'Reopen anyway'}
+                </button>
+            </div>
+        </div>
+    `);
+}
+
+window.closeConflict = async function() {
+    closeModal();
+    state.discussions = await fetchDiscussions();
+    renderDiscussions();
+    renderSections();
+    renderNavigation();
+};
+
+// Open what the notification is about: a task, a decision, a discussion or a section
+window.handleNotificationClick = async function(notifId) {
+    const notification = state.notifications.find(n => n.id === notifId);
+    await markNotificationRead(notifId);
+    renderNotifications();
+
+    if (notification?.task_id) {
+        await window.showTasks();
+        document.getElementById(`task-${notification.task_id}`)?.scrollIntoView({ block: 'center' });
+    } else if (notification?.decision_id) {
+        await window.showDecisions(notification.decision_id);
+    } else if (notification?.discussion_id) {
+        window.focusDiscussion(notification.discussion_id);
+    } else if (notification?.section_id) {
+        // Section edits, and discussions that were deleted
+        document.getElementById(`section-${notification.section_id}`)?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    elements.notificationPanel.classList.remove('open');
+};
+
+// Open the panel on a discussion and highlight it
+window.focusDiscussion = function(discussionId) {
+    openPanel();
+    let discEl = document.querySelector(`.discussion-item[data-id="${discussionId}"]`);
+    if (!discEl && state.activeFilter !== 'all') {
+        // Hidden by the current filter
+        state.activeFilter = 'all';
+        $$('.filter-chip').forEach(c => c.classList.toggle('active', c.dataset.filter === 'all'));
+        renderDiscussions();
+        discEl = document.querySelector(`.discussion-item[data-id="${discussionId}"]`);
+    }
+    if (discEl) {
+        discEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        discEl.style.animation = 'highlight 1s ease';
+    }
+};
+
+const ROLE_LABELS = {
+    owner: 'Owner',
+    reviewer: 'Reviewer',
+    advisor: 'Advisor (read & comment)'
+};
+
+function renderRoleOptions(selected) {
+    return Object.entries(ROLE_LABELS).map(([role, label]) =>
+        `<option value="${role}" ${role === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+}
+
+// Own password plus the member list, where owners add reviewers (accountant, mentor...)
+window.showAccount = async function() {
+    state.members = await fetchMembers();
+    const me = state.currentUser;
+
+    openModal(me.name, `
+        <div class="account">
+            <form class="account-form" onsubmit="submitPasswordChange(event)">
+                <h4>Your password</h4>
+                ${me.password_set ? '' : '<p class="account-hint">You are signing in with the shared password. Choose your own.</p>'}
+                <input type="password" class="account-input" id="current-password" placeholder="Current password" autocomplete="current-password" required>
+                <input type="password" class="account-input" id="new-password" placeholder="New password (8+ characters)" autocomplete="new-password" minlength="8" required>
+                <button type="submit" class="btn-primary">Change password</button>
+            </form>
+            <form class="account-form" onsubmit="submitDigestSettings(event)">
+                <h4>Email digest</h4>
+                <p class="account-hint">A summary of unread notifications, new discussions and open questions, sent to your inbox.</p>
+                <input type="email" class="account-input" id="digest-email" placeholder="Email address" value="${window.Markdown.escapeHtml(me.email || '')}" autocomplete="email" maxlength="254">
+                <select class="account-input" id="digest-frequency" aria-label="How often">
+                    ${Object.entries(DIGEST_LABELS).map(([value, label]) =>
+                        `<option value="${value}" ${value === (me.digest || 'off') ? 'selected' : ''}>${label}</option>`
+                    ).join('')}
+                </select>
+                <div class="account-actions">
+                    <button type="submit" class="btn-primary">Save</button>
+                    ${me.email ? '<button type="button" class="btn-cancel" onclick="submitDigestTest()">Send me one now</button>' : ''}
+                </div>
+            </form>
+            <div class="account-members">
+                <h4>Members</h4>
+                <ul class="member-list">
+                    ${state.members.map(m => `
+                        <li class="member-item">
+                            ${renderAvatar(m.name)}
+                            <span class="member-name">${window.Markdown.escapeHtml(m.name)}</span>
+                            <span class="member-username">@${window.Markdown.escapeHtml(m.username)}</span>
+                            ${can('manage_members') ? `
+                                <select class="member-role" onchange="changeMemberRole(${m.id}, this)">${renderRoleOptions(m.role)}</select>
+                            ` : `<span class="member-role">${ROLE_LABELS[m.role]}</span>`}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+            ${can('manage_members') ? `
+                <form class="account-form" onsubmit="submitNewMember(event)">
+                    <h4>Add a member</h4>
+                    <input type="text" class="account-input" id="member-name" placeholder="Name" maxlength="50" required>
+                    <input type="text" class="account-input" id="member-username" placeholder="Username" autocapitalize="none" required>
+                    <input type="password" class="account-input" id="member-password" placeholder="Initial password (8+ characters)" autocomplete="new-password" minlength="8" required>
+                    <select class="account-input" id="member-role">${renderRoleOptions('reviewer')}</select>
+                    <button type="submit" class="btn-primary">Add member</button>
+                </form>
+            ` : ''}
+            ${can('edit_sections') ? `
+                <form class="account-form" onsubmit="submitImportPreview(event)">
+                    <h4>Import a plan</h4>
+                    <input type="file" class="account-input" id="import-file" accept=".md,.markdown,.txt,.docx" required>
+                    <select class="account-input" id="import-split" aria-label="Start a section at">
+                        <option value="">New section at each top-level heading</option>
+                        <option value="2">New section down to level 2 headings</option>
+                        <option value="3">New section down to level 3 headings</option>
+                    </select>
+                    <button type="submit" class="btn-primary">Preview</button>
+                </form>
+            ` : ''}
+            ${can('export_plan') ? `
+                <form class="account-form" onsubmit="submitExport(event)">
+                    <h4>Export the plan</h4>
+                    <p class="account-hint">A clean copy for the bank or the accountant. Every export is watermarked and logged.</p>
+                    <select class="account-input" id="export-format">
+                        <option value="pdf">PDF</option>
+                        <option value="html" selected>Web page (HTML)</option>
+                        <option value="markdown">Markdown</option>
+                    </select>
+                    <input type="text" class="account-input" id="export-watermark" placeholder="Watermark, e.g. Prepared for First National Bank" maxlength="100">
+                    <label class="account-check">
+                        <input type="checkbox" id="export-discussions"> Include review threads and their status
+                    </label>
+                    <button type="submit" class="btn-primary">Download</button>
+                </form>
+            ` : ''}
+        </div>
+    `);
+};
+
+const DIGEST_LABELS = {
+    off: 'No digest',
+    daily: 'Daily digest',
+    weekly: 'Weekly digest'
+};
+
+window.submitDigestSettings = async function(e) {
+    e.preventDefault();
+    const result = await updateDigestSettings({
+        email: $('#digest-email').value.trim() || null,
+        digest: $('#digest-frequency').value
+    });
+    if (result.error) {
+        showToast(result.fields?.email ? `Email ${result.fields.email}` : result.error);
+        return;
+    }
+
+    state.currentUser = { ...state.currentUser, email: result.email, digest: result.digest };
+    closeModal();
+    showToast(result.digest === 'off' ? 'Email digest turned off' : `${DIGEST_LABELS[result.digest]} on`);
+};
+
+window.submitDigestTest = async function() {
+    const result = await sendDigestNow();
+    if (result.error) {
+        showToast(result.error);
+        return;
+    }
+    showToast(result.sent ? `Digest sent to ${state.currentUser.email}` : 'Nothing new to send right now');
+};
+
+window.submitPasswordChange = async function(e) {
+    e.preventDefault();
+    const result = await changePassword($('#current-password').value, $('#new-password').value);
+    if (!result.success) {
+        showToast(result.error || 'Could not change password');
+        return;
+    }
+
+    state.currentUser.password_set = true;
+    closeModal();
+    showToast('Password changed - other devices were signed out');
+};
+
+window.submitExport = async function(e) {
+    e.preventDefault();
+    const result = await exportPlan({
+        format: $('#export-format').value,
+        discussions: $('#export-discussions').checked,
+        watermark: $('#export-watermark').value.trim()
+    });
+    if (!result.blob) {
+        showToast(result.error || 'Could not export the plan');
+        return;
+    }
+
+    const url = URL.createObjectURL(result.blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    showToast(`Downloaded ${result.filename}`);
+};
+
+// Markdown is sent as text, DOCX base64-encoded inside the JSON body
+function readImportFile(file) {
+    const format = /\.docx$/i.test(file.name) ? 'docx' : 'markdown';
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve({
+            format,
+            filename: file.name,
+            content: format === 'docx' ? reader.result.slice(reader.result.indexOf(',') + 1) : reader.result
+        });
+        reader.onerror = () => reject(reader.error);
+        if (format === 'docx') {
+            reader.readAsDataURL(file);
+        } else {
+            reader.readAsText(file);
+        }
+    });
+}
+
+window.submitImportPreview = async function(e) {
+    e.preventDefault();
+    const file = $('#import-file').files[0];
+    const splitLevel = $('#import-split').value;
+    if (!file) return;
+
+    state.importUpload = { ...(await readImportFile(file)), ...(splitLevel ? { split_level: parseInt(splitLevel) } : {}) };
+    const preview = await previewImport(state.importUpload);
+    if (!preview.sections) {
+        showToast(preview.error || 'Could not read the file');
+        return;
+    }
+    renderImportPreview(preview);
+};
+
+function renderImportMatch(match) {
+    if (!match) return '<span class="import-match new">New section</span>';
+    const discussions = match.discussions ? `, keeps ${match.discussions} discussion${match.discussions === 1 ? '' : 's'}` : '';
+    return match.changed
+        ? `<span class="import-match update">Updates "${window.Markdown.escapeHtml(match.title)}"${discussions}</span>`
+        : `<span class="import-match same">Unchanged${discussions}</span>`;
+}
+
+function renderImportPreview({ sections, unmatched }) {
+    const detached = unmatched.reduce((sum, s) => sum + s.discussions, 0);
+    const removal = unmatched.length === 0 ? '' : detached
+        ? `; the sections below are removed and their ${detached} discussion${detached === 1 ? '' : 's'} become general`
+        : '; the sections below are removed';
+
+    openModal('Import preview', `
+        <div class="import-preview">
+            <p class="import-summary">${sections.length} section${sections.length === 1 ? '' : 's'} in ${window.Markdown.escapeHtml(state.importUpload.filename)}</p>
+            <ol class="import-list">
+                ${sections.map(s => `
+                    <li class="import-item" style="--level: ${s.level}">
+                        <div class="import-item-header">
+                            <span class="import-title">${window.Markdown.escapeHtml(s.title)}</span>
+                            ${renderImportMatch(s.match)}
+                        </div>
+                        ${s.excerpt ? `<p class="import-excerpt">${window.Markdown.escapeHtml(s.excerpt)}</p>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+            ${unmatched.length > 0 ? `
+                <div class="import-unmatched">
+                    <h4>Not in this document</h4>
+                    <ul>
+                        ${unmatched.map(s => `<li>${window.Markdown.escapeHtml(s.title)}${s.discussions ? ` (${s.discussions} discussion${s.discussions === 1 ? '' : 's'})` : ''}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+            <fieldset class="import-mode">
+                <label><input type="radio" name="import-mode" value="merge" checked> Merge: update matching sections and add new ones${unmatched.length ? ', keep the rest' : ''}</label>
+                <label><input type="radio" name="import-mode" value="replace"> Replace: the document becomes the plan${removal}</label>
+            </fieldset>
+            <div class="editor-actions">
+                <button class="btn-cancel" onclick="showAccount()">Back</button>
+                <button class="btn-primary" onclick="submitImport()">Import</button>
+            </div>
+        </div>
+    `);
+}
+
+window.submitImport = async function() {
+    const mode = $('input[name="import-mode"]:checked').value;
+    const result = await importPlan(state.importUpload, mode);
+    if (!result.success) {
+        showToast(result.error || 'Could not import the plan');
+        return;
+    }
+
+    state.importUpload = null;
+    closeModal();
+    await resyncAll();
+    showToast(`Imported: ${result.created} new, ${result.updated} updated${result.removed ? `, ${result.removed} removed` : ''}`);
+};
+
+window.submitNewMember = async function(e) {
+    e.preventDefault();
+    const result = await createMember({
+        name: $('#member-name').value.trim(),
+        username: $('#member-username').value.trim(),
+        password: $('#member-password').value,
+        role: $('#member-role').value
+    });
+    if (!result.id) {
+        showToast(result.error || 'Could not add member');
+        return;
+    }
+
+    await window.showAccount();
+    showToast(`${result.name} can now sign in as ${result.username}`);
+};
+
+window.changeMemberRole = async function(id, select) {
+    const result = await updateMemberRole(id, select.value);
+    if (!result.id) {
+        showToast(result.error || 'Could not change role');
+        await window.showAccount();
+        return;
+    }
+
+    // Demoting yourself takes effect straight away
+    if (result.id === state.currentUser.id) {
+        state.currentUser = await fetchCurrentUser();
+        applyRole();
+        renderSections();
+        renderDiscussions();
+    }
+    showToast(`${result.name} is now ${ROLE_LABELS[result.role].toLowerCase()}`);
+};
+
+// Hide the parts of the page the current role can't use
+function applyRole() {
+    elements.addForm.closest('.panel-footer').hidden = !can('comment');
+    $('#add-section-btn').hidden = !can('edit_sections');
+    elements.userMenu.title = `${state.currentUser.name} · ${ROLE_LABELS[state.currentUser.role]}`;
+}
+
+// ========== FINANCIAL MODEL ==========
+// The model view shows the inputs next to everything derived from them.
+// Typing recomputes the figures on the spot with window.Finance; leaving a
+// field saves it, and the server answers with the recomputed model.
+function modelSectionIds() {
+    return new Set((state.model?.assumptions || []).map(a => a.section_id).filter(Boolean));
+}
+
+function formatModelValue(value, unit) {
+    if (value === null || value === undefined) return '—';
+    switch (unit) {
+        case 'currency': return window.Finance.formatMoney(value);
+        case 'percent': return `${value.toLocaleString('en-US')}%`;
+        case 'ratio': return `${value.toLocaleString('en-US')}:1`;
+        case 'months': return `${value.toLocaleString('en-US')} mo`;
+        case 'year': return String(value);
+        default: return value.toLocaleString('en-US');
+    }
+}
+
+// Headline figures shown under the sections the model backs
+function renderModelSummary() {
+    const { years, totals, warnings } = state.model.figures;
+    const last = years[years.length - 1];
+    if (!last) return '';
+
+    return `
+        <div class="model-summary" onclick="showModel()">
+            <div class="model-summary-figure"><span>${last.year} revenue</span><strong>${formatModelValue(last.revenue, 'currency')}</strong></div>
+            <div class="model-summary-figure"><span>${last.year} MRR</span><strong>${formatModelValue(last.mrr, 'currency')}</strong></div>
+            <div class="model-summary-figure"><span>Cash ROI</span><strong>${formatModelValue(totals.roi, 'percent')}</strong></div>
+            <div class="model-summary-figure"><span>Exit value</span><strong>${formatModelValue(totals.exit_value, 'currency')}</strong></div>
+            ${warnings.length ? `<div class="model-summary-warning">⚠ ${warnings.length} check${warnings.length === 1 ? '' : 's'} failing</div>` : ''}
+        </div>
+    `;
+}
+
+function renderModelInput(value, field, attributes) {
+    if (!can('edit_model')) return formatModelValue(value, field.unit);
+    const step = field.integer ? 1 : 'any';
+    return `<input type="number" class="model-input" value="${value}" min="${field.min}" max="${field.max}" step="${step}" aria-label="${window.Markdown.escapeHtml(field.label)}" ${attributes}>`;
+}
+
+function renderModelInputs() {
+    const { assumptions, products } = state.model;
+    return `
+        <h4>Assumptions</h4>
+        <div class="model-assumptions">
+            ${assumptions.map(a => `
+                <label class="model-assumption">
+                    <span>${window.Markdown.escapeHtml(a.label)}</span>
+                    ${renderModelInput(a.value, a, `data-assumption="${a.key}"`)}
+                </label>
+            `).join('')}
+        </div>
+        <h4>Products</h4>
+        <div class="model-table-wrap">
+            <table class="model-table">
+                <thead>
+                    <tr>
+                        <th>Product</th>
+                        ${window.Finance.PRODUCT_FIELDS.map(f => `<th>${window.Markdown.escapeHtml(f.label)}${f.unit === 'percent' ? ' (%)' : ''}</th>`).join('')}
+                        ${can('edit_model') ? '<th></th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${products.map(p => `
+                        <tr data-product="${p.id}">
+                            <td>${can('edit_model')
+                                ? `<input type="text" class="model-input model-input-name" value="${window.Markdown.escapeHtml(p.name)}" maxlength="100" aria-label="Product name" data-field="name">`
+                                : window.Markdown.escapeHtml(p.name)}</td>
+                            ${window.Finance.PRODUCT_FIELDS.map(f => `<td>${renderModelInput(p[f.key], f, `data-field="${f.key}"`)}</td>`).join('')}
+                            ${can('edit_model') ? `
+                                <td><button class="btn-section btn-section-icon" onclick="removeProduct(${p.id})" title="Remove product" aria-label="Remove ${window.Markdown.escapeHtml(p.name)}">✕</button></td>
+                            ` : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ${can('edit_model') ? '<button class="btn-cancel" onclick="addProduct()">Add product</button>' : ''}
+    `;
+}
+
+function renderModelFigures(figures) {
+    const { years, totals, warnings, products } = figures;
+    return `
+        ${warnings.length ? `<ul class="model-warnings">${warnings.map(w => `<li>${window.Markdown.escapeHtml(w)}</li>`).join('')}</ul>` : ''}
+        <div class="model-totals">
+            <div class="stat-card"><div class="stat-number">${formatModelValue(totals.revenue, 'currency')}</div><div class="stat-label">Total revenue</div></div>
+            <div class="stat-card"><div class="stat-number">${formatModelValue(totals.net, 'currency')}</div><div class="stat-label">Total net profit</div></div>
+            <div class="stat-card"><div class="stat-number">${formatModelValue(totals.roi, 'percent')}</div><div class="stat-label">Cash ROI</div></div>
+            <div class="stat-card"><div class="stat-number">${formatModelValue(totals.exit_value, 'currency')}</div><div class="stat-label">Exit value</div></div>
+        </div>
+        <h4>By year</h4>
+        <div class="model-table-wrap">
+            <table class="model-table">
+                <thead>
+                    <tr><th>Year</th><th>Revenue</th><th>MRR (Dec)</th><th>Customers</th><th>Costs</th><th>Net profit</th><th>Cash</th></tr>
+                </thead>
+                <tbody>
+                    ${years.map(y => `
+                        <tr>
+                            <td>${y.year}</td>
+                            <td>${formatModelValue(y.revenue, 'currency')}</td>
+                            <td>${formatModelValue(y.mrr, 'currency')}</td>
+                            <td>${formatModelValue(y.customers, 'count')}</td>
+                            <td>${formatModelValue(y.costs, 'currency')}</td>
+                            <td class="${y.net < 0 ? 'model-negative' : ''}">${formatModelValue(y.net, 'currency')}</td>
+                            <td class="${y.cash < 0 ? 'model-negative' : ''}">${formatModelValue(y.cash, 'currency')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <h4>Unit economics</h4>
+        <div class="model-table-wrap">
+            <table class="model-table">
+                <thead>
+                    <tr><th>Product</th><th>LTV</th><th>LTV:CAC</th><th>CAC payback</th><th>Customer lifetime</th></tr>
+                </thead>
+                <tbody>
+                    ${products.map(p => `
+                        <tr>
+                            <td>${window.Markdown.escapeHtml(p.name)}</td>
+                            <td>${formatModelValue(p.ltv, 'currency')}</td>
+                            <td>${formatModelValue(p.ltv_cac, 'ratio')}</td>
+                            <td>${formatModelValue(p.payback_months, 'months')}</td>
+                            <td>${formatModelValue(p.lifetime_months, 'months')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function isModelOpen() {
+    return elements.modalOverlay.classList.contains('open') && Boolean($('#model-view'));
+}
+
+window.showModel = async function() {
+    state.model = await fetchModel() || state.model;
+    if (!state.model) return;
+
+    openModal('Financial model', `
+        <div class="model" id="model-view">
+            <button class="btn-cancel model-scenarios-link" onclick="showScenarios()">Compare scenarios</button>
+            <div id="model-figures">${renderModelFigures(state.model.figures)}</div>
+            <div class="model-inputs" id="model-inputs">${renderModelInputs()}</div>
+        </div>
+    `);
+    const inputs = $('#model-inputs');
+    inputs.addEventListener('input', () => {
+        $('#model-figures').innerHTML = renderModelFigures(draftModelFigures());
+    });
+    inputs.addEventListener('change', (e) => saveModelField(e.target));
+};
+
+// Figures for what is typed in the view right now; fields that aren't valid
+// numbers yet keep their saved value
+function draftModelFigures() {
+    const number = (input, saved) => (input && input.value !== '' && Number.isFinite(Number(input.value)) ? Number(input.value) : saved);
+    const assumptions = Object.fromEntries(state.model.assumptions.map(a =>
+        [a.key, number($(`#model-inputs [data-assumption="${a.key}"]`), a.value)]));
+    const products = state.model.products.map(p => {
+        const row = $(`#model-inputs tr[data-product="${p.id}"]`);
+        const draft = { ...p, name: row?.querySelector('[data-field="name"]').value.trim() || p.name };
+        window.Finance.PRODUCT_FIELDS.forEach(f => {
+            draft[f.key] = number(row?.querySelector(`[data-field="${f.key}"]`), p[f.key]);
+        });
+        return draft;
+    });
+    return window.Finance.computeModel(assumptions, products);
+}
+
+function productFromRow(row, product) {
+    const data = { name: row.querySelector('[data-field="name"]').value.trim() };
+    window.Finance.PRODUCT_FIELDS.forEach(f => {
+        const value = row.querySelector(`[data-field="${f.key}"]`).value;
+        data[f.key] = value === '' ? product[f.key] : Number(value);
+    });
+    return data;
+}
+
+async function saveModelField(input) {
+    if (!input.reportValidity()) return;
+
+    let result;
+    if (input.dataset.assumption) {
+        const assumption = state.model.assumptions.find(a => a.key === input.dataset.assumption);
+        result = await updateAssumption(assumption.key, Number(input.value), assumption.version);
+    } else {
+        const row = input.closest('tr[data-product]');
+        const product = state.model.products.find(p => p.id === parseInt(row.dataset.product));
+        result = await updateProduct(product.id, productFromRow(row, product), product.version);
+    }
+    await applyModelResult(result, 'Could not save the model', { keepInputs: true });
+}
+
+// Inputs being typed in are kept unless the save failed: then the view shows
+// what the server has
+async function applyModelResult(result, fallback, { keepInputs = false } = {}) {
+    const failed = !result.figures;
+    if (failed) {
+        showToast(result.error || fallback);
+        result = await fetchModel();
+        if (!result) return;
+    }
+    state.model = result;
+    renderModelViews({ keepInputs: keepInputs && !failed });
+}
+
+function renderModelViews({ keepInputs = false } = {}) {
+    if (isModelOpen()) {
+        if (!keepInputs) $('#model-inputs').innerHTML = renderModelInputs();
+        $('#model-figures').innerHTML = renderModelFigures(keepInputs ? draftModelFigures() : state.model.figures);
+    }
+    modelSectionIds().forEach(refreshSectionCard);
+}
+
+// New products start from the last one's figures
+window.addProduct = async function() {
+    const last = state.model.products[state.model.products.length - 1];
+    const defaults = Object.fromEntries(window.Finance.PRODUCT_FIELDS.map(f => [f.key, last ? last[f.key] : Math.max(f.min, 0)]));
+    const result = await createProduct({ name: `Company ${state.model.products.length + 1}`, ...defaults });
+    await applyModelResult(result, 'Could not add the product');
+};
+
+window.removeProduct = async function(id) {
+    const product = state.model.products.find(p => p.id === id);
+    if (!product || !confirm(`Remove ${product.name} from the model?`)) return;
+    await applyModelResult(await deleteProduct(id, product.version), 'Could not remove the product');
+};
+
+// ========== SCENARIOS ==========
+// Scenarios override some model inputs ("churn 8%", "launch product 2 in
+// month 24"). The view compares them side by side in SVG charts and a table;
+// editing a scenario's overrides redraws everything before it is saved.
+const SCENARIO_COLORS = ['#6366f1', '#f59e0b', '#10b981', '#ef4444', '#0ea5e9', '#a855f7'];
+const CHART = { width: 640, height: 220, left: 56, right: 12, top: 12, bottom: 24 };
+
+function scenarioColor(scenario) {
+    return SCENARIO_COLORS[state.scenarios.indexOf(scenario) % SCENARIO_COLORS.length];
+}
+
+function formatCompactMoney(value) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 }).format(value);
+}
+
+// Round axis steps (1, 2, 2.5, 5 × 10^n) covering min..max
+function chartTicks(min, max, count = 4) {
+    const rough = (max - min || 1) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(m => m >= rough);
+    const ticks = [];
+    for (let value = Math.floor(min / step) * step; ticks.length < 2 || ticks[ticks.length - 1] < max; value += step) {
+        ticks.push(value);
+    }
+    return ticks;
+}
+
+/**
+ * Line chart of one monthly figure per scenario
+ * @param {string} title
+ * @param {{ name: string, color: string, months: object[] }[]} series
+ * @param {string} field - figure to plot from each month, e.g. 'mrr'
+ */
+function renderLineChart(title, series, field) {
+    const longest = series.reduce((a, b) => (b.months.length > a.months.length ? b : a), series[0]);
+    if (!longest || longest.months.length === 0) return '';
+
+    const values = series.flatMap(s => s.months.map(m => m[field]));
+    const ticks = chartTicks(Math.min(0, ...values), Math.max(0, ...values));
+    const low = ticks[0];
+    const high = ticks[ticks.length - 1];
+    const x = i => CHART.left + i / Math.max(longest.months.length - 1, 1) * (CHART.width - CHART.left - CHART.right);
+    const y = v => CHART.top + (high - v) / (high - low) * (CHART.height - CHART.top - CHART.bottom);
+
+    return `
+        <figure class="chart">
+            <figcaption>${window.Markdown.escapeHtml(title)}</figcaption>
+            <svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="${window.Markdown.escapeHtml(title)}">
+                ${ticks.map(t => `
+                    <line class="chart-grid ${t === 0 ? 'chart-zero' : ''}" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(t).toFixed(1)}" y2="${y(t).toFixed(1)}"/>
+                    <text class="chart-label" x="${CHART.left - 6}" y="${(y(t) + 4).toFixed(1)}" text-anchor="end">${formatCompactMoney(t)}</text>
+                `).join('')}
+                ${longest.months.map((m, i) => (m.month - 1) % 12 === 0 ? `
+                    <line class="chart-grid" x1="${x(i).toFixed(1)}" x2="${x(i).toFixed(1)}" y1="${CHART.top}" y2="${CHART.height - CHART.bottom}"/>
+                    <text class="chart-label" x="${(x(i) + 4).toFixed(1)}" y="${CHART.height - 6}">${m.year}</text>
+                ` : '').join('')}
+                ${series.map(s => `
+                    <polyline class="chart-line" stroke="${s.color}" points="${s.months.map((m, i) => `${x(i).toFixed(1)},${y(m[field]).toFixed(1)}`).join(' ')}">
+                        <title>${window.Markdown.escapeHtml(s.name)}</title>
+                    </polyline>
+                `).join('')}
+            </svg>
+        </figure>
+    `;
+}
+
+const SCENARIO_ROWS = [
+    { label: figures => `${figures.years[figures.years.length - 1]?.year} revenue`, value: f => f.years[f.years.length - 1]?.revenue, unit: 'currency' },
+    { label: figures => `${figures.years[figures.years.length - 1]?.year} MRR (Dec)`, value: f => f.years[f.years.length - 1]?.mrr, unit: 'currency' },
+    { label: () => 'Customers at the end', value: f => f.years[f.years.length - 1]?.customers, unit: 'count' },
+    { label: () => 'Total net profit', value: f => f.totals.net, unit: 'currency' },
+    { label: () => 'Lowest cash', value: f => f.totals.lowest_cash, unit: 'currency' },
+    { label: () => 'Cash ROI', value: f => f.totals.roi, unit: 'percent' },
+    { label: () => 'Exit value', value: f => f.totals.exit_value, unit: 'currency' },
+    { label: () => 'Checks failing', value: f => f.warnings.length, unit: 'count' }
+];
+
+// scenarios: [{ scenario, figures }] so a draft can stand in for a saved scenario
+function renderScenarioComparison(scenarios) {
+    const first = scenarios[0]?.figures;
+    if (!first) return '';
+    return `
+        <div class="model-table-wrap">
+            <table class="model-table">
+                <thead>
+                    <tr><th></th>${scenarios.map(({ scenario }) => `
+                        <th><span class="scenario-swatch" style="background: ${scenarioColor(scenario)}"></span>${window.Markdown.escapeHtml(scenario.name)}</th>
+                    `).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${SCENARIO_ROWS.map(row => `
+                        <tr>
+                            <td>${window.Markdown.escapeHtml(row.label(first))}</td>
+                            ${scenarios.map(({ figures }) => `<td>${formatModelValue(row.value(figures), row.unit)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderScenarioFigures(selectedId, draftFigures) {
+    const scenarios = state.scenarios.map(scenario => ({
+        scenario,
+        figures: scenario.id === selectedId && draftFigures ? draftFigures : scenario.figures
+    }));
+    const series = scenarios.map(({ scenario, figures }) => ({ name: scenario.name, color: scenarioColor(scenario), months: figures.months }));
+    return `
+        <div class="scenario-charts">
+            ${renderLineChart('MRR by month', series, 'mrr')}
+            ${renderLineChart('Cash by month', series, 'cash')}
+        </div>
+        ${renderScenarioComparison(scenarios)}
+    `;
+}
+
+function renderOverrideInput(value, base, field, attributes) {
+    if (!can('edit_model')) {
+        return value === undefined ? `<span class="scenario-base">${formatModelValue(base, field.unit)}</span>` : formatModelValue(value, field.unit);
+    }
+    return `<input type="number" class="model-input" value="${value ?? ''}" placeholder="${base}" min="${field.min}" max="${field.max}" step="${field.integer ? 1 : 'any'}" aria-label="${window.Markdown.escapeHtml(field.label)}" ${attributes}>`;
+}
+
+function renderScenarioDetail(scenario) {
+    const overrides = scenario.overrides;
+    const editable = can('edit_model');
+    return `
+        <div class="scenario-detail-header">
+            ${editable ? `
+                <input type="text" class="account-input" id="scenario-name" value="${window.Markdown.escapeHtml(scenario.name)}" maxlength="60" aria-label="Scenario name" required>
+                <input type="text" class="account-input" id="scenario-description" value="${window.Markdown.escapeHtml(scenario.description || '')}" maxlength="300" placeholder="What this scenario assumes" aria-label="Description">
+            ` : `
+                <h4>${window.Markdown.escapeHtml(scenario.name)}</h4>
+                ${scenario.description ? `<p class="account-hint">${window.Markdown.escapeHtml(scenario.description)}</p>` : ''}
+            `}
+        </div>
+        <p class="account-hint">${editable ? 'Empty fields use the model’s value, shown in grey.' : 'Values in grey come from the model.'}</p>
+        <div class="model-assumptions">
+            ${state.model.assumptions.map(a => `
+                <label class="model-assumption">
+                    <span>${window.Markdown.escapeHtml(a.label)}</span>
+                    ${renderOverrideInput(overrides.assumptions?.[a.key], a.value, a, `data-override-assumption="${a.key}"`)}
+                </label>
+            `).join('')}
+        </div>
+        <div class="model-table-wrap">
+            <table class="model-table">
+                <thead>
+                    <tr><th>Product</th>${window.Finance.PRODUCT_FIELDS.map(f => `<th>${window.Markdown.escapeHtml(f.label)}${f.unit === 'percent' ? ' (%)' : ''}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${state.model.products.map(p => `
+                        <tr data-override-product="${p.id}">
+                            <td>${window.Markdown.escapeHtml(p.name)}</td>
+                            ${window.Finance.PRODUCT_FIELDS.map(f => `
+                                <td>${renderOverrideInput(overrides.products?.[p.id]?.[f.key], p[f.key], f, `data-field="${f.key}"`)}</td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="editor-actions">
+            ${can('comment') ? `<button class="btn-cancel" onclick="discussScenario(${scenario.id})">Discuss this scenario</button>` : ''}
+            ${editable ? `
+                <button class="btn-primary btn-danger" onclick="removeScenario(${scenario.id})">Delete</button>
+                <button class="btn-primary" onclick="saveScenario(${scenario.id})">Save scenario</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+function isScenariosOpen() {
+    return elements.modalOverlay.classList.contains('open') && Boolean($('#scenarios-view'));
+}
+
+window.showScenarios = async function(selectedId) {
+    [state.model, state.scenarios] = await Promise.all([fetchModel().then(model => model || state.model), fetchScenarios()]);
+    if (!state.model || state.scenarios.length === 0) {
+        if (state.model && can('edit_model')) await window.addScenario();
+        else showToast('No scenarios yet');
+        return;
+    }
+    const selected = state.scenarios.find(s => s.id === selectedId) || state.scenarios[0];
+
+    openModal('Scenarios', `
+        <div class="model" id="scenarios-view" data-selected="${selected.id}">
+            <div class="scenario-tabs">
+                ${state.scenarios.map(s => `
+                    <button class="filter-chip ${s.id === selected.id ? 'active' : ''}" onclick="showScenarios(${s.id})">
+                        <span class="scenario-swatch" style="background: ${scenarioColor(s)}"></span>${window.Markdown.escapeHtml(s.name)}
+                    </button>
+                `).join('')}
+                ${can('edit_model') ? '<button class="filter-chip" onclick="addScenario()">+ New scenario</button>' : ''}
+            </div>
+            <div id="scenario-figures">${renderScenarioFigures(selected.id)}</div>
+            <div class="model-inputs" id="scenario-detail">${renderScenarioDetail(selected)}</div>
+        </div>
+    `);
+    $('#scenario-detail').addEventListener('input', () => {
+        $('#scenario-figures').innerHTML = renderScenarioFigures(selected.id, draftScenarioFigures());
+    });
+};
+
+// Overrides as typed: empty fields and invalid numbers are left out
+function readOverrides() {
+    const number = input => (input.value !== '' && Number.isFinite(Number(input.value)) ? Number(input.value) : undefined);
+    const assumptions = {};
+    $$('#scenario-detail [data-override-assumption]').forEach(input => {
+        const value = number(input);
+        if (value !== undefined) assumptions[input.dataset.overrideAssumption] = value;
+    });
+    const products = {};
+    $$('#scenario-detail tr[data-override-product]').forEach(row => {
+        row.querySelectorAll('[data-field]').forEach(input => {
+            const value = number(input);
+            if (value === undefined) return;
+            products[row.dataset.overrideProduct] = { ...products[row.dataset.overrideProduct], [input.dataset.field]: value };
+        });
+    });
+    return { assumptions, products };
+}
+
+function draftScenarioFigures() {
+    const values = Object.fromEntries(state.model.assumptions.map(a => [a.key, a.value]));
+    const { assumptions, products } = window.Finance.applyScenario(values, state.model.products, readOverrides());
+    return window.Finance.computeModel(assumptions, products);
+}
+
+window.addScenario = async function() {
+    let number = state.scenarios.length + 1;
+    while (state.scenarios.some(s => s.name === `Scenario ${number}`)) number++;
+    const result = await createScenario({ name: `Scenario ${number}` });
+    if (!result.id) {
+        showToast(result.error || 'Could not add the scenario');
+        return;
+    }
+    await window.showScenarios(result.id);
+};
+
+window.saveScenario = async function(id) {
+    const scenario = state.scenarios.find(s => s.id === id);
+    const invalid = [...$$('#scenario-detail input')].find(input => !input.checkValidity());
+    if (invalid) {
+        invalid.reportValidity();
+        return;
+    }
+
+    const result = await updateScenario(id, {
+        name: $('#scenario-name').value.trim(),
+        description: $('#scenario-description').value.trim(),
+        overrides: readOverrides()
+    }, scenario.version);
+    if (!result.figures) {
+        showToast(result.error || 'Could not save the scenario');
+        if (!result.current) return;
+    } else {
+        showToast(`Saved "${result.name}"`);
+    }
+    await window.showScenarios(id);
+};
+
+window.removeScenario = async function(id) {
+    const scenario = state.scenarios.find(s => s.id === id);
+    const linked = state.discussions.filter(d => d.scenario_id === id).length;
+    const note = linked ? ` ${linked} discussion${linked === 1 ? '' : 's'} will no longer link to it.` : '';
+    if (!scenario || !confirm(`Delete the "${scenario.name}" scenario?${note}`)) return;
+
+    const result = await deleteScenario(id, scenario.version);
+    if (!result.success) showToast(result.error || 'Could not delete the scenario');
+    await window.showScenarios();
+};
+
+// Start a discussion linked to the scenario
+window.discussScenario = function(id) {
+    state.pendingScenario = id;
+    closeModal();
+    renderFormScenario();
+    openPanel();
+    elements.formTextarea.focus();
+};
+
+window.clearPendingScenario = function() {
+    state.pendingScenario = null;
+    renderFormScenario();
+};
+
+function renderFormScenario() {
+    const scenario = state.scenarios.find(s => s.id === state.pendingScenario);
+    elements.formScenario.hidden = !scenario;
+    elements.formScenario.innerHTML = scenario ? `
+        <span class="form-anchor-quote">📈 Scenario: ${window.Markdown.escapeHtml(scenario.name)}</span>
+        <button type="button" class="form-anchor-clear" onclick="clearPendingScenario()" aria-label="Don't link a scenario">×</button>
+    ` : '';
+}
+
+function renderScenarioLink(scenarioId) {
+    const scenario = state.scenarios.find(s => s.id === scenarioId);
+    return scenario ? `<button class="discussion-scenario" onclick="showScenarios(${scenario.id})">📈 ${window.Markdown.escapeHtml(scenario.name)}</button>` : '';
+}
+
+// ========== DECISION LOG ==========
+// What was decided, from which options and why. Owners record decisions
+// directly or promote a resolved discussion; each one links back to the
+// section and thread it came from. The log is opened from the
+// Decision-Making Framework section and from any section with decisions.
+function isFrameworkSection(section) {
+    return /decision-making framework/i.test(section.title);
+}
+
+function sectionDecisions(section) {
+    return isFrameworkSection(section) ? state.decisions : state.decisions.filter(d => d.section_id === section.id);
+}
+
+function renderDecision(decision, selected) {
+    const section = state.sections.find(s => s.id === decision.section_id);
+    return `
+        <article class="decision ${selected ? 'selected' : ''}" id="decision-${decision.id}">
+            <header class="decision-header">
+                <h3>${window.Markdown.escapeHtml(decision.title)}</h3>
+                <span class="decision-date">${formatDate(decision.decided_at)}</span>
+            </header>
+            <ul class="decision-options">
+                ${decision.options.map(option => `
+                    <li class="${option === decision.chosen ? 'chosen' : ''}">${option === decision.chosen ? '✓ ' : ''}${window.Markdown.escapeHtml(option)}</li>
+                `).join('')}
+            </ul>
+            ${decision.rationale ? `<div class="decision-rationale">${parseMarkdown(decision.rationale)}</div>` : ''}
+            <div class="decision-meta">
+                Decided by ${window.Markdown.escapeHtml(decision.decided_by_names.join(', ') || 'former members')} · recorded by ${window.Markdown.escapeHtml(decision.recorded_by)}
             </div>
-            <div class="stat-card">
-                <div class="stat-number">${stats.resolved}</div>
-                <div class="stat-label">Resolved</div>
+            <div class="decision-links">
+                ${section ? `<button class="discussion-scenario" onclick="openDecisionSection(${section.id})">📍 ${sectionNumbers().get(section.id)} ${window.Markdown.escapeHtml(section.title)}</button>` : ''}
+                ${decision.discussion ? `<button class="discussion-scenario" onclick="openThread(${decision.discussion.id})">💬 ${window.Markdown.escapeHtml(truncate(decision.discussion.text || decision.discussion.type, 60))}</button>` : ''}
             </div>
-            <div class="stat-card">
-                <div class="stat-number">${stats.pending}</div>
-                <div class="stat-label">Pending</div>
+            ${can('record_decisions') ? `
+                <div class="discussion-actions">
+                    <button class="action-btn" onclick="showDecisionForm(${decision.id})">Edit</button>
+                    <button class="action-btn" onclick="removeDecision(${decision.id})">Delete</button>
+                </div>
+            ` : ''}
+        </article>
+    `;
+}
+
+function isDecisionLogOpen() {
+    return elements.modalOverlay.classList.contains('open') && Boolean($('#decision-log'));
+}
+
+// sectionId narrows the log to decisions that came from one section
+window.showDecisions = async function(selectedId, sectionId) {
+    state.decisions = await fetchDecisions();
+    const section = state.sections.find(s => s.id === sectionId);
+    const decisions = section ? sectionDecisions(section) : state.decisions;
+
+    openModal('Decision log', `
+        <div class="decision-log" id="decision-log" data-selected="${selectedId || ''}" data-section="${section ? section.id : ''}">
+            <div class="decision-log-header">
+                ${section && !isFrameworkSection(section) ? `
+                    <span>From ${sectionNumbers().get(section.id)} ${window.Markdown.escapeHtml(section.title)}</span>
+                    <button class="btn-cancel" onclick="showDecisions()">Show all</button>
+                ` : `<span>${state.decisions.length} decision${state.decisions.length === 1 ? '' : 's'}</span>`}
+                ${can('record_decisions') ? '<button class="btn-primary" onclick="showDecisionForm()">Record a decision</button>' : ''}
             </div>
+            ${decisions.length
+                ? decisions.map(d => renderDecision(d, d.id === selectedId)).join('')
+                : '<div class="empty-state"><p>No decisions recorded yet.<br>Resolve a discussion and record what was decided.</p></div>'}
         </div>
-    `;
+    `);
+    document.getElementById(`decision-${selectedId}`)?.scrollIntoView({ block: 'center' });
+};
+
+// Re-render an open log after someone else's change. A decision form being
+// filled in is a different modal and is left alone.
+function refreshDecisionLog() {
+    if (!isDecisionLogOpen()) return;
+    const { selected, section } = $('#decision-log').dataset;
+    window.showDecisions(parseInt(selected) || null, parseInt(section) || undefined);
 }
 
-async function renderNotifications() {
-    state.notifications = await fetchNotifications(state.currentUser);
-    const unread = state.notifications.filter(n => !n.read).length;
+window.openDecisionSection = function(sectionId) {
+    closeModal();
+    document.getElementById(`section-${sectionId}`)?.scrollIntoView({ behavior: 'smooth' });
+};
 
-    elements.notificationBadge.textContent = unread;
-    elements.notificationBadge.dataset.count = unread;
+// Links from the decision log and task lists close the modal on the way
+window.openThread = function(discussionId) {
+    closeModal();
+    window.focusDiscussion(discussionId);
+};
 
-    if (state.notifications.length === 0) {
-        elements.notificationList.innerHTML = `
-            <div class="empty-state">
-                <p>No notifications yet</p>
-            </div>
-        `;
+// One form for recording, promoting a discussion and editing. The chosen
+// option is picked from the options as they are typed.
+window.showDecisionForm = function(decisionId, discussionId) {
+    const decision = state.decisions.find(d => d.id === decisionId);
+    const discussion = state.discussions.find(d => d.id === discussionId);
+    // A promoted thread starts from its question and the last word on it
+    const draft = decision || {
+        title: discussion ? truncate(discussion.text.split('\n')[0], 200) : '',
+        options: [],
+        chosen: '',
+        rationale: discussion?.replies.length ? discussion.replies[discussion.replies.length - 1].text : '',
+        decided_by: [state.currentUser.id],
+        decided_at: localDate(),
+        section_id: null
+    };
+    const numbers = sectionNumbers();
+
+    openModal(decision ? 'Edit decision' : 'Record a decision', `
+        <form class="account-form" id="decision-form" data-decision="${decision ? decision.id : ''}" data-discussion="${discussion ? discussion.id : ''}" onsubmit="submitDecision(event)">
+            ${discussion ? `<blockquote class="discussion-quote">${window.Markdown.escapeHtml(truncate(discussion.text, 200))}</blockquote>` : ''}
+            <input type="text" class="account-input" id="decision-title" placeholder="What was decided?" maxlength="200" value="${window.Markdown.escapeHtml(draft.title)}" required>
+            <textarea class="form-textarea" id="decision-options" rows="3" placeholder="Options considered, one per line" oninput="renderChosenOptions()" required>${window.Markdown.escapeHtml(draft.options.join('\n'))}</textarea>
+            <select class="account-input" id="decision-chosen" aria-label="Chosen option" data-chosen="${window.Markdown.escapeHtml(draft.chosen)}" required></select>
+            <textarea class="form-textarea" id="decision-rationale" rows="3" placeholder="Why (optional)">${window.Markdown.escapeHtml(draft.rationale)}</textarea>
+            <fieldset class="decision-deciders">
+                <legend>Decided by</legend>
+                ${state.members.map(m => `
+                    <label class="account-check">
+                        <input type="checkbox" name="decided-by" value="${m.id}" ${draft.decided_by.includes(m.id) ? 'checked' : ''}> ${window.Markdown.escapeHtml(m.name)}
+                    </label>
+                `).join('')}
+            </fieldset>
+            <input type="date" class="account-input" id="decision-date" aria-label="Decided on" value="${draft.decided_at}" required>
+            ${discussion ? '' : `
+                <select class="account-input" id="decision-section" aria-label="Section">
+                    <option value="">No section</option>
+                    ${state.sections.map(s => `
+                        <option value="${s.id}" ${s.id === draft.section_id ? 'selected' : ''}>${numbers.get(s.id)} ${window.Markdown.escapeHtml(truncate(s.title, 40))}</option>
+                    `).join('')}
+                </select>
+            `}
+            <button type="submit" class="btn-primary">${decision ? 'Save decision' : 'Record decision'}</button>
+        </form>
+    `);
+    window.renderChosenOptions();
+    $('#decision-title').focus();
+};
+
+window.renderChosenOptions = function() {
+    const select = $('#decision-chosen');
+    const options = decisionOptions();
+    const chosen = options.includes(select.value) ? select.value : select.dataset.chosen;
+    select.innerHTML = options.length
+        ? options.map(o => `<option ${o === chosen ? 'selected' : ''}>${window.Markdown.escapeHtml(o)}</option>`).join('')
+        : '<option value="">Chosen option</option>';
+};
+
+function decisionOptions() {
+    return [...new Set($('#decision-options').value.split('\n').map(o => o.trim()).filter(Boolean))];
+}
+
+window.submitDecision = async function(e) {
+    e.preventDefault();
+    const form = $('#decision-form');
+    const decision = state.decisions.find(d => d.id === parseInt(form.dataset.decision));
+    const discussionId = parseInt(form.dataset.discussion);
+    const data = {
+        title: $('#decision-title').value.trim(),
+        options: decisionOptions(),
+        chosen: $('#decision-chosen').value,
+        rationale: $('#decision-rationale').value.trim(),
+        decided_by: [...form.querySelectorAll('[name="decided-by"]:checked')].map(input => parseInt(input.value)),
+        decided_at: $('#decision-date').value
+    };
+    if (data.decided_by.length === 0) {
+        showToast('Choose who made the decision');
+        return;
+    }
+    if (!discussionId) data.section_id = parseInt($('#decision-section').value) || null;
+
+    const result = decision
+        ? await updateDecision(decision.id, data, decision.version)
+        : discussionId ? await promoteDiscussion(discussionId, data) : await createDecision(data);
+    if (result.current) {
+        showToast(decision ? 'Someone else changed this decision - check it and try again' : result.error);
+        await window.showDecisions(result.current.id);
+        return;
+    }
+    if (!result.id) {
+        showToast(result.error || 'Could not save the decision');
         return;
     }
+    applyDecision(result);
+    await window.showDecisions(result.id);
+    showToast(decision ? 'Decision saved' : 'Decision recorded');
+};
 
-    elements.notificationList.innerHTML = state.notifications.map(n => `
-        <div class="notification-item ${n.read ? '' : 'unread'}" data-id="${n.id}" onclick="handleNotificationClick(${n.id}, ${n.discussion_id})">
-            <div class="notification-message">${n.message}</div>
-            <div class="notification-time">${formatTime(n.created_at)}</div>
-        </div>
-    `).join('');
+window.removeDecision = async function(id) {
+    const decision = state.decisions.find(d => d.id === id);
+    if (!decision || !confirm(`Delete the decision "${decision.title}"? Its discussion is kept.`)) return;
+
+    const result = await deleteDecision(id, decision.version);
+    if (!result.success) showToast(result.error || 'Could not delete the decision');
+    await window.showDecisions();
+    renderDecisionViews([decision.section_id]);
+};
+
+function applyDecision(decision) {
+    const index = state.decisions.findIndex(d => d.id === decision.id);
+    const previous = state.decisions[index];
+    if (index === -1) {
+        state.decisions.push(decision);
+    } else {
+        state.decisions[index] = decision;
+    }
+    state.decisions.sort((a, b) => b.decided_at.localeCompare(a.decided_at) || b.id - a.id);
+    renderDecisionViews([previous?.section_id, decision.section_id]);
 }
 
-// ========== EVENT HANDLERS ==========
-function updateUserAvatar() {
-    const isWife = state.currentUser === 'Wife';
-    elements.currentAvatar.textContent = isWife ? 'W' : 'F';
-    elements.currentAvatar.className = `avatar ${isWife ? 'avatar-wife' : 'avatar-francisco'}`;
+// Discussions link to their decision and section cards count theirs
+function renderDecisionViews(sectionIds) {
+    renderDiscussions();
+    state.sections.filter(s => isFrameworkSection(s) || sectionIds.includes(s.id)).forEach(s => refreshSectionCard(s.id));
 }
 
-function closeSidebar() {
-    elements.sidebar.classList.remove('open');
-    elements.sidebarOverlay.classList.remove('open');
+function renderDecisionLink(discussionId) {
+    const decision = state.decisions.find(d => d.discussion_id === discussionId);
+    return decision ? `<button class="discussion-scenario" onclick="showDecisions(${decision.id})">⚖️ Decision: ${window.Markdown.escapeHtml(truncate(decision.title, 60))}</button>` : '';
 }
 
-function openPanel() {
-    elements.panel.classList.add('open');
+// ========== ACTION ITEMS ==========
+// To-dos taken from a discussion or reply, with an assignee, a due date and
+// a status. They are listed under their thread and in "My tasks"; the server
+// flags overdue ones and notifies assignees.
+const TASK_STATUS_LABELS = {
+    open: 'Open',
+    in_progress: 'In progress',
+    done: 'Done'
+};
+
+function canUpdateTask(task) {
+    return task.assignee_id === state.currentUser.id || can('assign_tasks');
 }
 
-function closePanel() {
-    elements.panel.classList.remove('open');
+function formatDueDate(task) {
+    const date = formatDate(task.due_date);
+    return task.overdue ? `Overdue since ${date}` : `Due ${date}`;
 }
 
-window.addFeedbackToSection = function(sectionId) {
-    elements.sectionSelect.value = sectionId;
-    openPanel();
-    elements.formTextarea.focus();
+function renderTask(task, withThread) {
+    return `
+        <li class="task ${task.overdue ? 'overdue' : ''} ${task.status === 'done' ? 'done' : ''}" id="task-${task.id}">
+            <div class="task-main">
+                <span class="task-title">${window.Markdown.escapeHtml(task.title)}</span>
+                <span class="task-meta">${window.Markdown.escapeHtml(task.assignee_name || 'Former member')} · ${formatDueDate(task)}</span>
+                ${withThread && task.discussion ? `
+                    <button class="discussion-scenario" onclick="openThread(${task.discussion.id})">
+                        💬 ${task.discussion.section_title ? `${window.Markdown.escapeHtml(task.discussion.section_title)}: ` : ''}${window.Markdown.escapeHtml(truncate(task.discussion.text || task.discussion.type, 50))}
+                    </button>
+                ` : ''}
+            </div>
+            ${canUpdateTask(task) ? `
+                <select class="task-status" aria-label="Status" onchange="changeTaskStatus(${task.id}, this.value)">
+                    ${Object.entries(TASK_STATUS_LABELS).map(([value, label]) => `<option value="${value}" ${value === task.status ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            ` : `<span class="task-status">${TASK_STATUS_LABELS[task.status]}</span>`}
+            ${can('assign_tasks') ? `
+                <button class="action-btn" onclick="showTaskForm(${task.id})">Edit</button>
+                <button class="action-btn" onclick="removeTask(${task.id})" aria-label="Delete task">×</button>
+            ` : ''}
+        </li>
+    `;
+}
+
+function renderDiscussionTasks(discussionId) {
+    const tasks = state.tasks.filter(t => t.discussion_id === discussionId);
+    return tasks.length ? `<ul class="task-list">${tasks.map(t => renderTask(t, false)).join('')}</ul>` : '';
+}
+
+function myOpenTasks() {
+    return state.tasks.filter(t => t.assignee_id === state.currentUser.id && t.status !== 'done');
+}
+
+function updateTasksBadge() {
+    const open = myOpenTasks();
+    const badge = $('#tasks-badge');
+    badge.textContent = open.length;
+    badge.dataset.count = open.length;
+    badge.classList.toggle('overdue', open.some(t => t.overdue));
+}
+
+function isTasksOpen() {
+    return elements.modalOverlay.classList.contains('open') && Boolean($('#tasks-view'));
+}
+
+// scope 'mine' (default) or 'all'
+window.showTasks = async function(scope = 'mine') {
+    state.tasks = await fetchTasks();
+    updateTasksBadge();
+    const tasks = scope === 'all' ? state.tasks : state.tasks.filter(t => t.assignee_id === state.currentUser.id);
+    const groups = [
+        ['Overdue', tasks.filter(t => t.overdue)],
+        ['To do', tasks.filter(t => !t.overdue && t.status !== 'done')],
+        ['Done', tasks.filter(t => t.status === 'done')]
+    ].filter(([, list]) => list.length);
+
+    openModal(scope === 'all' ? 'All tasks' : 'My tasks', `
+        <div class="tasks-view" id="tasks-view" data-scope="${scope}">
+            <div class="scenario-tabs">
+                <button class="filter-chip ${scope === 'mine' ? 'active' : ''}" onclick="showTasks('mine')">Mine</button>
+                <button class="filter-chip ${scope === 'all' ? 'active' : ''}" onclick="showTasks('all')">Everyone</button>
+            </div>
+            ${groups.length ? groups.map(([title, list]) => `
+                <h3 class="tasks-group">${title} (${list.length})</h3>
+                <ul class="task-list">${list.map(t => renderTask(t, true)).join('')}</ul>
+            `).join('') : `<div class="empty-state"><p>${scope === 'all' ? 'No tasks yet.' : 'Nothing assigned to you.'}<br>Tasks are created from discussions.</p></div>`}
+        </div>
+    `);
 };
 
-window.toggleReplyForm = function(id) {
-    const form = document.getElementById(`reply-form-${id}`);
-    form.classList.toggle('open');
-    if (form.classList.contains('open')) {
-        document.getElementById(`reply-input-${id}`).focus();
+// A task from a reply starts with the reply's first line as its title
+window.showTaskForm = function(taskId, discussionId, replyId) {
+    const task = state.tasks.find(t => t.id === taskId);
+    const discussion = state.discussions.find(d => d.id === (task ? task.discussion_id : discussionId));
+    const reply = discussion?.replies.find(r => r.id === replyId);
+    const source = reply || discussion;
+    const inAWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const draft = task || {
+        title: source ? truncate(source.text.split('\n')[0], 200) : '',
+        assignee_id: state.currentUser.id,
+        due_date: localDate(inAWeek),
+        status: 'open'
+    };
+
+    openModal(task ? 'Edit task' : 'New task', `
+        <form class="account-form" id="task-form" data-task="${task ? task.id : ''}" data-discussion="${discussion ? discussion.id : ''}" data-reply="${reply ? reply.id : ''}" onsubmit="submitTask(event)">
+            ${source && !task ? `<blockquote class="discussion-quote">${window.Markdown.escapeHtml(truncate(source.text, 200))}</blockquote>` : ''}
+            <input type="text" class="account-input" id="task-title" placeholder="What needs doing?" maxlength="200" value="${window.Markdown.escapeHtml(draft.title)}" required>
+            <select class="account-input" id="task-assignee" aria-label="Assignee">
+                ${state.members.map(m => `<option value="${m.id}" ${m.id === draft.assignee_id ? 'selected' : ''}>${window.Markdown.escapeHtml(m.name)}</option>`).join('')}
+            </select>
+            <input type="date" class="account-input" id="task-due" aria-label="Due date" value="${draft.due_date}" required>
+            ${task ? `
+                <select class="account-input" id="task-status" aria-label="Status">
+                    ${Object.entries(TASK_STATUS_LABELS).map(([value, label]) => `<option value="${value}" ${value === task.status ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            ` : ''}
+            <button type="submit" class="btn-primary">${task ? 'Save task' : 'Add task'}</button>
+        </form>
+    `);
+    $('#task-title').focus();
+};
+
+window.submitTask = async function(e) {
+    e.preventDefault();
+    const form = $('#task-form');
+    const task = state.tasks.find(t => t.id === parseInt(form.dataset.task));
+    const data = {
+        title: $('#task-title').value.trim(),
+        assignee_id: parseInt($('#task-assignee').value),
+        due_date: $('#task-due').value
+    };
+
+    let result;
+    if (task) {
+        result = await updateTask(task.id, { ...data, status: $('#task-status').value }, task.version);
+    } else {
+        result = await createTask(parseInt(form.dataset.discussion), { ...data, reply_id: parseInt(form.dataset.reply) || null });
     }
+    if (result.current) {
+        applyTask(result.current);
+        showToast('Someone else changed this task - check it and try again');
+        window.showTaskForm(task.id);
+        return;
+    }
+    if (!result.id) {
+        showToast(result.error || 'Could not save the task');
+        return;
+    }
+    applyTask(result);
+    closeModal();
+    showToast(task ? 'Task saved' : `Task added for ${result.assignee_name}`);
 };
 
-window.submitReply = async function(discussionId) {
-    const input = document.getElementById(`reply-input-${discussionId}`);
-    const text = input.value.trim();
+window.changeTaskStatus = async function(id, status) {
+    const task = state.tasks.find(t => t.id === id);
+    const result = await setTaskStatus(id, status, task.version);
+    if (result.current) {
+        applyTask(result.current);
+        showToast('Someone else changed this task - check it and try again');
+    } else if (!result.id) {
+        showToast(result.error || 'Could not update the task');
+        renderTaskViews();
+    } else {
+        applyTask(result);
+    }
+    refreshTasksView();
+};
 
-    if (!text) return;
+window.removeTask = async function(id) {
+    const task = state.tasks.find(t => t.id === id);
+    if (!task || !confirm(`Delete the task "${task.title}"?`)) return;
 
-    await addReply(discussionId, {
-        text,
-        author: state.currentUser
-    });
+    const result = await deleteTask(id, task.version);
+    if (!result.success) {
+        showToast(result.error || 'Could not delete the task');
+        return;
+    }
+    state.tasks = state.tasks.filter(t => t.id !== id);
+    renderTaskViews();
+    refreshTasksView();
+};
 
-    input.value = '';
-    window.toggleReplyForm(discussionId);
+function applyTask(task) {
+    const index = state.tasks.findIndex(t => t.id === task.id);
+    if (index === -1) {
+        state.tasks.push(task);
+    } else {
+        state.tasks[index] = task;
+    }
+    state.tasks.sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id);
+    renderTaskViews();
+}
 
-    // Reload discussions
-    state.discussions = await fetchDiscussions();
+function renderTaskViews() {
     renderDiscussions();
-    renderNavigation();
-    renderStats();
-    showToast('Reply added');
+    updateTasksBadge();
+}
+
+// Re-render an open task list in place (a task form is a different modal)
+function refreshTasksView() {
+    if (isTasksOpen()) window.showTasks($('#tasks-view').dataset.scope);
+}
+
+// ========== SEARCH ==========
+const SEARCH_DELAY_MS = 250;
+
+async function runSearch() {
+    const query = elements.searchInput.value.trim();
+    if (query.length < 2) {
+        closeSearch();
+        return;
+    }
+
+    const results = await searchPlan(query);
+    // A newer search may have finished first while this one was in flight
+    if (elements.searchInput.value.trim() !== query) return;
+    state.searchResults = results;
+    renderSearchResults();
+}
+
+// Snippets come from the server as escaped text with <mark> around matches
+function renderSearchResults() {
+    const results = state.searchResults;
+    elements.searchResults.hidden = false;
+    elements.searchResults.innerHTML = results.length === 0
+        ? '<div class="search-empty">No matches</div>'
+        : results.map((r, i) => `
+            <button type="button" class="search-result" data-index="${i}" onclick="openSearchResult(${i})">
+                <div class="search-result-title">
+                    ${r.kind === 'section' ? '📄' : '💬'} ${window.Markdown.escapeHtml(r.title)}
+                    ${r.kind === 'discussion' ? `<span class="search-result-meta">${window.Markdown.escapeHtml(r.author)} · ${r.type}</span>` : ''}
+                </div>
+                <div class="search-result-snippet">${r.snippet}</div>
+            </button>
+        `).join('');
+}
+
+function closeSearch() {
+    state.searchResults = [];
+    elements.searchResults.hidden = true;
+    elements.searchResults.innerHTML = '';
+}
+
+window.openSearchResult = function(index) {
+    const result = state.searchResults[index];
+    if (!result) return;
+    closeSearch();
+    elements.searchInput.blur();
+
+    if (result.kind === 'discussion') {
+        window.focusDiscussion(result.id);
+        return;
+    }
+    const card = document.getElementById(`section-${result.id}`);
+    if (card) {
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        card.style.animation = 'none';
+        void card.offsetWidth; // restart the animation on repeat visits
+        card.style.animation = 'highlight 1s ease';
+    }
 };
 
-window.handleResolve = async function(id, resolved) {
-    await resolveDiscussion(id, resolved, state.currentUser);
+function moveSearchFocus(step) {
+    const items = [...elements.searchResults.querySelectorAll('.search-result')];
+    if (items.length === 0) return;
+    const current = items.indexOf(document.activeElement);
+    const next = current === -1 ? (step > 0 ? 0 : items.length - 1) : current + step;
+    if (next < 0) {
+        elements.searchInput.focus();
+    } else {
+        items[Math.min(next, items.length - 1)].focus();
+    }
+}
 
-    state.discussions = await fetchDiscussions();
+// ========== LIVE UPDATES ==========
+// Server-Sent Events from /api/events, applied to state as they arrive.
+// EventSource retries by itself after short drops; when the browser gives up
+// (or a phone wakes from sleep with a dead connection) we reconnect with
+// backoff, and every reconnect resyncs whatever was missed in between.
+const LiveUpdates = {
+    source: null,
+    hasConnected: false,
+    retryDelay: 1000,
+    retryTimer: null,
+
+    connect() {
+        clearTimeout(this.retryTimer);
+        if (this.source) this.source.close();
+
+        this.source = new EventSource(`${API_BASE}/api/events`);
+        this.source.onopen = () => {
+            if (this.hasConnected) resyncAll();
+            this.hasConnected = true;
+            this.retryDelay = 1000;
+        };
+        this.source.onerror = () => {
+            if (this.source.readyState === EventSource.CLOSED) this.scheduleReconnect();
+        };
+
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.source.addEventListener(type, e => handler(JSON.parse(e.data)));
+        });
+    },
+
+    isClosed() {
+        return !this.source || this.source.readyState === EventSource.CLOSED;
+    },
+
+    async scheduleReconnect() {
+        // The stream is refused once the session has expired
+        const res = await fetch(`${API_BASE}/api/verify`, { headers: authHeaders() }).catch(() => null);
+        if (res && res.status === 401) { logout(); return; }
+
+        this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+    },
+
+    handlers: {
+        'discussion.created': applyDiscussion,
+        'discussion.updated': applyDiscussion,
+        'discussion.deleted': ({ id }) => {
+            const removed = state.discussions.find(d => d.id === id);
+            state.discussions = state.discussions.filter(d => d.id !== id);
+            renderDiscussionViews(removed ? [removed.section_id] : []);
+        },
+        'notification': (notification) => {
+            // A batched notification comes again with the same id and a new count
+            state.notifications = [notification, ...state.notifications.filter(n => n.id !== notification.id)].slice(0, 50);
+            renderNotificationList();
+            // section.updated already shows its own toast
+            if (notification.type !== 'section_updated') showToast(notification.message);
+        },
+        'section.updated': applySectionUpdate,
+        'section.approval': ({ id, title, action, approval, actor_id, actor }) => {
+            applyApproval(id, approval);
+            if (actor_id === state.currentUser.id) return;
+            const messages = {
+                approved: `${actor} approved "${title}"`,
+                revoked: `${actor} withdrew their approval of "${title}"`,
+                in_review: `${actor} put "${title}" up for review`,
+                draft: `${actor} moved "${title}" back to draft`
+            };
+            showToast(messages[action]);
+        },
+        'outline.updated': async ({ actor_id, actor }) => {
+            if (actor_id === state.currentUser.id) return; // our own change is already reloaded
+            await reloadOutline();
+            showToast(`${actor} changed the outline`);
+        },
+        'model.updated': async ({ actor_id, actor }) => {
+            if (actor_id === state.currentUser.id) return; // our own save already answered with the model
+            [state.model, state.scenarios] = await Promise.all([fetchModel().then(model => model || state.model), fetchScenarios()]);
+            // Don't pull the field someone is typing in out from under them
+            renderModelViews({ keepInputs: isModelOpen() && $('#model-inputs').contains(document.activeElement) });
+            if (isScenariosOpen() && !$('#scenario-detail').contains(document.activeElement)) {
+                await window.showScenarios(parseInt($('#scenarios-view').dataset.selected));
+            }
+            renderDiscussions(); // scenario names in discussion links
+            showToast(`${actor} changed the financial model`);
+        },
+        'decision.created': applyDecisionEvent,
+        'decision.updated': applyDecisionEvent,
+        'decision.deleted': ({ id }) => {
+            const removed = state.decisions.find(d => d.id === id);
+            state.decisions = state.decisions.filter(d => d.id !== id);
+            renderDecisionViews(removed ? [removed.section_id] : []);
+            refreshDecisionLog();
+        },
+        'task.created': applyTaskEvent,
+        'task.updated': applyTaskEvent,
+        'task.deleted': ({ id }) => {
+            state.tasks = state.tasks.filter(t => t.id !== id);
+            renderTaskViews();
+            refreshTasksView();
+        },
+        'plan.imported': async ({ actor_id, actor }) => {
+            if (actor_id === state.currentUser.id) return; // already resynced after our own import
+            await resyncAll();
+            showToast(`${actor} imported a new version of the plan`);
+        }
+    }
+};
+
+function applyDecisionEvent(decision) {
+    applyDecision(decision);
+    refreshDecisionLog();
+}
+
+function applyTaskEvent(task) {
+    applyTask(task);
+    refreshTasksView();
+}
+
+function applyDiscussion(discussion) {
+    const index = state.discussions.findIndex(d => d.id === discussion.id);
+    const previous = state.discussions[index];
+    if (index === -1) {
+        state.discussions.push(discussion);
+    } else {
+        state.discussions[index] = discussion;
+    }
+    renderDiscussionViews([previous?.section_id, discussion.section_id]);
+}
+
+function renderDiscussionViews(sectionIds) {
     renderDiscussions();
-    renderSections();
     renderNavigation();
     renderStats();
-    showToast(resolved ? 'Marked as resolved' : 'Discussion reopened');
-};
+    new Set(sectionIds.filter(Boolean)).forEach(refreshSectionCard);
+}
 
-window.handleNotificationClick = async function(notifId, discussionId) {
-    await markNotificationRead(notifId);
-    renderNotifications();
+async function applySectionUpdate(update) {
+    // Our own saves (and repeats after a resync) are already on screen
+    const known = state.sections.find(s => s.id === update.id);
+    if (known && known.revision >= update.revision) return;
 
-    // Find and highlight discussion
-    if (discussionId) {
-        openPanel();
-        const discEl = document.querySelector(`.discussion-item[data-id="${discussionId}"]`);
-        if (discEl) {
-            discEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            discEl.style.animation = 'highlight 1s ease';
-        }
-    }
+    state.sections = await fetchSections();
+    state.discussions = await fetchDiscussions(); // inline comment anchors follow the new text
+    renderNavigation();
+    renderDiscussions();
+    refreshSectionCard(update.id);
 
-    elements.notificationPanel.classList.remove('open');
-};
+    showToast(state.drafts[update.id]
+        ? `${update.actor} saved a new version of "${update.title}" - you can merge when you save`
+        : `${update.actor} updated "${update.title}"`);
+}
+
+// Full reload after a reconnect, leaving open editors alone
+async function resyncAll() {
+    state.sections = await fetchSections();
+    state.discussions = await fetchDiscussions();
+    state.model = await fetchModel() || state.model;
+    state.scenarios = await fetchScenarios();
+    state.decisions = await fetchDecisions();
+    state.tasks = await fetchTasks();
+
+    if (Object.keys(state.drafts).length === 0) {
+        renderSections();
+    } else {
+        state.sections.forEach(s => refreshSectionCard(s.id));
+    }
+    renderNavigation();
+    renderDiscussions();
+    renderStats();
+    renderNotifications();
+    updateTasksBadge();
+}
 
 // ========== INITIALIZE ==========
 async function init() {
@@ -567,14 +3608,24 @@ async function init() {
 
     // Load data
     try {
+        state.currentUser = await fetchCurrentUser();
+        state.members = await fetchMembers();
+        updateUserAvatar();
+        applyRole();
+
         state.sections = await fetchSections();
         state.discussions = await fetchDiscussions();
+        state.model = await fetchModel();
+        state.scenarios = await fetchScenarios();
+        state.decisions = await fetchDecisions();
+        state.tasks = await fetchTasks();
 
         renderNavigation();
         renderSections();
         renderDiscussions();
         renderStats();
         renderNotifications();
+        updateTasksBadge();
 
         // Show encryption status
         if (state.encryptionEnabled) {
@@ -591,12 +3642,7 @@ async function init() {
     }
 
     // Event listeners
-    elements.currentUser.addEventListener('change', async (e) => {
-        state.currentUser = e.target.value;
-        updateUserAvatar();
-        await renderNotifications();
-        showToast(`Now reviewing as ${state.currentUser}`);
-    });
+    elements.userMenu.addEventListener('click', () => window.showAccount());
 
     elements.menuToggle.addEventListener('click', () => {
         elements.sidebar.classList.toggle('open');
@@ -605,25 +3651,40 @@ async function init() {
 
     elements.sidebarOverlay.addEventListener('click', closeSidebar);
 
+    elements.modalClose.addEventListener('click', closeModal);
+    elements.modalOverlay.addEventListener('click', (e) => {
+        if (e.target === elements.modalOverlay) closeModal();
+    });
+
     elements.fab.addEventListener('click', openPanel);
     elements.panelClose.addEventListener('click', closePanel);
 
     elements.notificationBtn.addEventListener('click', () => {
         elements.notificationPanel.classList.toggle('open');
+        elements.notificationSettings.classList.remove('open');
     });
 
     elements.markAllRead.addEventListener('click', async () => {
-        await markAllNotificationsRead(state.currentUser);
+        await markAllNotificationsRead();
         renderNotifications();
         showToast('All notifications marked as read');
     });
 
-    // Close notification panel when clicking outside
+    elements.notificationSettingsBtn.addEventListener('click', openNotificationSettings);
+    elements.notificationSettingsClose.addEventListener('click', () => {
+        elements.notificationSettings.classList.remove('open');
+    });
+
+    // Close notification panels when clicking outside
     document.addEventListener('click', (e) => {
         if (!elements.notificationPanel.contains(e.target) &&
             !elements.notificationBtn.contains(e.target)) {
             elements.notificationPanel.classList.remove('open');
         }
+        if (!elements.notificationSettings.contains(e.target) &&
+            !elements.notificationPanel.contains(e.target)) {
+            elements.notificationSettings.classList.remove('open');
+        }
     });
 
     // Filter buttons
@@ -640,20 +3701,31 @@ async function init() {
     elements.addForm.addEventListener('submit', async (e) => {
         e.preventDefault();
 
-        const type = document.querySelector('input[name="type"]:checked').value;
+        const type = formType();
         const sectionId = elements.sectionSelect.value;
         const text = elements.formTextarea.value.trim();
 
-        if (!text) return;
+        // A suggestion's replacement speaks for itself; the explanation is optional
+        if (!text && type !== 'suggestion') return;
 
-        await createDiscussion({
-            section_id: sectionId || null,
+        const anchor = state.pendingAnchor;
+        const result = await createDiscussion({
+            section_id: sectionId ? parseInt(sectionId) : null,
             type,
             text,
-            author: state.currentUser
+            anchor: anchor ? { quote: anchor.quote, start: anchor.start, end: anchor.end } : undefined,
+            replacement: type === 'suggestion' ? elements.formReplacement.value : undefined,
+            scenario_id: state.pendingScenario || undefined
         });
+        if (!result.success) {
+            showToast(result.error || 'Could not add your feedback');
+            return;
+        }
 
         elements.formTextarea.value = '';
+        elements.formReplacement.value = '';
+        window.clearPendingAnchor();
+        window.clearPendingScenario();
 
         // Reload
         state.discussions = await fetchDiscussions();
@@ -664,12 +3736,73 @@ async function init() {
         showToast(`${type.charAt(0).toUpperCase() + type.slice(1)} added`);
     });
 
-    // Poll for notifications every 30 seconds
-    setInterval(async () => {
-        await renderNotifications();
-    }, 30000);
+    // Search: results update as you type; arrows move through them, Escape closes
+    elements.searchInput.addEventListener('input', () => {
+        clearTimeout(runSearch.timer);
+        runSearch.timer = setTimeout(runSearch, SEARCH_DELAY_MS);
+    });
+    elements.searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            window.openSearchResult(0);
+        }
+    });
+    elements.searchInput.addEventListener('focus', () => {
+        if (state.searchResults.length > 0) elements.searchResults.hidden = false;
+    });
+    elements.searchInput.closest('.header-search').addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveSearchFocus(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Escape') {
+            closeSearch();
+            elements.searchInput.blur();
+        }
+    });
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.header-search')) elements.searchResults.hidden = true;
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === '/' && !e.target.closest('input, textarea, select')) {
+            e.preventDefault();
+            elements.searchInput.focus();
+        }
+    });
+
+    // Inline comments: selecting text in a section offers Comment and Suggest edit buttons
+    document.addEventListener('selectionchange', () => {
+        clearTimeout(updateAnchorButton.timer);
+        updateAnchorButton.timer = setTimeout(updateAnchorButton, 150);
+    });
+    elements.anchorToolbar.addEventListener('mousedown', (e) => e.preventDefault()); // keep the selection
+    elements.anchorToolbar.querySelectorAll('button').forEach(btn => {
+        btn.addEventListener('click', () => window.commentOnSelection(btn.dataset.type));
+    });
+    $$('input[name="type"]').forEach(radio => radio.addEventListener('change', renderFormAnchor));
+    elements.sectionSelect.addEventListener('change', () => {
+        if (state.pendingAnchor && String(state.pendingAnchor.sectionId) !== elements.sectionSelect.value) {
+            window.clearPendingAnchor();
+        }
+    });
+
+    // Warn before leaving the page with unsaved section edits
+    window.addEventListener('beforeunload', (e) => {
+        if (hasUnsavedDrafts()) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+
+    // Live updates instead of polling; phones drop the stream while asleep or offline
+    LiveUpdates.connect();
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && LiveUpdates.isClosed()) LiveUpdates.connect();
+    });
+    window.addEventListener('online', () => LiveUpdates.connect());
 
-    updateUserAvatar();
+    if (state.currentUser && !state.currentUser.password_set) {
+        showToast('You are still using the shared password - set your own under your name');
+    }
 }
 
 // Start app
@@ -693,6 +3826,11 @@ document.addEventListener('DOMContentLoaded', init);
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
             return true;
         }
+        // Section text can be selected to anchor an inline comment; copying stays blocked
+        const element = e.target.nodeType === Node.TEXT_NODE ? e.target.parentElement : e.target;
+        if (element?.closest('.section-content')) {
+            return true;
+        }
         e.preventDefault();
         return false;
     });
@@ -748,6 +3886,10 @@ document.addEventListener('DOMContentLoaded', init);
 
     // 5. Disable drag and drop of text/images
     document.addEventListener('dragstart', function(e) {
+        // Owners reorder the outline by dragging sidebar items
+        if (e.target.closest?.('.nav-item[draggable="true"]')) {
+            return true;
+        }
         e.preventDefault();
         return false;
     });
@@ -787,8 +3929,8 @@ document.addEventListener('DOMContentLoaded', init);
     // 8. Add CSS-based protection
     const style = document.createElement('style');
     style.textContent = `
-        /* Disable text selection on content */
-        .section-content, .section-title, .header-title {
+        /* Disable text selection on content (section text stays selectable for inline comments) */
+        .section-title, .header-title {
             -webkit-user-select: none;
             -moz-user-select: none;
             -ms-user-select: none;
@@ -0,0 +1,191 @@
+/**
+ * Financial model
+ *
+ * The plan's numbers as inputs instead of prose: plan-wide assumptions plus
+ * one row per product (price, acquisition, churn, CAC). computeModel() runs a
+ * month-by-month customer simulation from them and returns every derived
+ * figure (unit economics, yearly revenue, cash) so changing one input updates
+ * everything that depends on it. Percentages are stored as percentages (6
+ * means 6%). Scenarios override some of the inputs (applyScenario) and run
+ * through the same calculation.
+ *
+ * Loaded in the browser as window.Finance and on the server with require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Finance = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    // Plan-wide inputs, in display order. min/max bound what can be saved;
+    // integer inputs only take whole numbers.
+    const ASSUMPTIONS = [
+        { key: 'start_year', label: 'First plan year', unit: 'year', min: 2000, max: 2100, integer: true },
+        { key: 'years', label: 'Years modelled', unit: 'count', min: 1, max: 10, integer: true },
+        { key: 'gross_margin', label: 'Gross margin', unit: 'percent', min: 0, max: 100 },
+        { key: 'fixed_costs', label: 'Fixed costs per month', unit: 'currency', min: 0, max: 1000000 },
+        { key: 'initial_investment', label: 'Cash invested', unit: 'currency', min: 0, max: 100000000 },
+        { key: 'exit_multiple', label: 'Exit valuation (× yearly profit)', unit: 'ratio', min: 0, max: 50 },
+        { key: 'target_ltv_cac', label: 'Minimum LTV:CAC', unit: 'ratio', min: 0, max: 100 },
+        { key: 'max_churn', label: 'Maximum monthly churn', unit: 'percent', min: 0, max: 100 }
+    ];
+
+    // Per-product inputs. launch_month counts from month 1 of the first plan year.
+    const PRODUCT_FIELDS = [
+        { key: 'price', label: 'Price per month', unit: 'currency', min: 0, max: 100000 },
+        { key: 'launch_month', label: 'Launch month', unit: 'month', min: 1, max: 120, integer: true },
+        { key: 'new_customers', label: 'New customers in launch month', unit: 'count', min: 0, max: 100000 },
+        { key: 'growth', label: 'Monthly growth in new customers', unit: 'percent', min: -100, max: 100 },
+        { key: 'churn', label: 'Monthly churn', unit: 'percent', min: 0, max: 100 },
+        { key: 'cac', label: 'CAC', unit: 'currency', min: 0, max: 100000 }
+    ];
+
+    const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+    // Whole US dollars: -$1,250
+    function formatMoney(value) {
+        return `${value < 0 ? '-' : ''}$${Math.abs(Math.round(value)).toLocaleString('en-US')}`;
+    }
+
+    // Unit economics don't depend on time: LTV is the margin a customer brings
+    // in over their expected lifetime (1 / churn months)
+    function unitEconomics(product, grossMargin) {
+        const margin = product.price * grossMargin / 100;
+        const ltv = product.churn > 0 ? margin / (product.churn / 100) : null;
+        return {
+            ltv: ltv === null ? null : round(ltv),
+            ltv_cac: ltv === null || product.cac === 0 ? null : round(ltv / product.cac),
+            payback_months: margin > 0 ? round(product.cac / margin, 1) : null,
+            lifetime_months: product.churn > 0 ? round(100 / product.churn, 1) : null
+        };
+    }
+
+    /**
+     * Derive every figure from the inputs
+     * @param {Object<string, number>} assumptions - value by assumption key
+     * @param {object[]} products - { id, name, price, launch_month, new_customers, growth, churn, cac }
+     * @returns {{ products: object[], years: object[], months: object[], totals: object, warnings: string[] }}
+     *   years carry revenue, ending MRR and customers, costs, net profit and
+     *   cash (investment plus profit so far), overall and by product id;
+     *   months carry the same per month, overall
+     */
+    function computeModel(assumptions, products) {
+        const a = assumptions;
+        const months = a.years * 12;
+        const customers = new Map(products.map(p => [p.id, 0]));
+        const years = [];
+        const monthly = [];
+        let cash = a.initial_investment;
+        let lowestCash = { amount: cash, month: 0 };
+
+        for (let month = 1; month <= months; month++) {
+            if ((month - 1) % 12 === 0) {
+                years.push({
+                    year: a.start_year + years.length,
+                    revenue: 0, mrr: 0, customers: 0, acquisition: 0, costs: 0, net: 0, cash: 0,
+                    by_product: {}
+                });
+            }
+            const year = years[years.length - 1];
+            let revenue = 0;
+            let acquisition = 0;
+
+            products.forEach(p => {
+                const line = year.by_product[p.id] || (year.by_product[p.id] = { revenue: 0, mrr: 0, customers: 0 });
+                let count = customers.get(p.id);
+                if (month >= p.launch_month) {
+                    const joined = p.new_customers * (1 + p.growth / 100) ** (month - p.launch_month);
+                    count = count * (1 - p.churn / 100) + joined;
+                    acquisition += joined * p.cac;
+                }
+                customers.set(p.id, count);
+                line.revenue += count * p.price;
+                line.mrr = count * p.price;
+                line.customers = count;
+                revenue += count * p.price;
+            });
+
+            const costs = a.fixed_costs + acquisition + revenue * (1 - a.gross_margin / 100);
+            cash += revenue - costs;
+            if (cash < lowestCash.amount) lowestCash = { amount: cash, month };
+
+            year.revenue += revenue;
+            year.acquisition += acquisition;
+            year.costs += costs;
+            year.net += revenue - costs;
+            year.cash = cash;
+            monthly.push({
+                month,
+                year: year.year,
+                mrr: round(revenue),
+                customers: Math.round([...customers.values()].reduce((sum, count) => sum + count, 0)),
+                costs: round(costs),
+                net: round(revenue - costs),
+                cash: round(cash)
+            });
+        }
+
+        years.forEach(year => {
+            const lines = Object.values(year.by_product);
+            year.mrr = lines.reduce((sum, line) => sum + line.mrr, 0);
+            year.customers = lines.reduce((sum, line) => sum + line.customers, 0);
+            ['revenue', 'mrr', 'acquisition', 'costs', 'net', 'cash'].forEach(field => {
+                year[field] = round(year[field]);
+            });
+            year.customers = Math.round(year.customers);
+            lines.forEach(line => {
+                line.revenue = round(line.revenue);
+                line.mrr = round(line.mrr);
+                line.customers = Math.round(line.customers);
+            });
+        });
+
+        const productFigures = products.map(p => ({ id: p.id, name: p.name, ...unitEconomics(p, a.gross_margin) }));
+        const profit = years.reduce((sum, y) => sum + y.net, 0);
+        const lastYear = years[years.length - 1];
+        const totals = {
+            revenue: round(years.reduce((sum, y) => sum + y.revenue, 0)),
+            net: round(profit),
+            roi: a.initial_investment > 0 ? round(profit / a.initial_investment * 100, 1) : null,
+            exit_value: lastYear && lastYear.net > 0 ? round(lastYear.net * a.exit_multiple) : 0,
+            lowest_cash: round(lowestCash.amount),
+            lowest_cash_month: lowestCash.month
+        };
+
+        const warnings = [];
+        products.forEach((p, i) => {
+            const figures = productFigures[i];
+            if (figures.ltv_cac !== null && figures.ltv_cac < a.target_ltv_cac) {
+                warnings.push(`${p.name}: LTV:CAC is ${figures.ltv_cac}, below the ${a.target_ltv_cac} minimum`);
+            }
+            if (p.churn > a.max_churn) {
+                warnings.push(`${p.name}: churn of ${p.churn}% is above the ${a.max_churn}% maximum`);
+            }
+        });
+        if (totals.lowest_cash < 0) {
+            const month = totals.lowest_cash_month;
+            warnings.push(`Cash runs out: the low point is ${formatMoney(totals.lowest_cash)} in month ${(month - 1) % 12 + 1} of ${a.start_year + Math.floor((month - 1) / 12)}`);
+        }
+
+        return { products: productFigures, years, months: monthly, totals, warnings };
+    }
+
+    /**
+     * Inputs with a scenario's overrides applied
+     * @param {Object<string, number>} assumptions - value by assumption key
+     * @param {object[]} products
+     * @param {{ assumptions?: Object<string, number>, products?: Object<string, object> }} overrides -
+     *   products are keyed by product id; overrides for products that no longer exist are ignored
+     */
+    function applyScenario(assumptions, products, overrides = {}) {
+        return {
+            assumptions: { ...assumptions, ...overrides.assumptions },
+            products: products.map(p => ({ ...p, ...overrides.products?.[p.id] }))
+        };
+    }
+
+    return { ASSUMPTIONS, PRODUCT_FIELDS, computeModel, applyScenario, formatMoney };
+});
@@ -0,0 +1,413 @@
+/**
+ * Markdown rendering for section content and comments
+ *
+ * Covers the CommonMark/GFM features the plan uses: headings, paragraphs,
+ * nested ordered and unordered lists (with task items), block quotes, fenced
+ * code, tables and horizontal rules; inline code, links, images, emphasis,
+ * strikethrough and bare URLs. Text is escaped while parsing and the output
+ * goes through an allow-list sanitizer, so user-written HTML never reaches
+ * innerHTML.
+ *
+ * Loaded in the browser as window.Markdown and on the server with require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Markdown = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ========== BLOCKS ==========
+    const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+    const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+    const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE = /^ {0,3}>\s?/;
+    const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+    const TASK = /^\[([ xX])\]\s+/;
+    const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    const isBlank = line => !line.trim();
+    const indentOf = line => line.match(/^ */)[0].length;
+
+    function isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) &&
+            lines[i + 1].includes('-');
+    }
+
+    // A line that ends a paragraph without a blank line in between
+    function startsBlock(lines, i) {
+        const line = lines[i];
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+            LIST_ITEM.test(line) || isTableStart(lines, i);
+    }
+
+    // tight: list items whose paragraphs render without <p>
+    function renderBlocks(lines, tight = false) {
+        const out = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (isBlank(line)) {
+                i++;
+            } else if ((match = FENCE.exec(line))) {
+                const fence = match[1];
+                const body = [];
+                i++;
+                while (i < lines.length && !(lines[i].trim().startsWith(fence) && /^[`~]+$/.test(lines[i].trim()))) {
+                    body.push(lines[i]);
+                    i++;
+                }
+                i++; // closing fence
+                const language = match[2] ? ` class="language-${escapeHtml(match[2])}"` : '';
+                out.push(`<pre><code${language}>${escapeHtml(body.join('\n'))}</code></pre>`);
+            } else if ((match = HEADING.exec(line))) {
+                const level = match[1].length;
+                out.push(`<h${level}>${renderInline(match[2] || '')}</h${level}>`);
+                i++;
+            } else if (RULE.test(line)) {
+                out.push('<hr>');
+                i++;
+            } else if (QUOTE.test(line)) {
+                const body = [];
+                while (i < lines.length && QUOTE.test(lines[i])) {
+                    body.push(lines[i].replace(QUOTE, ''));
+                    i++;
+                }
+                out.push(`<blockquote>${renderBlocks(body)}</blockquote>`);
+            } else if (LIST_ITEM.test(line)) {
+                const list = parseList(lines, i);
+                out.push(list.html);
+                i = list.next;
+            } else if (isTableStart(lines, i)) {
+                const table = parseTable(lines, i);
+                out.push(table.html);
+                i = table.next;
+            } else {
+                const body = [line.trimStart()];
+                i++;
+                while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+                    body.push(lines[i].trimStart());
+                    i++;
+                }
+                const text = renderInline(body.join('\n').trimEnd());
+                out.push(tight ? text : `<p>${text}</p>`);
+            }
+        }
+        return out.join('\n');
+    }
+
+    function parseList(lines, start) {
+        const first = LIST_ITEM.exec(lines[start]);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const match = LIST_ITEM.exec(lines[i]);
+            if (!match || match[1].length < indent || match[1].length > indent + 1 || /\d/.test(match[2]) !== ordered) break;
+
+            // Continuation lines are indented to where the item's text starts
+            const contentIndent = match[1].length + match[2].length + 1;
+            const body = [match[3] || ''];
+            i++;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                if (isBlank(line)) {
+                    let next = i;
+                    while (next < lines.length && isBlank(lines[next])) next++;
+                    if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+                        body.push(...lines.slice(i, next).map(() => ''));
+                        i = next;
+                        loose = true;
+                        continue;
+                    }
+                    // A blank line between sibling items makes the whole list loose
+                    const sibling = next < lines.length && LIST_ITEM.exec(lines[next]);
+                    if (sibling && sibling[1].length >= indent && sibling[1].length <= indent + 1 &&
+                        /\d/.test(sibling[2]) === ordered) {
+                        loose = true;
+                        i = next;
+                    }
+                    break;
+                }
+                if (indentOf(line) >= contentIndent || indentOf(line) > indent + 1) {
+                    // Nested content, kept relative to the item's text
+                    body.push(line.slice(Math.min(indentOf(line), contentIndent)));
+                } else if (!startsBlock(lines, i) && !isBlank(body[body.length - 1])) {
+                    // Lazy continuation of the item's paragraph
+                    body.push(line.trim());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            const task = TASK.exec(body[0]);
+            if (task) body[0] = body[0].slice(task[0].length);
+            items.push({ body, task });
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const number = parseInt(first[2]);
+        const startAttr = ordered && number !== 1 ? ` start="${number}"` : '';
+        const html = items.map(({ body, task }) => {
+            const checkbox = task ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ` : '';
+            return `<li>${checkbox}${renderBlocks(body, !loose)}</li>`;
+        }).join('\n');
+
+        return { html: `<${tag}${startAttr}>\n${html}\n</${tag}>`, next: i };
+    }
+
+    function splitRow(line) {
+        const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+        return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    function parseTable(lines, start) {
+        const header = splitRow(lines[start]);
+        const align = splitRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+        const cell = (tag, text, col) =>
+            `<${tag}${align[col] ? ` align="${align[col]}"` : ''}>${renderInline(text || '')}</${tag}>`;
+
+        let i = start + 2;
+        const rows = [];
+        while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+            const cells = splitRow(lines[i]);
+            rows.push(`<tr>${header.map((_, col) => cell('td', cells[col], col)).join('')}</tr>`);
+            i++;
+        }
+
+        const head = `<thead><tr>${header.map((text, col) => cell('th', text, col)).join('')}</tr></thead>`;
+        const body = rows.length ? `<tbody>${rows.join('')}</tbody>` : '';
+        return { html: `<table>${head}${body}</table>`, next: i };
+    }
+
+    // ========== INLINE ==========
+    // Code, escapes, links and URLs are rendered first and set aside as
+    // placeholders so the emphasis rules never see their contents.
+    const PLACEHOLDER = /\uE000(\d+)\uE000/g;
+    const BARE_URL = /\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]*_~]/g;
+
+    function renderInline(text) {
+        const held = [];
+        let html = inlineHtml(text, held);
+        // Placeholders can nest (a link label with code in it)
+        while (html.includes('\uE000')) {
+            html = html.replace(PLACEHOLDER, (_, index) => held[index]);
+        }
+        return html;
+    }
+
+    // Index of the ] closing the [ at open, or -1
+    function closingBracket(text, open) {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            if (text[i] === '[') depth++;
+            else if (text[i] === ']' && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    // (destination "title") starting just after the (: a <bracketed> URL, or
+    // one whose parentheses balance, as in wikipedia.org/wiki/Foo_(bar)
+    function parseDestination(text, start) {
+        let i = start;
+        const skipSpace = () => {
+            while (i < text.length && /\s/.test(text[i])) i++;
+        };
+
+        skipSpace();
+        let url = '';
+        if (text[i] === '<') {
+            const close = text.indexOf('>', i);
+            if (close === -1 || /[\n<]/.test(text.slice(i + 1, close))) return null;
+            url = text.slice(i + 1, close).replace(/ /g, '%20');
+            i = close + 1;
+        } else {
+            let depth = 0;
+            while (i < text.length && !/\s/.test(text[i])) {
+                if (text[i] === '(') depth++;
+                else if (text[i] === ')' && depth-- === 0) break;
+                url += text[i++];
+            }
+        }
+
+        skipSpace();
+        let title = null;
+        if ((text[i] === '"' || text[i] === '\'') && i > start) {
+            const close = text.indexOf(text[i], i + 1);
+            if (close === -1) return null;
+            title = text.slice(i + 1, close);
+            i = close + 1;
+            skipSpace();
+        }
+        return text[i] === ')' ? { url, title, end: i + 1 } : null;
+    }
+
+    /**
+     * Replace every [label](url "title") and ![alt](src) in text. Labels may
+     * hold brackets, so an image can sit inside a link.
+     * @param {function({ image, label, url, title, source }): string} replace
+     */
+    function replaceLinks(text, replace) {
+        let out = '';
+        let i = 0;
+        let open;
+        while ((open = text.indexOf('[', i)) !== -1) {
+            const close = closingBracket(text, open);
+            const destination = close !== -1 && text[close + 1] === '(' && parseDestination(text, close + 2);
+            if (!destination) {
+                out += text.slice(i, open + 1);
+                i = open + 1;
+                continue;
+            }
+            const image = open > i && text[open - 1] === '!';
+            const begin = image ? open - 1 : open;
+            out += text.slice(i, begin) + replace({
+                image,
+                label: text.slice(open + 1, close),
+                url: destination.url,
+                title: destination.title,
+                source: text.slice(begin, destination.end)
+            });
+            i = destination.end;
+        }
+        return out + text.slice(i);
+    }
+
+    // inLink: a link's label, which may show images but not links of its own
+    function inlineHtml(text, held, inLink = false) {
+        const hold = html => `\uE000${held.push(html) - 1}\uE000`;
+
+        let html = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+            .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (_, c) => hold(escapeHtml(c)));
+        html = replaceLinks(html, ({ image, label, url, title, source }) => {
+            const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+            if (image) return hold(`<img src="${escapeHtml(url)}" alt="${escapeHtml(label)}"${titleAttr}>`);
+            if (inLink) return source;
+            return hold(`<a href="${escapeHtml(url)}"${titleAttr}>${inlineHtml(label, held, true)}</a>`);
+        });
+        if (!inLink) {
+            html = html
+                .replace(/<(https?:\/\/[^\s>]+|mailto:[^\s>]+)>/g, (_, url) =>
+                    hold(`<a href="${escapeHtml(url)}">${escapeHtml(url.replace(/^mailto:/, ''))}</a>`))
+                .replace(BARE_URL, url => hold(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+        }
+
+        return escapeHtml(html)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+    }
+
+    // ========== SANITIZER ==========
+    // Tags the renderer produces and the attributes each may keep. Anything
+    // else is dropped, so the output is safe even if a rule above slips.
+    const ALLOWED = {
+        p: [], br: [], hr: [], blockquote: [], pre: [], code: ['class'],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        ul: [], ol: ['start'], li: [], input: ['type', 'checked', 'disabled'],
+        strong: [], em: [], del: [], a: ['href', 'title'], img: ['src', 'alt', 'title'],
+        table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align']
+    };
+    const ATTRIBUTE_VALUES = {
+        class: /^language-[\w+-]+$/,
+        start: /^\d+$/,
+        type: /^checkbox$/,
+        align: /^(left|center|right)$/
+    };
+    const SAFE_URL = /^(https?:|mailto:|#|\/(?!\/)|\.{1,2}\/)/i;
+
+    function decodeEntities(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&quot;/g, '"').replace(/&#39;/g, '\'').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    function sanitizeAttribute(tag, name, value) {
+        if (!ALLOWED[tag].includes(name)) return null;
+        if (name === 'href' || name === 'src') {
+            // Browsers ignore control characters and spaces inside a scheme
+            const url = [...decodeEntities(value)].filter(c => c > ' ').join('');
+            return SAFE_URL.test(url) && !(tag === 'img' && !/^https?:/i.test(url)) ? url : null;
+        }
+        if (ATTRIBUTE_VALUES[name] && !ATTRIBUTE_VALUES[name].test(value)) return null;
+        return decodeEntities(value);
+    }
+
+    function sanitizeTag(tag) {
+        const match = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)([\s\S]*?)\/?>$/.exec(tag);
+        if (!match) return escapeHtml(tag);
+
+        const [, closing, rawName, rawAttributes] = match;
+        const name = rawName.toLowerCase();
+        if (!ALLOWED[name]) return '';
+        if (closing) return `</${name}>`;
+
+        const attributes = [];
+        const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let attribute;
+        while ((attribute = pattern.exec(rawAttributes))) {
+            const attrName = attribute[1].toLowerCase();
+            const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+            const clean = sanitizeAttribute(name, attrName, value);
+            if (clean === null) continue;
+            attributes.push(attribute[2] === undefined && attribute[3] === undefined && attribute[4] === undefined
+                ? attrName
+                : `${attrName}="${escapeHtml(clean)}"`);
+        }
+        // Only task list checkboxes, never form fields
+        if (name === 'input' && !attributes.includes('type="checkbox"')) return '';
+        if (name === 'a' && attributes.some(a => /^href="https?:/i.test(a))) {
+            attributes.push('target="_blank"', 'rel="noopener noreferrer"');
+        }
+        return `<${name}${attributes.length ? ' ' + attributes.join(' ') : ''}>`;
+    }
+
+    function sanitize(html) {
+        return String(html ?? '')
+            .replace(/<(script|style|iframe|object|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<[^>]*>|[<>]/g, token => token.length === 1 ? escapeHtml(token) : sanitizeTag(token));
+    }
+
+    /**
+     * Render markdown to sanitized HTML
+     * @param {string} text - markdown source
+     * @returns {string} HTML safe to assign to innerHTML
+     */
+    function render(text) {
+        const source = String(text ?? '').replace(/\r\n?/g, '\n').replace(/\uE000/g, '').replace(/\t/g, '    ');
+        return sanitize(renderBlocks(source.split('\n')));
+    }
+
+    return { render, sanitize, escapeHtml };
+});
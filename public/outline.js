@@ -0,0 +1,82 @@
+/**
+ * Section outline
+ *
+ * Sections form a tree through their order (`position`) and heading `level`:
+ * a section belongs under the nearest earlier section with a lower level.
+ * These helpers sort and number the outline ("1", "1.1", "1.2.1"), find the
+ * subsections that move or collapse along with a section, and keep levels
+ * consistent after sections move.
+ *
+ * Loaded in the browser as window.Outline and on the server with require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Outline = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const MAX_LEVEL = 6;
+
+    function sortSections(sections) {
+        return [...sections].sort((a, b) => a.position - b.position || a.id - b.id);
+    }
+
+    // The first section is top level and no section is more than one level
+    // deeper than the one before it
+    function normalizeLevels(sections) {
+        let previous = 0;
+        return sections.map(section => {
+            const level = Math.max(1, Math.min(section.level || 1, previous + 1, MAX_LEVEL));
+            previous = level;
+            return level === section.level ? section : { ...section, level };
+        });
+    }
+
+    // The deepest level a section placed at index can take: one below the
+    // section before it (once that is normalized), and 1 at the top
+    function maxLevelAt(sections, index) {
+        if (index <= 0) return 1;
+        const before = normalizeLevels(sections.slice(0, index));
+        return Math.min(before[index - 1].level + 1, MAX_LEVEL);
+    }
+
+    // Outline numbers by section id, for sections in outline order
+    function numberSections(sections) {
+        const counters = [];
+        const numbers = new Map();
+        sections.forEach(section => {
+            counters.length = section.level;
+            counters[section.level - 1] = (counters[section.level - 1] || 0) + 1;
+            numbers.set(section.id, Array.from(counters, count => count || 1).join('.'));
+        });
+        return numbers;
+    }
+
+    // The section followed by everything nested under it
+    function subtree(sections, id) {
+        const start = sections.findIndex(s => s.id === id);
+        if (start === -1) return [];
+        let end = start + 1;
+        while (end < sections.length && sections[end].level > sections[start].level) end++;
+        return sections.slice(start, end);
+    }
+
+    // Ids of the sections enclosing this one, nearest first
+    function ancestors(sections, id) {
+        const index = sections.findIndex(s => s.id === id);
+        const result = [];
+        let level = index === -1 ? 0 : sections[index].level;
+        for (let i = index - 1; i >= 0 && level > 1; i--) {
+            if (sections[i].level < level) {
+                result.push(sections[i].id);
+                level = sections[i].level;
+            }
+        }
+        return result;
+    }
+
+    return { MAX_LEVEL, sortSections, normalizeLevels, maxLevelAt, numberSections, subtree, ancestors };
+});
@@ -4,8 +4,19 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const path = require('path');
-const fs = require('fs');
 const crypto = require('crypto');
+const { createStore } = require('./lib/storage');
+const { runMigrations } = require('./lib/migrations');
+const { createAnchor, reanchor } = require('./lib/anchors');
+const { validate, sendValidationError, ValidationError } = require('./lib/validation');
+const { search } = require('./lib/search');
+const { EXPORT_FORMATS, buildPlan, exportFilename, toMarkdown, toHtml, toPdf } = require('./lib/export');
+const Markdown = require('./public/markdown');
+const Outline = require('./public/outline');
+const Finance = require('./public/finance');
+const { IMPORT_FORMATS, TITLE_MAX_LENGTH, readImport, matchSections, previewImport } = require('./lib/import');
+const { createTransport } = require('./lib/mail');
+const { DIGEST_FREQUENCIES, digestDue, sendDigest } = require('./lib/digest');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -121,29 +132,195 @@ function logSecurityEvent(type, details, req) {
     console.log(`[SECURITY] ${type}: ${JSON.stringify(details)}`);
 }
 
-// Simple session store (in-memory)
-const sessions = new Map();
+// ========== SESSIONS ==========
+// Sessions are kept in the store so restarts and deploys don't log anyone out.
+// Only a SHA-256 hash of each token is stored; the token itself lives in the cookie.
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SESSION_PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
 
 function generateToken() {
     return crypto.randomBytes(32).toString('hex');
 }
 
-function createSession() {
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSession(user) {
     const token = generateToken();
-    const expiresAt = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 days
-    sessions.set(token, { expiresAt });
+    const now = Date.now();
+    store.insert('sessions', {
+        token_hash: hashToken(token),
+        user_id: user.id,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + SESSION_TTL_MS).toISOString()
+    });
     return token;
 }
 
+function findSession(token) {
+    if (typeof token !== 'string' || !token) return null;
+    return store.find('sessions', { token_hash: hashToken(token) });
+}
+
+// Returns the signed-in user, or null
 function validateSession(token) {
-    if (!token) return false;
-    const session = sessions.get(token);
-    if (!session) return false;
-    if (Date.now() > session.expiresAt) {
-        sessions.delete(token);
-        return false;
+    const session = findSession(token);
+    if (!session) return null;
+    if (Date.now() > new Date(session.expires_at).getTime()) {
+        store.remove('sessions', session.id);
+        return null;
     }
-    return true;
+    return session.user_id ? store.get('users', session.user_id) : null;
+}
+
+function destroySession(token) {
+    const session = findSession(token);
+    if (session) store.remove('sessions', session.id);
+}
+
+function purgeExpiredSessions() {
+    const now = Date.now();
+    const expired = store.all('sessions').filter(s => new Date(s.expires_at).getTime() <= now);
+    if (expired.length === 0) return;
+    store.transaction(() => expired.forEach(s => store.remove('sessions', s.id)));
+}
+
+// ========== USER ACCOUNTS ==========
+// Passwords are stored as scrypt hashes. Accounts created before they had
+// their own password (password_hash: null) sign in with APP_PASSWORD until
+// they choose one.
+const PASSWORD_MIN_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{2,32}$/;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, user) {
+    if (typeof password !== 'string') return false;
+    if (!user.password_hash) return secureCompare(password, APP_PASSWORD);
+
+    const [, salt, hash] = user.password_hash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    return crypto.timingSafeEqual(crypto.scryptSync(password, salt, expected.length), expected);
+}
+
+// Unknown usernames still pay for a hash so response times don't reveal which accounts exist
+const DUMMY_USER = { password_hash: hashPassword(generateToken()) };
+
+// ========== ROLES ==========
+// owner: everything; reviewer: comment, resolve and assign tasks; advisor: read and comment
+const ROLE_PERMISSIONS = {
+    owner: ['comment', 'resolve', 'assign_tasks', 'edit_sections', 'edit_model', 'approve_sections', 'record_decisions', 'delete_discussions', 'manage_members', 'view_security_log', 'export_plan'],
+    reviewer: ['comment', 'resolve', 'assign_tasks'],
+    advisor: ['comment']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function hasPermission(user, permission) {
+    return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+// What clients get to see of an account
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        permissions: ROLE_PERMISSIONS[user.role] || [],
+        password_set: Boolean(user.password_hash)
+    };
+}
+
+// Notification types members can mute. Notifications of one type about the
+// same thing (batchBy) arriving within NOTIFICATION_BATCH_MS of each other
+// are folded into one unread notification, e.g. "5 replies from Wife".
+const NOTIFICATION_TYPES = {
+    comment: { label: 'New comments', noun: 'new comments', batchBy: ['section_id'] },
+    question: { label: 'New questions', noun: 'new questions', batchBy: ['section_id'] },
+    suggestion: { label: 'Suggested edits', noun: 'suggested edits', batchBy: ['section_id'] },
+    // Both a resolution and a section edit, so it can be muted on its own
+    suggestion_accepted: { label: 'Accepted suggested edits', noun: 'accepted suggested edits', batchBy: ['section_id'] },
+    reply: { label: 'Replies', noun: 'replies', batchBy: ['discussion_id'] },
+    resolved: { label: 'Resolved discussions', noun: 'resolved discussions', batchBy: ['section_id'] },
+    reopened: { label: 'Reopened discussions', noun: 'reopened discussions', batchBy: ['section_id'] },
+    deleted: { label: 'Deleted discussions and sections', noun: 'deletions', batchBy: ['section_id'] },
+    section_updated: { label: 'Section edits', noun: 'edits', batchBy: ['section_id'] },
+    decision: { label: 'Decisions', noun: 'decisions', batchBy: [] },
+    task_assigned: { label: 'Tasks assigned to you', noun: 'tasks assigned to you', batchBy: [] },
+    task_overdue: { label: 'Overdue tasks', noun: 'overdue tasks', batchBy: [] }
+};
+const NOTIFICATION_BATCH_MS = 60 * 1000;
+
+function isMuted(user, notification) {
+    const prefs = user.notification_preferences || {};
+    return (prefs.muted_types || []).includes(notification.type) ||
+        (notification.section_id != null && (prefs.muted_sections || []).includes(notification.section_id));
+}
+
+// Short quote of a discussion for notification messages
+function excerpt(text, length = 60) {
+    const line = (text || '').replace(/\s+/g, ' ').trim();
+    return `"${line.length > length ? `${line.slice(0, length - 1)}…` : line}"`;
+}
+
+function batchMessage(notification, actors, count) {
+    const section = notification.section_id != null && store.get('sections', notification.section_id);
+    const where = section ? ` on ${section.title}` : notification.discussion_id ? ' on a discussion' : '';
+    const from = actors.length > 0 ? ` from ${actors.join(', ')}` : '';
+    return `${count} ${NOTIFICATION_TYPES[notification.type].noun}${from}${where}`;
+}
+
+/**
+ * Notify one member unless they muted this type or section. A burst is
+ * folded into the member's recent unread notification of the same kind,
+ * which then points at the latest item and moves to the top of the list.
+ * @param {object} notification - type, message, actor (name, or null for the
+ *   app itself) and what it's about: section_id, discussion_id, task_id...
+ * @returns {object|null} the notification to publish, or null when muted
+ */
+function deliverNotification(user, { actor = null, ...notification }, now = new Date()) {
+    if (isMuted(user, notification)) return null;
+
+    const batchBy = NOTIFICATION_TYPES[notification.type]?.batchBy;
+    const recent = batchBy && store.all('notifications', { user_id: user.id, type: notification.type, read: false })
+        .find(n => batchBy.every(key => (n[key] ?? null) === (notification[key] ?? null)) &&
+            now - new Date(n.created_at) < NOTIFICATION_BATCH_MS);
+    const actors = actor ? [actor] : [];
+
+    if (recent) {
+        const count = (recent.count || 1) + 1;
+        const allActors = [...new Set([...(recent.actors || []), ...actors])];
+        return store.update('notifications', recent.id, {
+            ...notification,
+            message: batchMessage(notification, allActors, count),
+            actors: allActors,
+            count,
+            created_at: now.toISOString()
+        });
+    }
+    return store.insert('notifications', {
+        user_id: user.id,
+        ...notification,
+        actors,
+        count: 1,
+        read: false,
+        created_at: now.toISOString()
+    });
+}
+
+// Notify every member except the one who acted. Returns the new (or batched)
+// notifications so the caller can push them once its transaction has committed.
+function notifyMembers(actor, notification) {
+    const now = new Date();
+    return store.all('users')
+        .filter(u => u.id !== actor.id)
+        .map(user => deliverNotification(user, { ...notification, actor: actor.name }, now))
+        .filter(Boolean);
 }
 
 // Timing-safe password comparison to prevent timing attacks
@@ -170,7 +347,13 @@ app.use(cors({
     credentials: true
 }));
 app.use(cookieParser()); // Parse cookies for httpOnly auth
-app.use(express.json({ limit: '10kb' })); // Limit body size
+// Plan imports carry a whole document (DOCX base64-encoded) and section saves
+// a whole section; everything else stays small. Bodies are parsed after
+// requireAuth, so only signed-in editors get the larger limits.
+const IMPORT_MAX_BYTES = 8 * 1024 * 1024;
+const SECTION_MAX_LENGTH = 100000; // characters
+// JSON can spend up to 6 bytes on a character (\uXXXX), plus room for the title
+const SECTION_BODY_LIMIT = SECTION_MAX_LENGTH * 6 + 10 * 1024;
 
 // Auth middleware - protect all routes except login
 function requireAuth(req, res, next) {
@@ -178,11 +361,16 @@ function requireAuth(req, res, next) {
     if (req.path === '/login' || req.path === '/api/login' || req.path === '/api/verify') {
         return next();
     }
+    // Unsubscribe links in digest emails work without signing in; the token identifies the member
+    if (req.path === '/api/unsubscribe') {
+        return next();
+    }
 
     // Check for token in httpOnly cookie (preferred) or header (fallback)
     const token = req.cookies?.auth_token || req.headers['x-auth-token'];
+    const user = validateSession(token);
 
-    if (!validateSession(token)) {
+    if (!user) {
         // For API requests, return 401
         if (req.path.startsWith('/api/')) {
             return res.status(401).json({ error: 'Unauthorized' });
@@ -191,42 +379,333 @@ function requireAuth(req, res, next) {
         return res.sendFile(path.join(__dirname, 'public', 'login.html'));
     }
 
-    // Add user session info to request for logging
+    // Add user session info to request for logging and authorship
     req.sessionToken = token;
+    req.user = user;
     next();
 }
 
+// Role check for a route, used after requireAuth has set req.user
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (hasPermission(req.user, permission)) return next();
+
+        logSecurityEvent('FORBIDDEN', { username: req.user.username, role: req.user.role, permission, path: req.path }, req);
+        res.status(403).json({ error: 'Your role does not allow this' });
+    };
+}
+
+// JSON bodies up to limit for members with the permission; everyone else
+// falls through to the default limit, and the route's role check answers them
+function largeJsonBody(permission, limit) {
+    const parse = express.json({ limit });
+    return (req, res, next) => (hasPermission(req.user, permission) ? parse(req, res, next) : next());
+}
+
+// ========== REQUEST SCHEMAS ==========
+// Every route taking input declares it here (see lib/validation.js); fields
+// not listed are stripped before a handler runs.
+const DISCUSSION_TYPES = ['comment', 'question', 'suggestion'];
+const SECTION_STATUSES = ['draft', 'in_review'];
+const TASK_STATUSES = ['open', 'in_progress', 'done'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TEXT_MAX_LENGTH = 5000;
+
+const idParam = { type: 'integer', required: true, min: 1 };
+const discussionText = { type: 'string', required: true, trim: true, min: 1, max: TEXT_MAX_LENGTH };
+const passwordField = { type: 'string', required: true, max: 200 };
+const roleField = { type: 'string', oneOf: ROLES };
+// Imported titles are cut to the same length, so they can be saved from the editor
+const sectionTitle = { type: 'string', required: true, trim: true, min: 1, max: TITLE_MAX_LENGTH };
+const sectionLevel = { type: 'integer', min: 1, max: Outline.MAX_LEVEL };
+const beforeId = { type: 'integer', min: 1, nullable: true }; // null: at the end
+const importUpload = {
+    format: { type: 'string', required: true, oneOf: IMPORT_FORMATS },
+    content: { type: 'string', required: true, min: 1, max: IMPORT_MAX_BYTES },
+    filename: { type: 'string', trim: true, max: 200 },
+    split_level: { type: 'integer', min: 1, max: 6 }
+};
+const scenarioFields = {
+    name: { type: 'string', required: true, trim: true, min: 1, max: 60 },
+    description: { type: 'string', trim: true, max: 300, default: '' },
+    // Keys are assumption keys and product ids, checked in the route
+    overrides: {
+        type: 'object',
+        default: {},
+        fields: {
+            assumptions: { type: 'object', default: {} },
+            products: { type: 'object', default: {} }
+        }
+    }
+};
+// Calendar dates; impossible ones like 2026-02-30 are caught by isCalendarDate
+const dateField = { type: 'string', required: true, pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'must be a date (YYYY-MM-DD)' };
+
+function isCalendarDate(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// YYYY-MM-DD in the server's time zone
+function localDate(date = new Date()) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+}
+
+const decisionText = { type: 'string', required: true, trim: true, min: 1, max: 300 };
+const decisionFields = {
+    title: { ...decisionText, max: 200 },
+    options: { type: 'array', required: true, min: 1, max: 10, items: decisionText },
+    // Must be one of the options, checked in the route
+    chosen: decisionText,
+    rationale: { type: 'string', trim: true, max: TEXT_MAX_LENGTH, default: '' },
+    decided_by: { type: 'array', required: true, min: 1, max: 20, items: { type: 'integer', min: 1 } },
+    decided_at: dateField
+};
+const taskFields = {
+    title: { type: 'string', required: true, trim: true, min: 1, max: 200 },
+    assignee_id: idParam,
+    due_date: dateField
+};
+const productFields = {
+    name: { type: 'string', required: true, trim: true, min: 1, max: 100 },
+    ...Object.fromEntries(Finance.PRODUCT_FIELDS.map(field => [field.key, {
+        type: field.integer ? 'integer' : 'number', required: true, min: field.min, max: field.max
+    }]))
+};
+
+const schemas = {
+    login: {
+        body: { username: { type: 'string', required: true, trim: true, lowercase: true, max: 64 }, password: passwordField }
+    },
+    changePassword: {
+        body: { current_password: passwordField, new_password: { ...passwordField, min: PASSWORD_MIN_LENGTH } }
+    },
+    createUser: {
+        body: {
+            username: {
+                type: 'string', required: true, trim: true, lowercase: true, pattern: USERNAME_PATTERN,
+                message: 'must be 2-32 lowercase letters, digits or . _ -'
+            },
+            name: { type: 'string', required: true, trim: true, min: 1, max: 50 },
+            password: { ...passwordField, min: PASSWORD_MIN_LENGTH },
+            role: { ...roleField, default: 'reviewer' }
+        }
+    },
+    updateDigest: {
+        body: {
+            email: { type: 'string', trim: true, max: 254, nullable: true, default: null, pattern: EMAIL_PATTERN, message: 'must be an email address' },
+            digest: { type: 'string', required: true, oneOf: DIGEST_FREQUENCIES }
+        }
+    },
+    unsubscribe: {
+        query: { token: { type: 'string', required: true, pattern: /^[a-f0-9]{64}$/, message: 'is not a valid unsubscribe token' } }
+    },
+    updateUser: {
+        params: { id: idParam },
+        body: { role: { ...roleField, required: true } }
+    },
+    listSections: {
+        query: { encrypted: { type: 'boolean', default: false } }
+    },
+    getSection: {
+        params: { id: idParam },
+        query: { encrypted: { type: 'boolean', default: false } }
+    },
+    section: {
+        params: { id: idParam }
+    },
+    createSection: {
+        body: {
+            title: sectionTitle,
+            content: { type: 'string', max: SECTION_MAX_LENGTH, default: '' },
+            level: sectionLevel,
+            before_id: beforeId
+        }
+    },
+    sectionStatus: {
+        params: { id: idParam },
+        body: { status: { type: 'string', required: true, oneOf: SECTION_STATUSES } }
+    },
+    moveSection: {
+        params: { id: idParam },
+        body: { level: sectionLevel, before_id: beforeId }
+    },
+    updateSection: {
+        params: { id: idParam },
+        body: {
+            title: sectionTitle,
+            content: { type: 'string', required: true, max: SECTION_MAX_LENGTH }
+        }
+    },
+    revision: {
+        params: { id: idParam, number: idParam }
+    },
+    diff: {
+        params: { id: idParam },
+        query: { from: { type: 'integer', min: 0 }, to: { type: 'integer', min: 1 } }
+    },
+    createDiscussion: {
+        body: {
+            section_id: { type: 'integer', nullable: true, min: 1, default: null },
+            type: { type: 'string', required: true, oneOf: DISCUSSION_TYPES },
+            // Optional only for suggestions, checked in the route
+            text: { ...discussionText, required: false, min: 0, default: '' },
+            anchor: {
+                type: 'object',
+                nullable: true,
+                default: null,
+                fields: {
+                    quote: { type: 'string', required: true, min: 1, max: 1000 },
+                    start: { type: 'integer', required: true, min: 0 },
+                    end: { type: 'integer', required: true, min: 0 }
+                }
+            },
+            replacement: { type: 'string', max: TEXT_MAX_LENGTH },
+            scenario_id: { type: 'integer', nullable: true, min: 1, default: null }
+        }
+    },
+    discussion: {
+        params: { id: idParam }
+    },
+    reply: {
+        params: { id: idParam },
+        body: { text: discussionText }
+    },
+    resolve: {
+        params: { id: idParam },
+        body: { resolved: { type: 'boolean', required: true } }
+    },
+    reject: {
+        params: { id: idParam },
+        body: { note: { type: 'string', trim: true, max: 1000, nullable: true, default: null } }
+    },
+    notification: {
+        params: { id: idParam }
+    },
+    notificationPreferences: {
+        body: {
+            muted_types: { type: 'array', required: true, max: 50, items: { type: 'string', oneOf: Object.keys(NOTIFICATION_TYPES) } },
+            muted_sections: { type: 'array', required: true, max: 500, items: { type: 'integer', min: 1 } }
+        }
+    },
+    search: {
+        query: {
+            q: { type: 'string', required: true, trim: true, min: 1, max: 200 },
+            limit: { type: 'integer', min: 1, max: 50, default: 20 },
+            encrypted: { type: 'boolean', default: false }
+        }
+    },
+    importPreview: {
+        body: importUpload
+    },
+    importPlan: {
+        body: { ...importUpload, mode: { type: 'string', required: true, oneOf: ['merge', 'replace'] } }
+    },
+    assumption: {
+        params: { key: { type: 'string', required: true, oneOf: Finance.ASSUMPTIONS.map(a => a.key) } },
+        // Bounds depend on the assumption, checked in the route
+        body: { value: { type: 'number', required: true } }
+    },
+    createProduct: {
+        body: productFields
+    },
+    updateProduct: {
+        params: { id: idParam },
+        body: productFields
+    },
+    product: {
+        params: { id: idParam }
+    },
+    createScenario: {
+        body: scenarioFields
+    },
+    updateScenario: {
+        params: { id: idParam },
+        body: scenarioFields
+    },
+    scenario: {
+        params: { id: idParam }
+    },
+    createDecision: {
+        body: { ...decisionFields, section_id: { type: 'integer', nullable: true, min: 1, default: null } }
+    },
+    promoteDiscussion: {
+        params: { id: idParam },
+        body: decisionFields
+    },
+    updateDecision: {
+        params: { id: idParam },
+        body: { ...decisionFields, section_id: { type: 'integer', nullable: true, min: 1, default: null } }
+    },
+    decision: {
+        params: { id: idParam }
+    },
+    listTasks: {
+        query: {
+            assignee_id: { type: 'integer', min: 1 },
+            status: { type: 'string', oneOf: TASK_STATUSES }
+        }
+    },
+    createTask: {
+        params: { id: idParam },
+        // A task from a reply names it; otherwise it comes from the discussion itself
+        body: { ...taskFields, reply_id: { type: 'integer', min: 1, nullable: true, default: null } }
+    },
+    updateTask: {
+        params: { id: idParam },
+        body: { ...taskFields, status: { type: 'string', required: true, oneOf: TASK_STATUSES } }
+    },
+    taskStatus: {
+        params: { id: idParam },
+        body: { status: { type: 'string', required: true, oneOf: TASK_STATUSES } }
+    },
+    task: {
+        params: { id: idParam }
+    },
+    exportPlan: {
+        query: {
+            format: { type: 'string', oneOf: Object.keys(EXPORT_FORMATS), default: 'html' },
+            discussions: { type: 'boolean', default: false },
+            watermark: { type: 'string', trim: true, min: 1, max: 100 }
+        }
+    }
+};
+
 app.use(requireAuth);
+app.use('/api/import', largeJsonBody('edit_sections', IMPORT_MAX_BYTES));
+app.use('/api/sections', largeJsonBody('edit_sections', SECTION_BODY_LIMIT));
+app.use(express.json({ limit: '10kb' })); // Limit body size
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ========== AUTH ROUTES ==========
-app.post('/api/login', (req, res) => {
-    const { password } = req.body;
+app.post('/api/login', validate(schemas.login), (req, res) => {
+    const { username, password } = req.body;
+    const user = store.find('users', { username });
 
-    // Use timing-safe comparison to prevent timing attacks
-    if (secureCompare(password || '', APP_PASSWORD)) {
-        const token = createSession();
+    // Both checks run for unknown usernames too, so timing doesn't leak which exist
+    if (verifyPassword(password, user || DUMMY_USER) && user) {
+        const token = createSession(user);
 
         // Log successful login
-        logSecurityEvent('LOGIN_SUCCESS', { message: 'User logged in successfully' }, req);
+        logSecurityEvent('LOGIN_SUCCESS', { message: 'User logged in successfully', username: user.username }, req);
 
         // Set httpOnly cookie (more secure - not accessible via JavaScript)
         res.cookie('auth_token', token, {
             httpOnly: true,           // Prevents XSS attacks from stealing token
             secure: process.env.NODE_ENV === 'production', // HTTPS only in production
             sameSite: 'strict',       // Prevents CSRF attacks
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+            maxAge: SESSION_TTL_MS,
             path: '/'
         });
 
         res.json({ success: true, token });
     } else {
         // Log failed login attempt
-        logSecurityEvent('LOGIN_FAILED', { message: 'Invalid password attempt' }, req);
+        logSecurityEvent('LOGIN_FAILED', { message: 'Invalid username or password', username }, req);
 
         // Add small random delay to further prevent timing attacks
         setTimeout(() => {
-            res.status(401).json({ error: 'Invalid password' });
+            res.status(401).json({ error: 'Invalid username or password' });
         }, Math.random() * 100);
     }
 });
@@ -243,7 +722,7 @@ app.get('/api/verify', (req, res) => {
 app.post('/api/logout', (req, res) => {
     const token = req.headers['x-auth-token'] || req.cookies?.auth_token;
     if (token) {
-        sessions.delete(token);
+        destroySession(token);
     }
 
     // Clear the httpOnly cookie
@@ -257,39 +736,92 @@ app.post('/api/logout', (req, res) => {
     res.json({ success: true });
 });
 
-// Security log endpoint (view recent security events)
-app.get('/api/security-log', (req, res) => {
-    // Only return last 50 events
-    res.json(securityLog.slice(0, 50));
+// ========== ACCOUNT ROUTES ==========
+// Current user
+app.get('/api/me', (req, res) => {
+    res.json(ownAccount(req.user));
 });
 
-// ========== JSON FILE DATABASE ==========
-const DB_FILE = path.join(__dirname, 'data.json');
+// Change own password (signs out every other session of this user)
+app.put('/api/me/password', validate(schemas.changePassword), (req, res) => {
+    const { current_password, new_password } = req.body;
 
-function loadDB() {
-    try {
-        if (fs.existsSync(DB_FILE)) {
-            return JSON.parse(fs.readFileSync(DB_FILE, 'utf-8'));
-        }
-    } catch (err) {
-        console.error('Error loading database:', err);
+    if (!verifyPassword(current_password, req.user)) {
+        logSecurityEvent('PASSWORD_CHANGE_FAILED', { username: req.user.username }, req);
+        return res.status(403).json({ error: 'Current password is incorrect' });
     }
-    return initializeDB();
-}
 
-function saveDB(data) {
-    fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
-}
+    const currentHash = hashToken(req.sessionToken);
+    store.transaction(() => {
+        store.update('users', req.user.id, { password_hash: hashPassword(new_password) });
+        store.all('sessions', { user_id: req.user.id })
+            .filter(s => s.token_hash !== currentHash)
+            .forEach(s => store.remove('sessions', s.id));
+    });
+    logSecurityEvent('PASSWORD_CHANGED', { username: req.user.username }, req);
+    res.json({ success: true });
+});
+
+// List members
+app.get('/api/users', (req, res) => {
+    res.json(store.all('users').map(publicUser));
+});
+
+// Add a member (accountant, mentor, ...) with an initial password
+app.post('/api/users', requirePermission('manage_members'), validate(schemas.createUser), (req, res) => {
+    const { username, name, password, role } = req.body;
+    if (store.find('users', { username })) {
+        return res.status(409).json({ error: 'That username is taken' });
+    }
+
+    const user = store.insert('users', {
+        username,
+        name,
+        role,
+        password_hash: hashPassword(password),
+        email: null,
+        digest: 'off',
+        digest_sent_at: null,
+        unsubscribe_token: generateToken(),
+        notification_preferences: { muted_types: [], muted_sections: [] },
+        created_at: new Date().toISOString()
+    });
+    logSecurityEvent('USER_CREATED', { username: user.username, role, by: req.user.username }, req);
+    res.status(201).json(publicUser(user));
+});
+
+// Change a member's role
+app.patch('/api/users/:id', requirePermission('manage_members'), validate(schemas.updateUser), (req, res) => {
+    const { role } = req.body;
+    const user = store.get('users', req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-function initializeDB() {
-    const data = {
+    // Someone must always be able to manage members
+    const otherOwners = store.all('users', { role: 'owner' }).filter(u => u.id !== user.id);
+    if (user.role === 'owner' && role !== 'owner' && otherOwners.length === 0) {
+        return res.status(409).json({ error: 'The plan needs at least one owner' });
+    }
+
+    const updated = store.update('users', user.id, { role });
+    logSecurityEvent('ROLE_CHANGED', { username: user.username, from: user.role, to: role, by: req.user.username }, req);
+    res.json(publicUser(updated));
+});
+
+// Security log endpoint (view recent security events)
+app.get('/api/security-log', requirePermission('view_security_log'), (req, res) => {
+    // Only return last 50 events
+    res.json(securityLog.slice(0, 50));
+});
+
+// ========== DATABASE ==========
+// Persistence goes through the repository in lib/storage: data.json by
+// default, SQLite with STORAGE_BACKEND=sqlite
+function seedDatabase() {
+    return {
         sections: getBusinessPlanSections(),
         discussions: [],
-        notifications: [],
-        nextId: { discussion: 1, reply: 1, notification: 1 }
+        notifications: []
     };
-    saveDB(data);
-    return data;
 }
 
 function getBusinessPlanSections() {
@@ -685,44 +1217,335 @@ Empower small businesses with AI-powered tools that are affordable, easy to use,
     ];
 }
 
+// ========== REVISION HISTORY ==========
+// Apply new title/content to a section and record it as the next numbered revision
+function saveSectionRevision(section, changes, author) {
+    return store.transaction(() => {
+        const revision = store.insert('revisions', {
+            section_id: section.id,
+            number: (section.revision || 0) + 1,
+            title: changes.title,
+            content: changes.content,
+            author: author || null,
+            created_at: new Date().toISOString()
+        });
+        const updated = store.update('sections', section.id, {
+            ...changes,
+            revision: revision.number,
+            updated_at: revision.created_at
+        });
+        if (updated.content !== section.content) reanchorDiscussions(updated);
+        // A new wording needs new sign-offs
+        store.all('approvals', { section_id: section.id }).forEach(a => store.remove('approvals', a.id));
+        return updated;
+    });
+}
+
+// New sections start their history at revision 1. They go at the end of the
+// outline; callers place them with saveOutline().
+function createSection({ title, level, content }, author) {
+    return store.transaction(() => {
+        const position = store.all('sections').length;
+        const created = store.insert('sections', { title, level, content, position, revision: 1, status: 'draft' });
+        const revision = store.insert('revisions', {
+            section_id: created.id,
+            number: 1,
+            title,
+            content,
+            author: author || null,
+            created_at: new Date().toISOString()
+        });
+        return store.update('sections', created.id, { updated_at: revision.created_at });
+    });
+}
+
+// Remove a section with its history. Its discussions stay as general
+// discussions; inline anchors are orphaned since the text is gone.
+// Returns how many discussions were detached.
+function removeSection(section) {
+    return store.transaction(() => {
+        const discussions = store.all('discussions', { section_id: section.id });
+        discussions.forEach(d => store.update('discussions', d.id, {
+            section_id: null,
+            anchor: d.anchor && { ...d.anchor, orphaned: true },
+            version: d.version + 1
+        }));
+        store.all('revisions', { section_id: section.id }).forEach(r => store.remove('revisions', r.id));
+        store.all('approvals', { section_id: section.id }).forEach(a => store.remove('approvals', a.id));
+        store.all('assumptions', { section_id: section.id }).forEach(a => store.update('assumptions', a.id, { section_id: null }));
+        store.all('decisions', { section_id: section.id }).forEach(d => store.update('decisions', d.id, { section_id: null, version: d.version + 1 }));
+        store.all('users')
+            .filter(u => u.notification_preferences?.muted_sections.includes(section.id))
+            .forEach(u => store.update('users', u.id, {
+                notification_preferences: {
+                    ...u.notification_preferences,
+                    muted_sections: u.notification_preferences.muted_sections.filter(id => id !== section.id)
+                }
+            }));
+        store.remove('sections', section.id);
+        return discussions.length;
+    });
+}
+
+// Move inline comments to where their quoted text ended up after an edit
+function reanchorDiscussions(section) {
+    store.all('discussions', { section_id: section.id })
+        .filter(d => d.anchor)
+        .forEach(d => store.update('discussions', d.id, { anchor: reanchor(d.anchor, section.content) }));
+}
+
+function getRevisions(sectionId) {
+    return store.all('revisions', { section_id: sectionId })
+        .sort((a, b) => b.number - a.number);
+}
+
+// Line-based diff using the longest common subsequence of both texts
+function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Int32Array(b.length + 1));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'unchanged', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+    return lines;
+}
+
+// ========== OUTLINE ==========
+// Sections are ordered by position; level nests a section under the nearest
+// earlier one with a lower level (see public/outline.js).
+function orderedSections() {
+    return Outline.sortSections(store.all('sections'));
+}
+
+// Store sections in the given order with consistent levels, touching only
+// the ones that changed
+function saveOutline(sections) {
+    const stored = new Map(store.all('sections').map(s => [s.id, s]));
+    store.transaction(() => {
+        Outline.normalizeLevels(sections).forEach((section, position) => {
+            const current = stored.get(section.id);
+            if (current.position !== position || current.level !== section.level) {
+                store.update('sections', section.id, { position, level: section.level });
+            }
+        });
+    });
+}
+
+// A requested level the outline can't hold where the section and its
+// subsections (moving) end up
+function outlineLevelError(sections, moving) {
+    const maxLevel = Outline.maxLevelAt(sections, sections.indexOf(moving[0]));
+    if (moving[0].level > maxLevel) {
+        return new ValidationError({ level: `must be at most ${maxLevel} at this place in the outline` });
+    }
+    if (moving.some(s => s.level > Outline.MAX_LEVEL)) {
+        return new ValidationError({ level: `would put subsections deeper than level ${Outline.MAX_LEVEL}` });
+    }
+    return null;
+}
+
+// Structure changes (add, move, delete, import) are refetched by clients
+function publishOutlineUpdate(actor) {
+    publishEvent('outline.updated', { actor_id: actor.id, actor: actor.name });
+}
+
+// Insert sections before the section with id beforeId (at the end for null)
+function insertBefore(sections, moving, beforeId) {
+    const index = beforeId === null ? sections.length : sections.findIndex(s => s.id === beforeId);
+    return [...sections.slice(0, index), ...moving, ...sections.slice(index)];
+}
+
+// ========== SECTION APPROVAL ==========
+// Members who can approve sign off on a section's current revision. A
+// section's stored status says whether it is still being drafted or is up for
+// review; once anyone has approved it, its approval status is "approved"
+// (by some) or "approved_all" (by every approver). Saving a new revision
+// clears the sign-offs (see saveSectionRevision).
+function approvers() {
+    return store.all('users').filter(u => hasPermission(u, 'approve_sections'));
+}
+
+function sectionApproval(section, members = approvers()) {
+    const approvals = store.all('approvals', { section_id: section.id, revision: section.revision });
+    const approvalBy = new Map(approvals.map(a => [a.user_id, a]));
+    const approvedBy = members.filter(m => approvalBy.has(m.id));
+
+    let status = section.status || 'draft';
+    if (approvedBy.length > 0) status = approvedBy.length === members.length ? 'approved_all' : 'approved';
+    return {
+        status,
+        approved_by: approvedBy.map(m => ({ user_id: m.id, name: m.name, approved_at: approvalBy.get(m.id).created_at })),
+        waiting_for: members.filter(m => !approvalBy.has(m.id)).map(m => ({ user_id: m.id, name: m.name }))
+    };
+}
+
+function withApproval(section, members = approvers()) {
+    return { ...section, approval: sectionApproval(section, members) };
+}
+
+function publishApprovalUpdate(section, action, actor) {
+    publishEvent('section.approval', {
+        id: section.id,
+        title: section.title,
+        action,
+        approval: sectionApproval(section),
+        actor_id: actor.id,
+        actor: actor.name
+    });
+}
+
+// ========== OPTIMISTIC CONCURRENCY ==========
+// Sections are versioned by revision number, discussions by version. The
+// number is sent as the ETag and writes must send it back in If-Match.
+function etagFor(version) {
+    return `"${version}"`;
+}
+
+// Returns false after sending 428 (no If-Match) or 409 (stale version).
+// The 409 carries the current server copy so the client can merge.
+function checkIfMatch(req, res, version, current) {
+    const header = req.get('If-Match');
+    if (!header) {
+        res.status(428).json({ error: 'If-Match header required' });
+        return false;
+    }
+
+    const requested = header.split(',').map(v => v.trim().replace(/^W\//, '').replace(/"/g, ''));
+    if (!requested.includes('*') && !requested.includes(String(version))) {
+        res.set('ETag', etagFor(version));
+        res.status(409).json({ error: 'Conflict: this was changed by someone else', current });
+        return false;
+    }
+    return true;
+}
+
+// Section conflicts also include what changed since the revision the client started from
+function sectionConflict(section, baseNumber) {
+    const base = getRevisions(section.id).find(r => r.number === baseNumber);
+    return {
+        ...section,
+        changes: base ? diffLines(base.content, section.content) : null,
+        changed_by: getRevisions(section.id)[0].author
+    };
+}
+
+function sectionIfMatch(req, res, section) {
+    const header = req.get('If-Match') || '';
+    const base = parseInt(header.replace(/^W\//, '').replace(/"/g, ''));
+    return checkIfMatch(req, res, section.revision, sectionConflict(section, base));
+}
+
+// ========== LIVE UPDATES (SSE) ==========
+// Every open tab keeps a GET /api/events stream. Writes publish an event
+// after they are stored; clients apply it to their state without reloading.
+const EVENT_HEARTBEAT_MS = 25 * 1000; // keeps proxies and phones from dropping idle streams
+const eventClients = new Set();
+
+// Send to every connected member, or only to userId when given
+function publishEvent(type, data, userId = null) {
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    eventClients.forEach(client => {
+        if (userId === null || client.userId === userId) client.res.write(message);
+    });
+}
+
+function publishNotifications(notifications) {
+    notifications.forEach(n => publishEvent('notification', n, n.user_id));
+}
+
+app.get('/api/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Render/nginx: don't buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const client = { res, userId: req.user.id };
+    eventClients.add(client);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventClients.delete(client);
+    });
+});
+
 // Load database
-let db = loadDB();
+const store = createStore({ seed: seedDatabase });
+
+// Upgrade older data to the current schema before serving requests
+const migration = runMigrations(store);
+if (migration.applied.length > 0) {
+    console.log(`Migrated data schema ${migration.from} → ${migration.to}`);
+}
+
+purgeExpiredSessions();
+setInterval(purgeExpiredSessions, SESSION_PURGE_INTERVAL_MS).unref();
 
 // ========== API ROUTES ==========
 
 // Get all sections (with encrypted content option)
-app.get('/api/sections', (req, res) => {
-    const encrypted = req.query.encrypted === 'true';
-
-    if (encrypted) {
+app.get('/api/sections', validate(schemas.listSections), (req, res) => {
+    const members = approvers();
+    if (req.query.encrypted) {
         // Return encrypted content - more secure for transmission
-        const encryptedSections = db.sections.map(section => ({
+        const encryptedSections = orderedSections().map(section => ({
             id: section.id,
             title: section.title, // Title stays visible for navigation
             level: section.level,
+            position: section.position,
+            revision: section.revision,
+            approval: sectionApproval(section, members),
             content: encryptContent(section.content)
         }));
         res.json(encryptedSections);
     } else {
-        res.json(db.sections);
+        res.json(orderedSections().map(section => withApproval(section, members)));
     }
 });
 
 // Get section by ID (with encrypted content option)
-app.get('/api/sections/:id', (req, res) => {
-    const section = db.sections.find(s => s.id === parseInt(req.params.id));
+app.get('/api/sections/:id', validate(schemas.getSection), (req, res) => {
+    const section = store.get('sections', req.params.id);
     if (!section) return res.status(404).json({ error: 'Section not found' });
 
-    const encrypted = req.query.encrypted === 'true';
-    if (encrypted) {
+    res.set('ETag', etagFor(section.revision));
+    if (req.query.encrypted) {
         res.json({
             id: section.id,
             title: section.title,
             level: section.level,
+            position: section.position,
+            revision: section.revision,
+            approval: sectionApproval(section),
             content: encryptContent(section.content)
         });
     } else {
-        res.json(section);
+        res.json(withApproval(section));
     }
 });
 
@@ -743,96 +1566,364 @@ app.get('/api/encryption-key', (req, res) => {
 });
 
 // Update section
-app.put('/api/sections/:id', (req, res) => {
+app.put('/api/sections/:id', requirePermission('edit_sections'), validate(schemas.updateSection), (req, res) => {
     const { title, content } = req.body;
-    const section = db.sections.find(s => s.id === parseInt(req.params.id));
-    if (section) {
-        section.title = title;
-        section.content = content;
-        section.updated_at = new Date().toISOString();
-        saveDB(db);
+    const section = store.get('sections', req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+    if (!sectionIfMatch(req, res, section)) return;
+
+    // Saving identical text doesn't create a new revision
+    if (section.title === title && section.content === content) {
+        res.set('ETag', etagFor(section.revision));
+        return res.json({ success: true, revision: section.revision });
     }
-    res.json({ success: true });
-});
 
-// Get all discussions
-app.get('/api/discussions', (req, res) => {
-    const discussions = db.discussions.map(d => {
-        const section = db.sections.find(s => s.id === d.section_id);
-        return { ...d, section_title: section ? section.title : null };
+    const { updated, notifications } = store.transaction(() => {
+        const saved = saveSectionRevision(section, { title, content }, req.user.name);
+        return { updated: saved, notifications: notifySectionUpdate(saved, req.user) };
     });
-    res.json(discussions);
+    publishSectionUpdate(updated, req.user);
+    publishNotifications(notifications);
+    res.set('ETag', etagFor(updated.revision));
+    res.json({ success: true, revision: updated.revision });
 });
 
-// Get discussions for a section
-app.get('/api/sections/:id/discussions', (req, res) => {
-    const discussions = db.discussions.filter(d => d.section_id === parseInt(req.params.id));
-    res.json(discussions);
-});
+// Content isn't pushed: clients refetch it the same way they load sections
+function publishSectionUpdate(section, actor) {
+    publishEvent('section.updated', {
+        id: section.id,
+        title: section.title,
+        revision: section.revision,
+        actor_id: actor.id,
+        actor: actor.name
+    });
+}
 
-// Create discussion
-app.post('/api/discussions', (req, res) => {
-    const { section_id, type, text, author } = req.body;
+// Notify the other members of a member's edit or removal of a section. Call
+// inside the transaction that makes the change; publish the result after it.
+function notifySectionUpdate(section, actor) {
+    return notifyMembers(actor, {
+        type: 'section_updated',
+        message: `${actor.name} edited ${section.title} (revision ${section.revision})`,
+        section_id: section.id
+    });
+}
 
-    const discussion = {
-        id: db.nextId.discussion++,
-        section_id: section_id ? parseInt(section_id) : null,
-        type,
-        text,
-        author,
-        resolved: false,
-        resolved_by: null,
-        resolved_at: null,
-        created_at: new Date().toISOString(),
-        replies: []
-    };
+function notifySectionRemoval(section, actor) {
+    return notifyMembers(actor, {
+        type: 'deleted',
+        message: `${actor.name} deleted the section ${section.title}`,
+        section_id: null
+    });
+}
 
-    db.discussions.push(discussion);
+// Add a section, by default at the end of the outline
+app.post('/api/sections', requirePermission('edit_sections'), validate(schemas.createSection), (req, res) => {
+    const { title, content, level = 1, before_id: beforeId = null } = req.body;
+    if (beforeId !== null && !store.get('sections', beforeId)) {
+        return res.status(404).json({ error: 'Section not found' });
+    }
 
-    // Create notification for the other user
-    const otherUser = author === 'Francisco' ? 'Wife' : 'Francisco';
-    db.notifications.push({
-        id: db.nextId.notification++,
-        user: otherUser,
-        type,
-        message: `${author} added a ${type}`,
-        discussion_id: discussion.id,
-        read: false,
-        created_at: new Date().toISOString()
+    const placeholder = { level };
+    const levelError = outlineLevelError(insertBefore(orderedSections(), [placeholder], beforeId), [placeholder]);
+    if (levelError) return sendValidationError(res, levelError);
+
+    const created = store.transaction(() => {
+        const section = createSection({ title, level, content }, req.user.name);
+        const others = orderedSections().filter(s => s.id !== section.id);
+        saveOutline(insertBefore(others, [section], beforeId));
+        return store.get('sections', section.id);
     });
 
-    saveDB(db);
-    res.json({ id: discussion.id, success: true });
+    publishOutlineUpdate(req.user);
+    res.set('ETag', etagFor(created.revision));
+    res.status(201).json(created);
 });
 
-// Add reply to discussion
-app.post('/api/discussions/:id/replies', (req, res) => {
-    const { text, author } = req.body;
-    const discussion = db.discussions.find(d => d.id === parseInt(req.params.id));
+// Move a section with its subsections and/or change its level; before_id
+// null moves it to the end, leaving it out keeps the place
+app.patch('/api/sections/:id/outline', requirePermission('edit_sections'), validate(schemas.moveSection), (req, res) => {
+    const { level, before_id: beforeId } = req.body;
+    const sections = orderedSections();
+    const section = sections.find(s => s.id === req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
 
-    if (discussion) {
-        const reply = {
-            id: db.nextId.reply++,
-            text,
-            author,
-            created_at: new Date().toISOString()
-        };
-        discussion.replies.push(reply);
-
-        // Notify both users (except the replier)
-        ['Francisco', 'Wife'].filter(u => u !== author).forEach(user => {
-            db.notifications.push({
-                id: db.nextId.notification++,
-                user,
-                type: 'reply',
-                message: `${author} replied to a discussion`,
-                discussion_id: discussion.id,
-                read: false,
+    const moving = Outline.subtree(sections, section.id);
+    const others = sections.filter(s => !moving.includes(s));
+    if (beforeId !== undefined && beforeId !== null && !others.some(s => s.id === beforeId)) {
+        return res.status(400).json({ error: moving.some(s => s.id === beforeId)
+            ? 'A section cannot move into its own subsections'
+            : 'Section to move before not found' });
+    }
+
+    // Subsections keep their depth relative to the section
+    const shift = (level ?? section.level) - section.level;
+    const moved = moving.map(s => ({ ...s, level: s.level + shift }));
+    const next = sections[sections.indexOf(moving[moving.length - 1]) + 1];
+    const target = beforeId === undefined ? (next ? next.id : null) : beforeId;
+    const outline = insertBefore(others, moved, target);
+    // Without a level the section keeps its own and is fitted in where it lands
+    const levelError = level === undefined ? null : outlineLevelError(outline, moved);
+    if (levelError) return sendValidationError(res, levelError);
+    saveOutline(outline);
+
+    publishOutlineUpdate(req.user);
+    res.json(orderedSections().map(s => ({ id: s.id, position: s.position, level: s.level })));
+});
+
+// Delete a section: its subsections move up a level and its discussions
+// become general discussions
+app.delete('/api/sections/:id', requirePermission('edit_sections'), validate(schemas.section), (req, res) => {
+    const sections = orderedSections();
+    const section = sections.find(s => s.id === req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+    if (!sectionIfMatch(req, res, section)) return;
+
+    const subsections = Outline.subtree(sections, section.id).slice(1);
+    const { detached, notifications } = store.transaction(() => {
+        const count = removeSection(section);
+        saveOutline(sections
+            .filter(s => s.id !== section.id)
+            .map(s => (subsections.includes(s) ? { ...s, level: s.level - 1 } : s)));
+        return { detached: count, notifications: notifySectionRemoval(section, req.user) };
+    });
+
+    logSecurityEvent('SECTION_DELETED', { username: req.user.username, id: section.id, title: section.title, detached }, req);
+    publishOutlineUpdate(req.user);
+    publishNotifications(notifications);
+    res.json({ success: true, detached, promoted: subsections.length });
+});
+
+// Approve the section as it is now: If-Match carries the revision that was read
+app.post('/api/sections/:id/approvals', requirePermission('approve_sections'), validate(schemas.section), (req, res) => {
+    const section = store.get('sections', req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+    if (!sectionIfMatch(req, res, section)) return;
+
+    const existing = store.find('approvals', { section_id: section.id, user_id: req.user.id, revision: section.revision });
+    if (!existing) {
+        store.transaction(() => {
+            store.insert('approvals', {
+                section_id: section.id,
+                user_id: req.user.id,
+                revision: section.revision,
                 created_at: new Date().toISOString()
             });
+            // Approving starts the review of a draft
+            if (section.status !== 'in_review') store.update('sections', section.id, { status: 'in_review' });
+        });
+        publishApprovalUpdate(section, 'approved', req.user);
+    }
+    res.status(existing ? 200 : 201).json(sectionApproval(store.get('sections', section.id)));
+});
+
+// Withdraw your own approval
+app.delete('/api/sections/:id/approvals', requirePermission('approve_sections'), validate(schemas.section), (req, res) => {
+    const section = store.get('sections', req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+
+    const own = store.all('approvals', { section_id: section.id, user_id: req.user.id });
+    if (own.length > 0) {
+        store.transaction(() => own.forEach(a => store.remove('approvals', a.id)));
+        publishApprovalUpdate(section, 'revoked', req.user);
+    }
+    res.json(sectionApproval(section));
+});
+
+// Put a section up for review, or take it back to draft (which clears its approvals)
+app.patch('/api/sections/:id/status', requirePermission('edit_sections'), validate(schemas.sectionStatus), (req, res) => {
+    const section = store.get('sections', req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+
+    const { status } = req.body;
+    const updated = store.transaction(() => {
+        if (status === 'draft') {
+            store.all('approvals', { section_id: section.id }).forEach(a => store.remove('approvals', a.id));
+        }
+        return store.update('sections', section.id, { status });
+    });
+    publishApprovalUpdate(updated, status, req.user);
+    res.json(sectionApproval(updated));
+});
+
+// Get revision history for a section (newest first, without content)
+app.get('/api/sections/:id/revisions', validate(schemas.section), (req, res) => {
+    const section = store.get('sections', req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+
+    res.json(getRevisions(section.id).map(r => ({
+        number: r.number,
+        title: r.title,
+        author: r.author,
+        created_at: r.created_at,
+        current: r.number === section.revision
+    })));
+});
+
+// Get a single revision of a section
+app.get('/api/sections/:id/revisions/:number', validate(schemas.revision), (req, res) => {
+    const revision = getRevisions(req.params.id).find(r => r.number === req.params.number);
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    res.json(revision);
+});
+
+// Diff two revisions of a section (defaults: current revision against the one before it)
+app.get('/api/sections/:id/diff', validate(schemas.diff), (req, res) => {
+    const section = store.get('sections', req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+
+    const revisions = getRevisions(section.id);
+    const toNumber = req.query.to ?? section.revision;
+    const fromNumber = req.query.from ?? toNumber - 1;
+    const to = revisions.find(r => r.number === toNumber);
+    // Diffing the first revision compares it against an empty section
+    const from = revisions.find(r => r.number === fromNumber) || (fromNumber === 0 ? { number: 0, title: '', content: '' } : null);
+    if (!from || !to) return res.status(404).json({ error: 'Revision not found' });
+
+    const lines = diffLines(from.content, to.content);
+    res.json({
+        from: from.number,
+        to: to.number,
+        title: { from: from.title, to: to.title },
+        added: lines.filter(l => l.type === 'added').length,
+        removed: lines.filter(l => l.type === 'removed').length,
+        lines
+    });
+});
+
+// Restore an older revision (recorded as a new revision, history is never rewritten)
+app.post('/api/sections/:id/revisions/:number/restore', requirePermission('edit_sections'), validate(schemas.revision), (req, res) => {
+    const section = store.get('sections', req.params.id);
+    if (!section) return res.status(404).json({ error: 'Section not found' });
+
+    const revision = getRevisions(section.id).find(r => r.number === req.params.number);
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    if (!sectionIfMatch(req, res, section)) return;
+
+    const { updated, notifications } = store.transaction(() => {
+        const saved = saveSectionRevision(section, { title: revision.title, content: revision.content }, req.user.name);
+        return { updated: saved, notifications: notifySectionUpdate(saved, req.user) };
+    });
+    publishSectionUpdate(updated, req.user);
+    publishNotifications(notifications);
+    res.set('ETag', etagFor(updated.revision));
+    res.json({ success: true, revision: updated.revision });
+});
+
+// Get all discussions
+app.get('/api/discussions', (req, res) => {
+    const titles = new Map(store.all('sections').map(s => [s.id, s.title]));
+    res.json(store.all('discussions').map(d => ({ ...d, section_title: titles.get(d.section_id) || null })));
+});
+
+function withSectionTitle(discussion) {
+    const section = store.get('sections', discussion.section_id);
+    return { ...discussion, section_title: section ? section.title : null };
+}
+
+// Get discussions for a section
+app.get('/api/sections/:id/discussions', validate(schemas.section), (req, res) => {
+    res.json(store.all('discussions', { section_id: req.params.id }));
+});
+
+// Create discussion
+app.post('/api/discussions', requirePermission('comment'), validate(schemas.createDiscussion), (req, res) => {
+    const { section_id, type, text, anchor, replacement, scenario_id } = req.body;
+    const section = section_id ? store.get('sections', section_id) : null;
+
+    if (section_id && !section) return res.status(404).json({ error: 'Section not found' });
+    if (scenario_id && !store.get('scenarios', scenario_id)) return res.status(404).json({ error: 'Scenario not found' });
+    if (!text && type !== 'suggestion') {
+        return sendValidationError(res, new ValidationError({ text: 'must not be empty' }));
+    }
+
+    // Inline comment: anchor { quote, start, end } points into the section's markdown source
+    let storedAnchor = null;
+    if (anchor) {
+        if (!section) {
+            return sendValidationError(res, new ValidationError({ anchor: 'needs a section_id' }));
+        }
+        // The section may have been edited since the text was selected
+        storedAnchor = section.content.slice(anchor.start, anchor.end) === anchor.quote
+            ? createAnchor(section.content, anchor.start, anchor.end)
+            : reanchor({ ...anchor, prefix: '', suffix: '' }, section.content);
+        if (storedAnchor.orphaned) {
+            return res.status(409).json({ error: 'The selected text is no longer in this section' });
+        }
+    }
+
+    // Suggested edit: replaces the anchored text once accepted
+    if (type === 'suggestion' && (!storedAnchor || replacement === undefined || replacement === storedAnchor.quote)) {
+        return res.status(400).json({ error: 'A suggestion needs selected text and a different replacement' });
+    }
+
+    const discussion = {
+        section_id,
+        anchor: storedAnchor,
+        suggestion: type === 'suggestion' ? { replacement, status: 'pending', note: null } : null,
+        scenario_id,
+        type,
+        text,
+        author: req.user.name,
+        author_id: req.user.id,
+        resolved: false,
+        resolved_by: null,
+        resolved_at: null,
+        created_at: new Date().toISOString(),
+        version: 1,
+        replies: []
+    };
+
+    const { created, notifications } = store.transaction(() => {
+        const inserted = store.insert('discussions', discussion);
+        return {
+            created: inserted,
+            notifications: notifyMembers(req.user, {
+                type,
+                message: `${req.user.name} added a ${type}`,
+                section_id,
+                discussion_id: inserted.id
+            })
+        };
+    });
+
+    publishEvent('discussion.created', withSectionTitle(created));
+    publishNotifications(notifications);
+    res.json({ id: created.id, success: true });
+});
+
+// Add reply to discussion
+app.post('/api/discussions/:id/replies', requirePermission('comment'), validate(schemas.reply), (req, res) => {
+    const { text } = req.body;
+    const discussion = store.get('discussions', req.params.id);
+
+    if (discussion) {
+        const { reply, updated, notifications } = store.transaction(() => {
+            const added = {
+                id: store.nextId('reply'),
+                text,
+                author: req.user.name,
+                author_id: req.user.id,
+                created_at: new Date().toISOString()
+            };
+            // Replies only append, so they bump the version without requiring If-Match
+            return {
+                reply: added,
+                updated: store.update('discussions', discussion.id, {
+                    replies: [...discussion.replies, added],
+                    version: discussion.version + 1
+                }),
+                notifications: notifyMembers(req.user, {
+                    type: 'reply',
+                    message: `${req.user.name} replied to a discussion`,
+                    section_id: discussion.section_id,
+                    discussion_id: discussion.id
+                })
+            };
         });
 
-        saveDB(db);
+        publishEvent('discussion.updated', withSectionTitle(updated));
+        publishNotifications(notifications);
         res.json({ id: reply.id, success: true });
     } else {
         res.status(404).json({ error: 'Discussion not found' });
@@ -840,63 +1931,1049 @@ app.post('/api/discussions/:id/replies', (req, res) => {
 });
 
 // Resolve/unresolve discussion
-app.patch('/api/discussions/:id/resolve', (req, res) => {
-    const { resolved, resolved_by } = req.body;
-    const discussion = db.discussions.find(d => d.id === parseInt(req.params.id));
+app.patch('/api/discussions/:id/resolve', requirePermission('resolve'), validate(schemas.resolve), (req, res) => {
+    const { resolved } = req.body;
+    let discussion = store.get('discussions', req.params.id);
 
     if (discussion) {
-        discussion.resolved = resolved;
-        discussion.resolved_by = resolved ? resolved_by : null;
-        discussion.resolved_at = resolved ? new Date().toISOString() : null;
-        saveDB(db);
+        if (discussion.suggestion) {
+            return res.status(400).json({ error: 'Suggestions are closed by accepting or rejecting them' });
+        }
+        if (!checkIfMatch(req, res, discussion.version, withSectionTitle(discussion))) return;
+
+        const changed = discussion.resolved !== resolved;
+        const { updated, notifications } = store.transaction(() => ({
+            updated: store.update('discussions', discussion.id, {
+                resolved,
+                resolved_by: resolved ? req.user.name : null,
+                resolved_at: resolved ? new Date().toISOString() : null,
+                version: discussion.version + 1
+            }),
+            notifications: changed ? notifyMembers(req.user, {
+                type: resolved ? 'resolved' : 'reopened',
+                message: `${req.user.name} ${resolved ? 'resolved' : 'reopened'} a ${discussion.type}: ${excerpt(discussion.text)}`,
+                section_id: discussion.section_id,
+                discussion_id: discussion.id
+            }) : []
+        }));
+        discussion = updated;
+        publishEvent('discussion.updated', withSectionTitle(discussion));
+        publishNotifications(notifications);
+        res.set('ETag', etagFor(discussion.version));
     }
 
-    res.json({ success: true });
+    res.json({ success: true, version: discussion?.version });
 });
 
-// Delete discussion
-app.delete('/api/discussions/:id', (req, res) => {
-    db.discussions = db.discussions.filter(d => d.id !== parseInt(req.params.id));
-    saveDB(db);
+// Look up a pending suggestion for accept/reject, answering the request when it can't proceed
+function pendingSuggestion(req, res) {
+    const discussion = store.get('discussions', req.params.id);
+    if (!discussion || !discussion.suggestion) {
+        res.status(404).json({ error: 'Suggestion not found' });
+        return null;
+    }
+    if (!checkIfMatch(req, res, discussion.version, withSectionTitle(discussion))) return null;
+    if (discussion.suggestion.status !== 'pending') {
+        res.status(409).json({ error: `This suggestion was already ${discussion.suggestion.status}`, current: withSectionTitle(discussion) });
+        return null;
+    }
+    return discussion;
+}
+
+// Closed suggestions keep the text they replaced (or would have) for display
+function closeSuggestion(discussion, user, status, note) {
+    return store.update('discussions', discussion.id, {
+        suggestion: { ...discussion.suggestion, status, note, original: discussion.anchor.quote },
+        resolved: true,
+        resolved_by: user.name,
+        resolved_at: new Date().toISOString(),
+        version: discussion.version + 1
+    });
+}
+
+// Accept a suggestion: apply the replacement as a new section revision
+app.post('/api/discussions/:id/accept', requirePermission('edit_sections'), validate(schemas.discussion), (req, res) => {
+    const discussion = pendingSuggestion(req, res);
+    if (!discussion) return;
+
+    const section = store.get('sections', discussion.section_id);
+    const { quote, start, end, orphaned } = discussion.anchor;
+    if (!section || orphaned || section.content.slice(start, end) !== quote) {
+        return res.status(409).json({ error: 'The suggested text is no longer in this section' });
+    }
+
+    // One notification of its own type: accepting the suggestion is the edit
+    const { replacement } = discussion.suggestion;
+    const { updatedSection, updated, notifications } = store.transaction(() => {
+        const saved = saveSectionRevision(section, {
+            title: section.title,
+            content: section.content.slice(0, start) + replacement + section.content.slice(end)
+        }, req.user.name);
+        // Point the suggestion at the text it introduced rather than re-anchoring the old quote
+        store.update('discussions', discussion.id, {
+            anchor: createAnchor(saved.content, start, start + replacement.length)
+        });
+        return {
+            updatedSection: saved,
+            updated: closeSuggestion(discussion, req.user, 'accepted', null),
+            notifications: notifyMembers(req.user, {
+                type: 'suggestion_accepted',
+                message: `${req.user.name} accepted a suggested edit on ${section.title}`,
+                section_id: section.id,
+                discussion_id: discussion.id
+            })
+        };
+    });
+
+    publishSectionUpdate(updatedSection, req.user);
+    publishEvent('discussion.updated', withSectionTitle(updated));
+    publishNotifications(notifications);
+    res.set('ETag', etagFor(updated.version));
+    res.json({ success: true, version: updated.version, revision: updatedSection.revision });
+});
+
+// Reject a suggestion, optionally saying why
+app.post('/api/discussions/:id/reject', requirePermission('resolve'), validate(schemas.reject), (req, res) => {
+    const discussion = pendingSuggestion(req, res);
+    if (!discussion) return;
+
+    const { updated, notifications } = store.transaction(() => ({
+        updated: closeSuggestion(discussion, req.user, 'rejected', req.body.note || null),
+        notifications: notifyMembers(req.user, {
+            type: 'resolved',
+            message: `${req.user.name} rejected a suggested edit: ${excerpt(discussion.suggestion.replacement)}`,
+            section_id: discussion.section_id,
+            discussion_id: discussion.id
+        })
+    }));
+
+    publishEvent('discussion.updated', withSectionTitle(updated));
+    publishNotifications(notifications);
+    res.set('ETag', etagFor(updated.version));
+    res.json({ success: true, version: updated.version });
+});
+
+// Delete discussion: decisions and tasks taken from it stay, without the link
+app.delete('/api/discussions/:id', requirePermission('delete_discussions'), validate(schemas.discussion), (req, res) => {
+    const discussion = store.get('discussions', req.params.id);
+    if (discussion && !checkIfMatch(req, res, discussion.version, withSectionTitle(discussion))) return;
+
+    const unlink = collection => store.all(collection, { discussion_id: req.params.id })
+        .map(record => store.update(collection, record.id, { discussion_id: null, version: record.version + 1 }));
+    const { removed, decisions, tasks, notifications } = store.transaction(() => ({
+        decisions: unlink('decisions'),
+        tasks: unlink('tasks'),
+        removed: store.remove('discussions', req.params.id),
+        // The discussion is gone, so the notification only points at its section
+        notifications: discussion ? notifyMembers(req.user, {
+            type: 'deleted',
+            message: `${req.user.name} deleted a ${discussion.type}: ${excerpt(discussion.text)}`,
+            section_id: discussion.section_id
+        }) : []
+    }));
+    if (removed) {
+        publishEvent('discussion.deleted', { id: req.params.id });
+    }
+    publishNotifications(notifications);
+    decisions.forEach(d => publishEvent('decision.updated', decisionView(d)));
+    tasks.forEach(t => publishEvent('task.updated', taskView(t)));
     res.json({ success: true });
 });
 
-// Get notifications for user
-app.get('/api/notifications/:user', (req, res) => {
-    const notifications = db.notifications
-        .filter(n => n.user === req.params.user)
+// Get notifications for the signed-in user
+app.get('/api/notifications', (req, res) => {
+    const notifications = store.all('notifications', { user_id: req.user.id })
         .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
         .slice(0, 50);
     res.json(notifications);
 });
 
 // Mark notification as read
-app.patch('/api/notifications/:id/read', (req, res) => {
-    const notification = db.notifications.find(n => n.id === parseInt(req.params.id));
-    if (notification) {
-        notification.read = true;
-        saveDB(db);
+app.patch('/api/notifications/:id/read', validate(schemas.notification), (req, res) => {
+    const notification = store.get('notifications', req.params.id);
+    if (notification && notification.user_id === req.user.id) {
+        store.update('notifications', notification.id, { read: true });
+    }
+    res.json({ success: true });
+});
+
+// Mark all of the signed-in user's notifications as read
+app.patch('/api/notifications/read-all', (req, res) => {
+    store.transaction(() => {
+        store.all('notifications', { user_id: req.user.id, read: false })
+            .forEach(n => store.update('notifications', n.id, { read: true }));
+    });
+    res.json({ success: true });
+});
+
+function notificationPreferences(user) {
+    const prefs = user.notification_preferences || {};
+    return {
+        types: Object.entries(NOTIFICATION_TYPES).map(([type, { label }]) => ({ type, label })),
+        muted_types: prefs.muted_types || [],
+        muted_sections: prefs.muted_sections || []
+    };
+}
+
+// What the signed-in member is notified about: every type, with the types
+// and sections they muted
+app.get('/api/notifications/preferences', (req, res) => {
+    res.json(notificationPreferences(req.user));
+});
+
+// Mute notification types and sections (replaces the previous choice)
+app.put('/api/notifications/preferences', validate(schemas.notificationPreferences), (req, res) => {
+    const mutedTypes = [...new Set(req.body.muted_types)];
+    const mutedSections = [...new Set(req.body.muted_sections)];
+    const missing = mutedSections.find(id => !store.get('sections', id));
+    if (missing) {
+        return sendValidationError(res, new ValidationError({ muted_sections: `includes ${missing}, which is not a section` }));
+    }
+
+    const user = store.update('users', req.user.id, {
+        notification_preferences: { muted_types: mutedTypes, muted_sections: mutedSections }
+    });
+    res.json(notificationPreferences(user));
+});
+
+// Search sections and discussions. In encrypted mode section snippets are
+// encrypted like section content; titles stay visible as they do for navigation.
+app.get('/api/search', validate(schemas.search), (req, res) => {
+    const { q, limit, encrypted } = req.query;
+    const results = search(store, q, { limit }).map(result =>
+        encrypted && result.kind === 'section' ? { ...result, snippet: encryptContent(result.snippet) } : result);
+    res.json({ query: q, results });
+});
+
+// ========== PLAN IMPORT ==========
+// Owners replace the built-in plan with their own Markdown or DOCX document.
+// The preview shows how it splits into sections and which existing sections
+// they match by title; matched sections keep their id, so their discussions
+// and history stay attached.
+
+// Parse the upload into sections; answers the request itself when it can't
+async function readUpload(req, res) {
+    let sections;
+    try {
+        sections = await readImport(req.body);
+    } catch (err) {
+        if (err.code === 'MODULE_NOT_FOUND') {
+            res.status(501).json({ error: 'DOCX import is not available on this server (mammoth and turndown are not installed)' });
+        } else {
+            res.status(400).json({ error: 'Could not read the DOCX file' });
+        }
+        return null;
+    }
+
+    if (sections.length === 0) {
+        sendValidationError(res, new ValidationError({ content: 'has no headings to split into sections' }));
+        return null;
+    }
+    // Same limit as editing, so every imported section can be saved again
+    const tooLong = sections.find(s => s.content.length > SECTION_MAX_LENGTH);
+    if (tooLong) {
+        sendValidationError(res, new ValidationError({
+            content: `section "${tooLong.title}" is longer than ${SECTION_MAX_LENGTH} characters`
+        }));
+        return null;
+    }
+    return sections;
+}
+
+// Merge updates matched sections and adds the rest after the section before
+// them in the document; replace also removes the sections the document no
+// longer has (their discussions become general ones) and takes its order.
+// Returns the summary with the sections it edited and the notifications about
+// edits and removals, to publish once it has committed.
+function applyImport(sections, mode, user) {
+    return store.transaction(() => {
+        const { items, unmatched } = matchSections(sections, orderedSections());
+        const summary = { created: 0, updated: 0, unchanged: 0, removed: 0, detached: 0 };
+        const edited = [];
+        const notifications = [];
+
+        const ids = items.map(({ imported, existing }) => {
+            if (!existing) {
+                summary.created++;
+                return { id: createSection(imported, user.name).id, created: true };
+            }
+            if (existing.title !== imported.title || existing.content !== imported.content || existing.level !== imported.level) {
+                const saved = saveSectionRevision(existing, imported, user.name);
+                edited.push(saved);
+                notifications.push(...notifySectionUpdate(saved, user));
+                summary.updated++;
+            } else {
+                summary.unchanged++;
+            }
+            return { id: existing.id, created: false };
+        });
+
+        if (mode === 'replace') {
+            for (const section of unmatched) {
+                summary.detached += removeSection(section);
+                notifications.push(...notifySectionRemoval(section, user));
+                summary.removed++;
+            }
+        }
+
+        let order;
+        if (mode === 'replace') {
+            order = ids.map(entry => entry.id);
+        } else {
+            const createdIds = new Set(ids.filter(entry => entry.created).map(entry => entry.id));
+            order = orderedSections().map(s => s.id).filter(id => !createdIds.has(id));
+            ids.forEach((entry, i) => {
+                if (entry.created) order.splice(i === 0 ? 0 : order.indexOf(ids[i - 1].id) + 1, 0, entry.id);
+            });
+        }
+        const byId = new Map(store.all('sections').map(s => [s.id, s]));
+        saveOutline(order.map(id => byId.get(id)));
+        return { summary, edited, notifications };
+    });
+}
+
+app.post('/api/import/preview', requirePermission('edit_sections'), validate(schemas.importPreview), async (req, res, next) => {
+    try {
+        const sections = await readUpload(req, res);
+        if (!sections) return;
+        res.json(previewImport(sections, orderedSections(), store.all('discussions')));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.post('/api/import', requirePermission('edit_sections'), validate(schemas.importPlan), async (req, res, next) => {
+    try {
+        const sections = await readUpload(req, res);
+        if (!sections) return;
+
+        const { format, filename, mode } = req.body;
+        store.backup(); // an import rewrites many sections at once
+        const { summary, edited, notifications } = applyImport(sections, mode, req.user);
+
+        logSecurityEvent('PLAN_IMPORTED', { username: req.user.username, format, filename, mode, ...summary }, req);
+        edited.forEach(section => publishSectionUpdate(section, req.user));
+        publishEvent('plan.imported', { ...summary, mode, actor_id: req.user.id, actor: req.user.name });
+        publishNotifications(notifications);
+        res.json({ success: true, ...summary });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========== PLAN EXPORT ==========
+// Clean copies for the bank or the accountant, since the app blocks printing.
+// Every export is watermarked and shows up in the security log.
+const EXPORT_WATERMARK = process.env.EXPORT_WATERMARK || 'Confidential';
+
+app.get('/api/export', requirePermission('export_plan'), validate(schemas.exportPlan), (req, res) => {
+    const { format, discussions, watermark = EXPORT_WATERMARK } = req.query;
+    const plan = buildPlan(store, { discussions, watermark, exportedBy: req.user.name });
+
+    let output;
+    try {
+        output = format === 'pdf' ? toPdf(plan) : format === 'markdown' ? toMarkdown(plan) : toHtml(plan);
+    } catch (err) {
+        if (err.code === 'MODULE_NOT_FOUND') {
+            return res.status(501).json({ error: 'PDF export is not available on this server (pdfkit is not installed)' });
+        }
+        throw err;
+    }
+
+    logSecurityEvent('PLAN_EXPORTED', { username: req.user.username, format, discussions, watermark }, req);
+    res.type(EXPORT_FORMATS[format].contentType);
+    res.attachment(exportFilename(plan, format));
+    if (format === 'pdf') return output.pipe(res);
+    res.send(output);
+});
+
+// ========== FINANCIAL MODEL ==========
+// Assumptions and products are the inputs; every other figure is derived by
+// public/finance.js on each read, so nothing computed is ever stored. Each
+// assumption and product is versioned like a discussion.
+function modelProducts() {
+    return store.all('products').sort((a, b) => a.position - b.position || a.id - b.id);
+}
+
+// Assumptions with their labels and units, and their values by key
+function modelInputs() {
+    const stored = new Map(store.all('assumptions').map(a => [a.key, a]));
+    const assumptions = Finance.ASSUMPTIONS.map(definition => {
+        const { id, value, section_id, version } = stored.get(definition.key);
+        return { ...definition, id, value, section_id, version };
+    });
+    const values = Object.fromEntries(assumptions.map(a => [a.key, a.value]));
+    return { assumptions, values, products: modelProducts() };
+}
+
+// Inputs plus everything derived from them
+function buildModel() {
+    const { assumptions, values, products } = modelInputs();
+    return { assumptions, products, figures: Finance.computeModel(values, products) };
+}
+
+// Returns a message when value doesn't fit an assumption or product field
+function modelValueProblem(definition, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+    if (definition.integer && !Number.isInteger(value)) return 'must be a whole number';
+    if (value < definition.min || value > definition.max) return `must be between ${definition.min} and ${definition.max}`;
+    return null;
+}
+
+function publishModelUpdate(actor) {
+    publishEvent('model.updated', { actor_id: actor.id, actor: actor.name });
+}
+
+// Get the model with its derived figures
+app.get('/api/model', (req, res) => {
+    res.json(buildModel());
+});
+
+// Change one assumption
+app.put('/api/model/assumptions/:key', requirePermission('edit_model'), validate(schemas.assumption), (req, res) => {
+    const definition = Finance.ASSUMPTIONS.find(a => a.key === req.params.key);
+    const assumption = store.find('assumptions', { key: definition.key });
+    if (!checkIfMatch(req, res, assumption.version, assumption)) return;
+
+    const { value } = req.body;
+    const problem = modelValueProblem(definition, value);
+    if (problem) return sendValidationError(res, new ValidationError({ value: problem }));
+
+    if (value !== assumption.value) {
+        store.update('assumptions', assumption.id, { value, version: assumption.version + 1, updated_at: new Date().toISOString() });
+        publishModelUpdate(req.user);
+    }
+    res.json(buildModel());
+});
+
+// Add a product line
+app.post('/api/model/products', requirePermission('edit_model'), validate(schemas.createProduct), (req, res) => {
+    const position = store.all('products').length;
+    store.insert('products', { ...req.body, position, version: 1, updated_at: new Date().toISOString() });
+    publishModelUpdate(req.user);
+    res.status(201).json(buildModel());
+});
+
+// Replace a product's figures
+app.put('/api/model/products/:id', requirePermission('edit_model'), validate(schemas.updateProduct), (req, res) => {
+    const product = store.get('products', req.params.id);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (!checkIfMatch(req, res, product.version, product)) return;
+
+    store.update('products', product.id, { ...req.body, version: product.version + 1, updated_at: new Date().toISOString() });
+    publishModelUpdate(req.user);
+    res.json(buildModel());
+});
+
+// Remove a product line
+app.delete('/api/model/products/:id', requirePermission('edit_model'), validate(schemas.product), (req, res) => {
+    const product = store.get('products', req.params.id);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (!checkIfMatch(req, res, product.version, product)) return;
+
+    store.transaction(() => {
+        store.remove('products', product.id);
+        // Scenarios stop overriding it
+        store.all('scenarios').filter(s => s.overrides.products?.[product.id]).forEach(s => {
+            const products = { ...s.overrides.products };
+            delete products[product.id];
+            store.update('scenarios', s.id, { overrides: { ...s.overrides, products }, version: s.version + 1 });
+        });
+    });
+    publishModelUpdate(req.user);
+    res.json(buildModel());
+});
+
+// ========== SCENARIOS ==========
+// A scenario is a named set of overrides on top of the model: assumption
+// values by key and product fields by product id. Projections are computed
+// for every scenario on each read, like the model's own figures.
+function scenarioWithFigures(scenario, inputs = modelInputs()) {
+    const { assumptions, products } = Finance.applyScenario(inputs.values, inputs.products, scenario.overrides);
+    return { ...scenario, figures: Finance.computeModel(assumptions, products) };
+}
+
+function listScenarios() {
+    const inputs = modelInputs();
+    return store.all('scenarios')
+        .sort((a, b) => a.position - b.position || a.id - b.id)
+        .map(s => scenarioWithFigures(s, inputs));
+}
+
+// Check every override against its definition. Returns the overrides, or
+// null after answering 400 with a message per bad entry.
+function readOverrides(res, overrides) {
+    const errors = {};
+    const assumptions = {};
+    for (const [key, value] of Object.entries(overrides.assumptions)) {
+        const definition = Finance.ASSUMPTIONS.find(a => a.key === key);
+        const problem = definition ? modelValueProblem(definition, value) : 'is not an assumption';
+        if (problem) errors[`overrides.assumptions.${key}`] = problem;
+        else assumptions[key] = value;
+    }
+
+    const products = {};
+    for (const [id, fields] of Object.entries(overrides.products)) {
+        if (!/^\d+$/.test(id) || !store.get('products', Number(id))) {
+            errors[`overrides.products.${id}`] = 'is not a product';
+            continue;
+        }
+        if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+            errors[`overrides.products.${id}`] = 'must be an object';
+            continue;
+        }
+        products[id] = {};
+        for (const [key, value] of Object.entries(fields)) {
+            const definition = Finance.PRODUCT_FIELDS.find(f => f.key === key);
+            const problem = definition ? modelValueProblem(definition, value) : 'is not a product field';
+            if (problem) errors[`overrides.products.${id}.${key}`] = problem;
+            else products[id][key] = value;
+        }
+    }
+
+    if (Object.keys(errors).length > 0) {
+        sendValidationError(res, new ValidationError(errors));
+        return null;
+    }
+    return { assumptions, products };
+}
+
+function scenarioNameTaken(name, exceptId = null) {
+    return store.all('scenarios').some(s => s.id !== exceptId && s.name.toLowerCase() === name.toLowerCase());
+}
+
+// Get every scenario with its month-by-month projection
+app.get('/api/scenarios', (req, res) => {
+    res.json(listScenarios());
+});
+
+// Add a scenario
+app.post('/api/scenarios', requirePermission('edit_model'), validate(schemas.createScenario), (req, res) => {
+    const { name, description } = req.body;
+    if (scenarioNameTaken(name)) {
+        return sendValidationError(res, new ValidationError({ name: 'is already used by another scenario' }));
+    }
+    const overrides = readOverrides(res, req.body.overrides);
+    if (!overrides) return;
+
+    const created = store.insert('scenarios', {
+        name,
+        description,
+        overrides,
+        position: store.all('scenarios').length,
+        version: 1,
+        created_by: req.user.id,
+        updated_at: new Date().toISOString()
+    });
+    publishModelUpdate(req.user);
+    res.status(201).json(scenarioWithFigures(created));
+});
+
+// Replace a scenario's name, description and overrides
+app.put('/api/scenarios/:id', requirePermission('edit_model'), validate(schemas.updateScenario), (req, res) => {
+    const scenario = store.get('scenarios', req.params.id);
+    if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+    if (!checkIfMatch(req, res, scenario.version, scenarioWithFigures(scenario))) return;
+
+    const { name, description } = req.body;
+    if (scenarioNameTaken(name, scenario.id)) {
+        return sendValidationError(res, new ValidationError({ name: 'is already used by another scenario' }));
+    }
+    const overrides = readOverrides(res, req.body.overrides);
+    if (!overrides) return;
+
+    const updated = store.update('scenarios', scenario.id, {
+        name,
+        description,
+        overrides,
+        version: scenario.version + 1,
+        updated_at: new Date().toISOString()
+    });
+    publishModelUpdate(req.user);
+    res.json(scenarioWithFigures(updated));
+});
+
+// Delete a scenario: discussions linked to it stay, without the link
+app.delete('/api/scenarios/:id', requirePermission('edit_model'), validate(schemas.scenario), (req, res) => {
+    const scenario = store.get('scenarios', req.params.id);
+    if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+    if (!checkIfMatch(req, res, scenario.version, scenarioWithFigures(scenario))) return;
+
+    const detached = store.transaction(() => {
+        const linked = store.all('discussions', { scenario_id: scenario.id });
+        store.remove('scenarios', scenario.id);
+        return linked.map(d => store.update('discussions', d.id, { scenario_id: null, version: d.version + 1 }));
+    });
+
+    detached.forEach(d => publishEvent('discussion.updated', withSectionTitle(d)));
+    publishModelUpdate(req.user);
+    res.json({ success: true, detached: detached.length });
+});
+
+// ========== DECISION LOG ==========
+// Decisions record what was chosen, from which options and why. They are
+// entered directly or promoted from a resolved discussion, and keep a link to
+// the section and thread they came from.
+function decisionView(decision) {
+    const section = decision.section_id ? store.get('sections', decision.section_id) : null;
+    const discussion = decision.discussion_id ? store.get('discussions', decision.discussion_id) : null;
+    return {
+        ...decision,
+        section_title: section ? section.title : null,
+        decided_by_names: decision.decided_by.map(id => store.get('users', id)?.name).filter(Boolean),
+        discussion: discussion && { id: discussion.id, type: discussion.type, text: discussion.text, author: discussion.author }
+    };
+}
+
+function listDecisions() {
+    return store.all('decisions')
+        .sort((a, b) => b.decided_at.localeCompare(a.decided_at) || b.id - a.id)
+        .map(decisionView);
+}
+
+// Rules spanning several fields. Returns false after answering 400.
+function checkDecision(res, fields) {
+    const errors = {};
+    if (!fields.options.includes(fields.chosen)) errors.chosen = 'must be one of the options';
+    if (new Set(fields.options).size !== fields.options.length) errors.options = 'must not repeat an option';
+    const unknown = fields.decided_by.filter(id => !store.get('users', id));
+    if (unknown.length > 0) errors.decided_by = `has unknown members: ${unknown.join(', ')}`;
+    if (!isCalendarDate(fields.decided_at)) errors.decided_at = 'must be a date (YYYY-MM-DD)';
+
+    if (Object.keys(errors).length > 0) {
+        sendValidationError(res, new ValidationError(errors));
+        return false;
     }
+    return true;
+}
+
+function recordDecision(fields, user) {
+    const { created, notifications } = store.transaction(() => {
+        const inserted = store.insert('decisions', {
+            ...fields,
+            decided_by: [...new Set(fields.decided_by)],
+            recorded_by: user.name,
+            recorded_by_id: user.id,
+            created_at: new Date().toISOString(),
+            version: 1
+        });
+        return {
+            created: inserted,
+            notifications: notifyMembers(user, {
+                type: 'decision',
+                message: `${user.name} recorded a decision: ${fields.title}`,
+                section_id: fields.section_id,
+                discussion_id: fields.discussion_id,
+                decision_id: inserted.id
+            })
+        };
+    });
+
+    publishEvent('decision.created', decisionView(created));
+    publishNotifications(notifications);
+    return created;
+}
+
+// Get the decision log, most recent decision first
+app.get('/api/decisions', (req, res) => {
+    res.json(listDecisions());
+});
+
+// Record a decision that wasn't discussed in the app
+app.post('/api/decisions', requirePermission('record_decisions'), validate(schemas.createDecision), (req, res) => {
+    if (req.body.section_id && !store.get('sections', req.body.section_id)) {
+        return res.status(404).json({ error: 'Section not found' });
+    }
+    if (!checkDecision(res, req.body)) return;
+
+    const created = recordDecision({ ...req.body, discussion_id: null }, req.user);
+    res.status(201).json(decisionView(created));
+});
+
+// Promote a resolved discussion into a decision, linked to its section and thread
+app.post('/api/discussions/:id/decision', requirePermission('record_decisions'), validate(schemas.promoteDiscussion), (req, res) => {
+    const discussion = store.get('discussions', req.params.id);
+    if (!discussion) return res.status(404).json({ error: 'Discussion not found' });
+    if (!discussion.resolved) {
+        return res.status(409).json({ error: 'Resolve the discussion before recording its decision' });
+    }
+    const existing = store.find('decisions', { discussion_id: discussion.id });
+    if (existing) {
+        return res.status(409).json({ error: 'This discussion already has a decision', current: decisionView(existing) });
+    }
+    if (!checkDecision(res, req.body)) return;
+
+    const created = recordDecision({ ...req.body, section_id: discussion.section_id, discussion_id: discussion.id }, req.user);
+    res.status(201).json(decisionView(created));
+});
+
+// Update a decision; the thread it came from stays linked
+app.put('/api/decisions/:id', requirePermission('record_decisions'), validate(schemas.updateDecision), (req, res) => {
+    const decision = store.get('decisions', req.params.id);
+    if (!decision) return res.status(404).json({ error: 'Decision not found' });
+    if (!checkIfMatch(req, res, decision.version, decisionView(decision))) return;
+    if (req.body.section_id && !store.get('sections', req.body.section_id)) {
+        return res.status(404).json({ error: 'Section not found' });
+    }
+    if (!checkDecision(res, req.body)) return;
+
+    const updated = store.update('decisions', decision.id, {
+        ...req.body,
+        decided_by: [...new Set(req.body.decided_by)],
+        version: decision.version + 1,
+        updated_at: new Date().toISOString()
+    });
+    publishEvent('decision.updated', decisionView(updated));
+    res.set('ETag', etagFor(updated.version));
+    res.json(decisionView(updated));
+});
+
+// Delete a decision; its discussion is left as it was
+app.delete('/api/decisions/:id', requirePermission('record_decisions'), validate(schemas.decision), (req, res) => {
+    const decision = store.get('decisions', req.params.id);
+    if (!decision) return res.status(404).json({ error: 'Decision not found' });
+    if (!checkIfMatch(req, res, decision.version, decisionView(decision))) return;
+
+    store.remove('decisions', decision.id);
+    publishEvent('decision.deleted', { id: decision.id });
     res.json({ success: true });
 });
 
-// Mark all notifications as read for user
-app.patch('/api/notifications/:user/read-all', (req, res) => {
-    db.notifications.filter(n => n.user === req.params.user).forEach(n => n.read = true);
-    saveDB(db);
+// ========== ACTION ITEMS ==========
+// Tasks taken from a discussion or one of its replies, assigned to a member
+// with a due date. A task is overdue once its due date has passed and it
+// isn't done; the assignee is notified when it is assigned to them and once
+// when it becomes overdue.
+const TASK_CHECK_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+function taskView(task, today = localDate()) {
+    const discussion = task.discussion_id ? store.get('discussions', task.discussion_id) : null;
+    const section = discussion?.section_id ? store.get('sections', discussion.section_id) : null;
+    return {
+        ...task,
+        assignee_name: store.get('users', task.assignee_id)?.name || null,
+        overdue: isOverdue(task, today),
+        discussion: discussion && {
+            id: discussion.id,
+            type: discussion.type,
+            text: discussion.text,
+            section_id: discussion.section_id,
+            section_title: section ? section.title : null
+        }
+    };
+}
+
+// Tell a member about a task, returning the notification to publish (null
+// when they muted it)
+function notifyAssignee(task, type, message, actor = null) {
+    const discussion = task.discussion_id && store.get('discussions', task.discussion_id);
+    return deliverNotification(store.get('users', task.assignee_id), {
+        type,
+        message,
+        actor: actor?.name,
+        section_id: discussion ? discussion.section_id : null,
+        discussion_id: task.discussion_id,
+        task_id: task.id
+    });
+}
+
+function isOverdue(task, today = localDate()) {
+    return task.status !== 'done' && task.due_date < today;
+}
+
+// Notify the assignee once a task is overdue, returning the task as saved and
+// the notification to publish (null when there is nothing new to tell). Run
+// inside the transaction that saves a task, so one saved already overdue
+// doesn't wait for the hourly check.
+function checkOverdue(task, today = localDate()) {
+    if (!isOverdue(task, today) || task.overdue_notified) return { task, notification: null };
+    return {
+        task: store.update('tasks', task.id, { overdue_notified: true }),
+        notification: notifyAssignee(task, 'task_overdue', `Overdue since ${task.due_date}: ${task.title}`)
+    };
+}
+
+// Notify each assignee once about tasks that have passed their due date
+function notifyOverdueTasks() {
+    const today = localDate();
+    const due = store.all('tasks').filter(t => isOverdue(t, today) && !t.overdue_notified);
+    if (due.length === 0) return;
+
+    const notified = store.transaction(() => due.map(task => checkOverdue(task, today)));
+    notified.forEach(({ task }) => publishEvent('task.updated', taskView(task, today)));
+    // A batch of overdue tasks shares one notification per assignee
+    const latest = new Map(notified.filter(n => n.notification).map(n => [n.notification.id, n.notification]));
+    publishNotifications([...latest.values()]);
+}
+
+// Only the assignee or someone who assigns tasks may change a task's status
+function canUpdateTask(user, task) {
+    return task.assignee_id === user.id || hasPermission(user, 'assign_tasks');
+}
+
+// Get tasks, soonest due first, optionally for one assignee or status
+app.get('/api/tasks', validate(schemas.listTasks), (req, res) => {
+    const filter = {};
+    if (req.query.assignee_id) filter.assignee_id = req.query.assignee_id;
+    if (req.query.status) filter.status = req.query.status;
+
+    const today = localDate();
+    res.json(store.all('tasks', filter)
+        .sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id)
+        .map(t => taskView(t, today)));
+});
+
+// Turn a discussion, or one of its replies, into a task
+app.post('/api/discussions/:id/tasks', requirePermission('assign_tasks'), validate(schemas.createTask), (req, res) => {
+    const discussion = store.get('discussions', req.params.id);
+    if (!discussion) return res.status(404).json({ error: 'Discussion not found' });
+
+    const { title, assignee_id, due_date, reply_id } = req.body;
+    if (reply_id && !discussion.replies.some(r => r.id === reply_id)) {
+        return res.status(404).json({ error: 'Reply not found' });
+    }
+    if (!store.get('users', assignee_id)) {
+        return sendValidationError(res, new ValidationError({ assignee_id: 'is not a member' }));
+    }
+    if (!isCalendarDate(due_date)) {
+        return sendValidationError(res, new ValidationError({ due_date: 'must be a date (YYYY-MM-DD)' }));
+    }
+
+    const { created, notifications } = store.transaction(() => {
+        const inserted = store.insert('tasks', {
+            title,
+            discussion_id: discussion.id,
+            reply_id,
+            assignee_id,
+            due_date,
+            status: 'open',
+            overdue_notified: false,
+            created_by: req.user.name,
+            created_by_id: req.user.id,
+            created_at: new Date().toISOString(),
+            completed_at: null,
+            version: 1
+        });
+        const assigned = assignee_id === req.user.id
+            ? null
+            : notifyAssignee(inserted, 'task_assigned', `${req.user.name} assigned you a task: ${title}`, req.user);
+        const overdue = checkOverdue(inserted);
+        return { created: overdue.task, notifications: [assigned, overdue.notification].filter(Boolean) };
+    });
+
+    publishEvent('task.created', taskView(created));
+    publishNotifications(notifications);
+    res.status(201).json(taskView(created));
+});
+
+function taskChanges(task, status) {
+    return {
+        status,
+        completed_at: status === 'done' ? task.completed_at || new Date().toISOString() : null,
+        version: task.version + 1,
+        updated_at: new Date().toISOString()
+    };
+}
+
+// Update a task; reassigning notifies the new assignee and a new due date
+// can become overdue again
+app.put('/api/tasks/:id', requirePermission('assign_tasks'), validate(schemas.updateTask), (req, res) => {
+    const task = store.get('tasks', req.params.id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!checkIfMatch(req, res, task.version, taskView(task))) return;
+
+    const { title, assignee_id, due_date, status } = req.body;
+    if (!store.get('users', assignee_id)) {
+        return sendValidationError(res, new ValidationError({ assignee_id: 'is not a member' }));
+    }
+    if (!isCalendarDate(due_date)) {
+        return sendValidationError(res, new ValidationError({ due_date: 'must be a date (YYYY-MM-DD)' }));
+    }
+
+    const reassigned = assignee_id !== task.assignee_id && assignee_id !== req.user.id;
+    const { updated, notifications } = store.transaction(() => {
+        const saved = store.update('tasks', task.id, {
+            ...taskChanges(task, status),
+            title,
+            assignee_id,
+            due_date,
+            overdue_notified: task.overdue_notified && due_date === task.due_date && assignee_id === task.assignee_id
+        });
+        const assigned = reassigned ? notifyAssignee(saved, 'task_assigned', `${req.user.name} assigned you a task: ${title}`, req.user) : null;
+        const overdue = checkOverdue(saved);
+        return { updated: overdue.task, notifications: [assigned, overdue.notification].filter(Boolean) };
+    });
+
+    publishEvent('task.updated', taskView(updated));
+    publishNotifications(notifications);
+    res.set('ETag', etagFor(updated.version));
+    res.json(taskView(updated));
+});
+
+// Move a task along: open, in progress, done
+app.patch('/api/tasks/:id/status', validate(schemas.taskStatus), (req, res) => {
+    const task = store.get('tasks', req.params.id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!canUpdateTask(req.user, task)) {
+        return res.status(403).json({ error: 'Only the assignee can update this task' });
+    }
+    if (!checkIfMatch(req, res, task.version, taskView(task))) return;
+
+    // Reopening a task past its due date makes it overdue
+    const { task: updated, notification } = store.transaction(() =>
+        checkOverdue(store.update('tasks', task.id, taskChanges(task, req.body.status))));
+    publishEvent('task.updated', taskView(updated));
+    if (notification) publishNotifications([notification]);
+    res.set('ETag', etagFor(updated.version));
+    res.json(taskView(updated));
+});
+
+// Delete a task
+app.delete('/api/tasks/:id', requirePermission('assign_tasks'), validate(schemas.task), (req, res) => {
+    const task = store.get('tasks', req.params.id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    if (!checkIfMatch(req, res, task.version, taskView(task))) return;
+
+    store.remove('tasks', task.id);
+    publishEvent('task.deleted', { id: task.id });
     res.json({ success: true });
 });
 
+notifyOverdueTasks();
+setInterval(notifyOverdueTasks, TASK_CHECK_INTERVAL_MS).unref();
+
+// ========== EMAIL DIGESTS ==========
+// Members who turn on a daily or weekly digest get an email summarising
+// what they missed (see lib/digest.js), sent through the transport set in
+// MAIL_TRANSPORT (see lib/mail.js). An hourly check sends the ones that are
+// due; a digest that fails to send is retried on the next check.
+const MAIL_FROM = process.env.MAIL_FROM || 'Business Plan Review <noreply@localhost>';
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const DIGEST_HOUR = Number(process.env.DIGEST_HOUR || 8); // server time
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Digests are off when the transport can't be set up (e.g. smtp without nodemailer)
+let mailTransport = null;
+try {
+    mailTransport = createTransport();
+} catch (err) {
+    console.error(`Email digests are disabled: ${err.code === 'MODULE_NOT_FOUND' ? 'MAIL_TRANSPORT=smtp needs the nodemailer package' : err.message}`);
+}
+
+// The signed-in member's own account, with the settings only they see
+function ownAccount(user) {
+    return { ...publicUser(user), email: user.email || null, digest: user.digest || 'off' };
+}
+
+function unsubscribeUrl(user) {
+    return `${APP_URL}/api/unsubscribe?token=${user.unsubscribe_token}`;
+}
+
+// Where a member's digest comes from and links to
+function digestMail(user) {
+    return { transport: mailTransport, from: MAIL_FROM, links: { appUrl: APP_URL, unsubscribeUrl: unsubscribeUrl(user) } };
+}
+
+let digestRun = null;
+
+function sendDueDigests() {
+    if (!mailTransport || digestRun) return digestRun;
+    const now = new Date();
+    digestRun = (async () => {
+        for (const user of store.all('users').filter(u => digestDue(u, now, DIGEST_HOUR))) {
+            try {
+                await sendDigest(store, user, digestMail(user), { now });
+            } catch (err) {
+                console.error(`Digest for ${user.username} failed:`, err.message);
+            }
+        }
+    })().finally(() => {
+        digestRun = null;
+    });
+    return digestRun;
+}
+
+// Choose the digest address and how often it comes
+app.put('/api/me/digest', validate(schemas.updateDigest), (req, res) => {
+    const { email, digest } = req.body;
+    if (digest !== 'off' && !email) {
+        return sendValidationError(res, new ValidationError({ email: 'is required for a digest' }));
+    }
+
+    const user = store.update('users', req.user.id, { email, digest });
+    logSecurityEvent('DIGEST_SETTINGS_CHANGED', { username: user.username, digest }, req);
+    res.json(ownAccount(user));
+});
+
+// Send the digest right away, to check the address and what it looks like
+app.post('/api/me/digest/send', async (req, res, next) => {
+    if (!mailTransport) return res.status(503).json({ error: 'Email is not set up on this server' });
+    if (!req.user.email) {
+        return sendValidationError(res, new ValidationError({ email: 'is required for a digest' }));
+    }
+    try {
+        const user = { ...req.user, digest: req.user.digest === 'off' ? 'daily' : req.user.digest };
+        const sent = await sendDigest(store, user, digestMail(user), { record: false });
+        res.json({ success: true, sent });
+    } catch (err) {
+        console.error(`Digest for ${req.user.username} failed:`, err.message);
+        next(err);
+    }
+});
+
+function unsubscribePage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title></head>
+<body style="font-family: -apple-system, Segoe UI, sans-serif; max-width: 420px; margin: 15vh auto; padding: 0 1.5rem; color: #111827; line-height: 1.5;">
+<h1 style="font-size: 1.25rem;">${title}</h1>
+${body}
+</body></html>`;
+}
+
+// Unsubscribe from digests. GET only asks, so link scanners in mail
+// clients can't unsubscribe anyone; POST (the button, or the mail client's
+// one-click unsubscribe) turns the digest off.
+app.get('/api/unsubscribe', validate(schemas.unsubscribe), (req, res) => {
+    const user = store.find('users', { unsubscribe_token: req.query.token });
+    if (!user) return res.status(404).send(unsubscribePage('Link expired', '<p>This unsubscribe link is no longer valid.</p>'));
+    if (user.digest === 'off') {
+        return res.send(unsubscribePage('Unsubscribed', '<p>You don\'t get email digests.</p>'));
+    }
+    res.send(unsubscribePage('Unsubscribe', `
+<p>Stop sending the ${user.digest} business plan digest to ${Markdown.escapeHtml(user.email)}?</p>
+<form method="post" action="/api/unsubscribe?token=${user.unsubscribe_token}">
+<button type="submit" style="padding: 0.5rem 1rem; font: inherit; cursor: pointer;">Unsubscribe</button>
+</form>`));
+});
+
+app.post('/api/unsubscribe', validate(schemas.unsubscribe), (req, res) => {
+    const user = store.find('users', { unsubscribe_token: req.query.token });
+    if (!user) return res.status(404).send(unsubscribePage('Link expired', '<p>This unsubscribe link is no longer valid.</p>'));
+
+    if (user.digest !== 'off') {
+        store.update('users', user.id, { digest: 'off' });
+        logSecurityEvent('DIGEST_UNSUBSCRIBED', { username: user.username }, req);
+    }
+    res.send(unsubscribePage('Unsubscribed', '<p>You won\'t get any more digests. You can turn them back on from your account in the app.</p>'));
+});
+
+sendDueDigests();
+setInterval(sendDueDigests, DIGEST_CHECK_INTERVAL_MS).unref();
+
 // Get stats
 app.get('/api/stats', (req, res) => {
+    const discussions = store.all('discussions');
     const stats = {
-        totalSections: db.sections.length,
-        totalComments: db.discussions.filter(d => d.type === 'comment').length,
-        totalQuestions: db.discussions.filter(d => d.type === 'question').length,
-        resolved: db.discussions.filter(d => d.resolved).length,
-        pending: db.discussions.filter(d => !d.resolved).length,
-        franciscoItems: db.discussions.filter(d => d.author === 'Francisco').length,
-        wifeItems: db.discussions.filter(d => d.author === 'Wife').length
+        totalSections: store.all('sections').length,
+        totalComments: discussions.filter(d => d.type === 'comment').length,
+        totalQuestions: discussions.filter(d => d.type === 'question').length,
+        totalSuggestions: discussions.filter(d => d.type === 'suggestion').length,
+        resolved: discussions.filter(d => d.resolved).length,
+        pending: discussions.filter(d => !d.resolved).length,
+        // Discussions started per member, keyed by display name
+        itemsByMember: Object.fromEntries(store.all('users').map(u =>
+            [u.name, discussions.filter(d => d.author_id === u.id).length]))
     };
     res.json(stats);
 });
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { digestDue, digestSince, collectDigest, buildDigest, sendDigest } = require('../lib/digest');
+
+const user = { id: 1, name: 'Francisco', email: 'f@example.com', digest: 'daily', digest_sent_at: null };
+const links = { appUrl: 'https://plan.example.com', unsubscribeUrl: 'https://plan.example.com/api/unsubscribe?token=abc' };
+
+test('a digest is due at the hour, once per period, for members with an address', () => {
+    const morning = new Date(2026, 9, 19, 8, 30);
+    assert.equal(digestDue(user, morning), true);
+    assert.equal(digestDue(user, new Date(2026, 9, 19, 7, 59)), false);
+    assert.equal(digestDue({ ...user, digest: 'off' }, morning), false);
+    assert.equal(digestDue({ ...user, email: null }, morning), false);
+
+    // Sent late yesterday: today's still goes out at the hour
+    const sentLate = { ...user, digest_sent_at: new Date(2026, 9, 18, 23, 0).toISOString() };
+    assert.equal(digestDue(sentLate, morning), true);
+    assert.equal(digestDue({ ...sentLate, digest_sent_at: new Date(2026, 9, 19, 8, 0).toISOString() }, morning), false);
+
+    const weekly = { ...user, digest: 'weekly', digest_sent_at: new Date(2026, 9, 14, 8, 0).toISOString() };
+    assert.equal(digestDue(weekly, morning), false);
+    assert.equal(digestDue(weekly, new Date(2026, 9, 21, 8, 0)), true);
+});
+
+test('the window starts at the last digest, or one period back', () => {
+    const now = new Date(2026, 9, 19, 8, 0);
+    const sentAt = new Date(2026, 9, 18, 8, 0);
+    assert.equal(digestSince({ ...user, digest_sent_at: sentAt.toISOString() }, now).getTime(), sentAt.getTime());
+    assert.equal(now - digestSince({ ...user, digest: 'weekly' }, now), 7 * 24 * 60 * 60 * 1000);
+});
+
+test('collects unread notifications, new discussions and open questions from others', () => {
+    const since = new Date('2026-10-18T08:00:00Z');
+    const before = '2026-10-17T10:00:00Z';
+    const after = '2026-10-18T10:00:00Z';
+    const items = collectDigest(user, {
+        notifications: [
+            { id: 1, user_id: 1, read: false, created_at: after, message: 'Wife replied' },
+            { id: 2, user_id: 1, read: true, created_at: after, message: 'read already' },
+            { id: 3, user_id: 2, read: false, created_at: after, message: 'not mine' },
+            { id: 4, user_id: 1, read: false, created_at: before, message: 'old' }
+        ],
+        discussions: [
+            { id: 10, author_id: 2, type: 'comment', section_id: 1, created_at: after, resolved: false },
+            { id: 11, author_id: 1, type: 'comment', section_id: 1, created_at: after, resolved: false },
+            { id: 12, author_id: 2, type: 'question', section_id: 1, created_at: before, resolved: false },
+            { id: 13, author_id: 2, type: 'question', section_id: null, created_at: after, resolved: false },
+            { id: 14, author_id: 2, type: 'question', section_id: 1, created_at: after, resolved: true }
+        ],
+        sections: [{ id: 1, title: 'Market Focus' }]
+    }, since);
+
+    assert.deepEqual(items.notifications.map(n => n.id), [1]);
+    // New open questions are listed once, with the questions
+    assert.deepEqual(items.discussions.map(d => d.id), [10, 14]);
+    assert.deepEqual(items.questions.map(d => [d.id, d.section_title]), [[12, 'Market Focus'], [13, null]]);
+});
+
+test('nothing to report builds no email', () => {
+    assert.equal(buildDigest(user, { notifications: [], discussions: [], questions: [] }, links), null);
+});
+
+test('the email escapes member text and carries one-click unsubscribe headers', () => {
+    const digest = buildDigest(user, {
+        notifications: [{ message: 'Wife added a <b>comment</b>' }],
+        discussions: [],
+        questions: [{ type: 'question', author: 'Wife', section_title: 'Market Focus', text: 'Is <script> ok?' }]
+    }, links);
+
+    assert.equal(digest.subject, 'Business plan daily digest: 1 unread notification, 1 open question');
+    assert.match(digest.text, /- Question on Market Focus from Wife: Is <script> ok\?/);
+    assert.match(digest.text, /Unsubscribe: https:\/\/plan\.example\.com\/api\/unsubscribe\?token=abc/);
+    assert.doesNotMatch(digest.html, /<script>|<b>/);
+    assert.match(digest.html, /Is &lt;script&gt; ok\?/);
+    assert.deepEqual(digest.headers, {
+        'List-Unsubscribe': `<${links.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+});
+
+// A store holding one unread notification for the member, and a transport
+// that keeps what it is given
+function mailbox() {
+    const users = [{ ...user }];
+    const store = {
+        all: collection => ({
+            users,
+            notifications: [{ id: 1, user_id: 1, read: false, created_at: new Date().toISOString(), message: 'Wife replied' }],
+            discussions: [],
+            sections: []
+        })[collection],
+        update: (collection, id, changes) => Object.assign(users.find(u => u.id === id), changes)
+    };
+    const sent = [];
+    const mail = { transport: { send: async message => sent.push(message) }, from: 'plan@example.com', links };
+    return { store, users, sent, mail };
+}
+
+test('a scheduled digest records when it went out', async () => {
+    const { store, users, sent, mail } = mailbox();
+    const now = new Date();
+    assert.equal(await sendDigest(store, users[0], mail, { now }), true);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, user.email);
+    assert.equal(users[0].digest_sent_at, now.toISOString());
+});
+
+test('a test send leaves the period undelivered', async () => {
+    const { store, users, sent, mail } = mailbox();
+    const morning = new Date(2026, 9, 19, 8, 30);
+    assert.equal(await sendDigest(store, users[0], mail, { now: morning, record: false }), true);
+    assert.equal(sent.length, 1);
+    assert.equal(users[0].digest_sent_at, null);
+    assert.equal(digestDue(users[0], morning), true);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TITLE_MAX_LENGTH, splitSections, matchSections, previewImport, titleKey } = require('../lib/import');
+
+test('splits at the top heading level and keeps deeper headings in the content', () => {
+    const sections = splitSections('Preface\n\n# Vision\nBig.\n## Detail\nSmall.\n# Team\n```\n# not a heading\n```');
+    assert.deepEqual(sections, [
+        { title: 'Introduction', level: 1, content: 'Preface' },
+        { title: 'Vision', level: 1, content: 'Big.\n## Detail\nSmall.' },
+        { title: 'Team', level: 1, content: '```\n# not a heading\n```' }
+    ]);
+    assert.deepEqual(splitSections('no headings here'), []);
+});
+
+test('a split level makes deeper headings start sections too', () => {
+    const sections = splitSections('## Vision\n### Detail\ntext', 3);
+    assert.deepEqual(sections.map(s => [s.title, s.level]), [['Vision', 1], ['Detail', 2]]);
+});
+
+test('titles lose emphasis, escapes and their own numbering', () => {
+    const titles = splitSections([
+        '# 1. Executive Summary',
+        '# **2\\. Market Focus**',
+        '# 2.1 Segments',
+        '# 3) Team',
+        '# IV. Exit Strategy',
+        '# 2026 Goals'
+    ].join('\n')).map(s => s.title);
+    assert.deepEqual(titles, ['Executive Summary', 'Market Focus', 'Segments', 'Team', 'Exit Strategy', '2026 Goals']);
+});
+
+test('titles are cut to the length the editor accepts', () => {
+    const [section] = splitSections(`# ${'x'.repeat(TITLE_MAX_LENGTH + 50)}`);
+    assert.equal(section.title.length, TITLE_MAX_LENGTH);
+});
+
+test('titleKey ignores case, numbering and punctuation', () => {
+    assert.equal(titleKey('1. Market Focus'), titleKey('market focus'));
+    assert.equal(titleKey('Five-Year Success Metrics'), 'five year success metrics');
+    assert.notEqual(titleKey('2026 Goals'), titleKey('Goals'));
+});
+
+test('matches each existing section at most once', () => {
+    const existing = [{ id: 1, title: 'Vision' }, { id: 2, title: 'Team' }, { id: 3, title: 'Exit' }];
+    const { items, unmatched } = matchSections(
+        [{ title: 'vision' }, { title: '2. Vision' }, { title: 'Team' }],
+        existing
+    );
+    assert.deepEqual(items.map(item => item.existing && item.existing.id), [1, null, 2]);
+    assert.deepEqual(unmatched.map(s => s.id), [3]);
+});
+
+test('the preview says what changes and what each section takes along', () => {
+    const preview = previewImport(
+        [{ title: 'Vision', level: 1, content: 'New words' }, { title: 'Pricing', level: 1, content: 'Tiers' }],
+        [{ id: 1, title: 'Vision', level: 1, content: 'Old words' }, { id: 2, title: 'Exit', level: 1, content: '' }],
+        [{ id: 10, section_id: 1 }, { id: 11, section_id: 2 }, { id: 12, section_id: 2 }]
+    );
+    assert.deepEqual(preview.sections[0].match, { id: 1, title: 'Vision', changed: true, discussions: 1 });
+    assert.equal(preview.sections[1].match, null);
+    assert.deepEqual(preview.unmatched, [{ id: 2, title: 'Exit', discussions: 2 }]);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Markdown = require('../public/markdown');
+
+const { render, sanitize, escapeHtml } = Markdown;
+
+test('escapeHtml escapes the five HTML special characters', () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    assert.equal(escapeHtml(null), '');
+});
+
+test('renders blocks and inline formatting', () => {
+    assert.equal(render('# Plan'), '<h1>Plan</h1>');
+    assert.equal(render('**bold** and *em* and ~~gone~~ and `a < b`'),
+        '<p><strong>bold</strong> and <em>em</em> and <del>gone</del> and <code>a &lt; b</code></p>');
+    assert.equal(render('- [x] done\n- [ ] todo'),
+        '<ul>\n<li><input type="checkbox" disabled checked> done</li>\n<li><input type="checkbox" disabled> todo</li>\n</ul>');
+});
+
+test('link destinations may contain balanced parentheses', () => {
+    assert.equal(render('[x](http://en.wikipedia.org/wiki/Foo_(bar))'),
+        '<p><a href="http://en.wikipedia.org/wiki/Foo_(bar)" target="_blank" rel="noopener noreferrer">x</a></p>');
+    assert.equal(render('[x](/a_(b)_c "Title") after'), '<p><a href="/a_(b)_c" title="Title">x</a> after</p>');
+    assert.equal(render('[x](/a_(b'), '<p>[x](/a_(b</p>');
+});
+
+test('an image can be the label of a link', () => {
+    assert.equal(render('[![alt](https://example.com/logo.png)](https://example.com)'),
+        '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer"><img src="https://example.com/logo.png" alt="alt"></a></p>');
+});
+
+test('a link label does not produce links of its own', () => {
+    assert.equal(render('[see https://example.com](/about)'), '<p><a href="/about">see https://example.com</a></p>');
+});
+
+test('bracketed destinations keep their spaces', () => {
+    assert.equal(render('[a](</files/my plan.pdf>)'), '<p><a href="/files/my%20plan.pdf">a</a></p>');
+});
+
+test('raw HTML in markdown is shown as text', () => {
+    assert.equal(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(render('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+});
+
+test('script URLs never become links or images', () => {
+    for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', 'java\tscript:alert(1)', 'vbscript:msgbox', 'data:text/html,<script>alert(1)</script>']) {
+        const html = render(`[x](${url}) ![y](${url})`);
+        assert.doesNotMatch(html, /href=|src=/, url);
+    }
+    assert.doesNotMatch(render('[x](&#106;avascript:alert(1))'), /href=/);
+});
+
+test('images only load over http(s)', () => {
+    assert.equal(render('![a](/local.png)'), '<p><img alt="a"></p>');
+    assert.equal(render('![a](https://example.com/a.png)'), '<p><img src="https://example.com/a.png" alt="a"></p>');
+});
+
+test('link titles and labels cannot break out of their attribute', () => {
+    // The quotes stay inside the attribute values, escaped
+    assert.equal(render('[x](/a "t\\" onmouseover=\\"alert(1)") ![" onerror="alert(1)](https://e.com/a.png)'),
+        '<p><a href="/a" title="t&quot; onmouseover=&quot;alert(1)">x</a> ' +
+        '<img src="https://e.com/a.png" alt="&quot; onerror=&quot;alert(1)"></p>');
+});
+
+test('sanitize drops unknown tags, event handlers and dangerous elements', () => {
+    assert.equal(sanitize('<p onclick="alert(1)">hi</p>'), '<p>hi</p>');
+    assert.equal(sanitize('<iframe src="https://evil"></iframe>ok'), 'ok');
+    assert.equal(sanitize('<style>body{}</style><svg onload=alert(1)><b>x</b></svg>'), 'x');
+    assert.equal(sanitize('<!-- <script>alert(1)</script> -->done'), 'done');
+    assert.equal(sanitize('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<a href=" jav&#x09;ascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<input type="text" value="x">'), '');
+    assert.equal(sanitize('<code class="language-js" style="color:red">x</code>'), '<code class="language-js">x</code>');
+    assert.equal(sanitize('<code class="x onerror">x</code>'), '<code>x</code>');
+    assert.equal(sanitize('1 < 2 > 0'), '1 &lt; 2 &gt; 0');
+});
+
+test('external links open in a new tab without access to the opener', () => {
+    assert.equal(sanitize('<a href="https://example.com">x</a>'),
+        '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+    assert.equal(sanitize('<a href="#s1">x</a>'), '<a href="#s1">x</a>');
+});
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { migrations, runMigrations, LATEST_VERSION, MigrationError } = require('../lib/migrations');
+
+// A database from before schema versions: two sections, a discussion with a
+// reply and a notification, all referring to people by name
+function legacyData() {
+    return {
+        sections: [
+            { id: 2, title: 'Five-Year Success Metrics', content: 'Grow.', level: 3, updated_at: '2026-01-02T00:00:00.000Z' },
+            { id: 1, title: 'Executive Summary', content: 'We build things.', updated_at: '2026-01-01T00:00:00.000Z' }
+        ],
+        discussions: [
+            {
+                id: 1,
+                section_id: 1,
+                type: 'question',
+                text: 'Why now?',
+                author: 'Wife',
+                resolved: 0,
+                replies: [{ id: 1, text: 'Because.', author: 'Accountant' }],
+                created_at: '2026-01-03T00:00:00.000Z'
+            }
+        ],
+        notifications: [{ id: 1, user: 'Francisco', type: 'question', message: 'Wife added a question' }],
+        sessions: [{ token_hash: 'abc' }],
+        nextId: { section: 3, discussion: 2, notification: 2 }
+    };
+}
+
+// Apply the migrations up to and including version, as runMigrations would
+function migrateTo(version, data = legacyData()) {
+    migrations.filter(m => m.version <= version).forEach(m => m.up(data));
+    return data;
+}
+
+function migration(version) {
+    return migrations.find(m => m.version === version);
+}
+
+function memoryStore(data) {
+    const store = {
+        data: structuredClone(data),
+        backups: [],
+        exportData: () => structuredClone(store.data),
+        importData: imported => {
+            store.data = structuredClone(imported);
+        },
+        // Keeps what the data looked like when the snapshot was taken
+        backup: () => store.backups.push(structuredClone(store.data))
+    };
+    return store;
+}
+
+test('versions run from 1 without gaps and have unique names', () => {
+    assert.deepEqual(migrations.map(m => m.version), migrations.map((_, i) => i + 1));
+    assert.equal(LATEST_VERSION, migrations.length);
+    assert.equal(new Set(migrations.map(m => m.name)).size, migrations.length);
+});
+
+test('every step validates after running on legacy data', () => {
+    const data = legacyData();
+    for (const m of migrations) {
+        m.up(data);
+        assert.deepEqual(m.validate(data), [], `${m.version} ${m.name}`);
+    }
+});
+
+test('every step leaves data it already migrated alone', () => {
+    for (const m of migrations) {
+        const data = migrateTo(m.version);
+        const before = structuredClone(data);
+        m.up(data);
+        assert.deepEqual(data, before, `${m.version} ${m.name}`);
+    }
+});
+
+test('1: records the current wording as revision 1', () => {
+    const data = migrateTo(1);
+    assert.deepEqual(data.revisions.map(r => [r.section_id, r.number, r.content]),
+        [[2, 1, 'Grow.'], [1, 1, 'We build things.']]);
+    assert.ok(data.sections.every(s => s.revision === 1));
+    assert.equal(data.nextId.revision, 3);
+
+    // Sections that already have history keep their latest number
+    const withHistory = legacyData();
+    withHistory.revisions = [{ id: 7, section_id: 1, number: 4, title: 'x', content: 'x' }];
+    migration(1).up(withHistory);
+    assert.equal(withHistory.sections.find(s => s.id === 1).revision, 4);
+    assert.equal(withHistory.revisions.find(r => r.section_id === 2).id, 8);
+});
+
+test('2 and 3: discussion versions and defaults', () => {
+    const data = migrateTo(3);
+    const [discussion] = data.discussions;
+    assert.equal(discussion.version, 1);
+    assert.equal(discussion.resolved, false);
+    assert.equal(discussion.resolved_by, null);
+    assert.equal(data.notifications[0].read, false);
+
+    const broken = migrateTo(3);
+    broken.discussions[0].replies = null;
+    assert.deepEqual(migration(3).validate(broken), ['discussion replies must be an array (id 1)']);
+});
+
+test('4: creates an account for everyone named and links records to it', () => {
+    const data = migrateTo(4);
+    assert.deepEqual(data.users.map(u => [u.username, u.name, u.password_hash]),
+        [['francisco', 'Francisco', null], ['wife', 'Wife', null], ['accountant', 'Accountant', null]]);
+    const idOf = name => data.users.find(u => u.name === name).id;
+    assert.equal(data.discussions[0].author_id, idOf('Wife'));
+    assert.equal(data.discussions[0].replies[0].author_id, idOf('Accountant'));
+    assert.equal(data.notifications[0].user_id, idOf('Francisco'));
+    assert.equal('user' in data.notifications[0], false);
+    assert.deepEqual(data.sessions, []);
+    assert.equal(data.nextId.user, 4);
+});
+
+test('5: existing members become owners', () => {
+    const data = migrateTo(5);
+    assert.ok(data.users.every(u => u.role === 'owner'));
+    data.users.forEach(u => { u.role = 'advisor'; });
+    assert.deepEqual(migration(5).validate(data), ['at least one user must be an owner']);
+});
+
+test('6: positions follow ids and levels nest under the section before', () => {
+    const data = migrateTo(6);
+    assert.deepEqual(data.sections.map(s => [s.id, s.position, s.level]), [[1, 0, 1], [2, 1, 2]]);
+});
+
+test('7 and 8: the financial model and scenarios start from the plan figures', () => {
+    const data = migrateTo(8);
+    assert.equal(data.assumptions.find(a => a.key === 'gross_margin').section_id, 2);
+    assert.equal(data.assumptions.find(a => a.key === 'initial_investment').section_id, null);
+    assert.deepEqual(data.products.map(p => p.launch_month), [6, 18, 30]);
+    assert.deepEqual(data.scenarios.map(s => s.name), ['Base', 'Conservative', 'Aggressive']);
+    assert.equal(data.scenarios[1].overrides.products[2].launch_month, 21);
+    assert.equal(data.discussions[0].scenario_id, null);
+});
+
+test('9, 10 and 11: approvals, decisions and tasks start empty', () => {
+    const data = migrateTo(11);
+    assert.ok(data.sections.every(s => s.status === 'draft'));
+    assert.deepEqual([data.approvals, data.decisions, data.tasks], [[], [], []]);
+
+    data.tasks.push({ id: 1, status: 'open', assignee_id: 99, discussion_id: null });
+    assert.deepEqual(migration(11).validate(data), ['task assignee must be a member (id 1)']);
+});
+
+test('12: digests start off, each account with its own unsubscribe token', () => {
+    const data = migrateTo(12);
+    assert.ok(data.users.every(u => u.email === null && u.digest === 'off' && u.digest_sent_at === null));
+    const tokens = data.users.map(u => u.unsubscribe_token);
+    assert.ok(tokens.every(t => /^[a-f0-9]{64}$/.test(t)));
+    assert.equal(new Set(tokens).size, tokens.length);
+
+    data.users[0].digest = 'daily';
+    assert.deepEqual(migration(12).validate(data), ['a digest needs an email address (id 1)']);
+});
+
+test('13: nothing is muted, and muted sections must exist', () => {
+    const data = migrateTo(13);
+    assert.ok(data.users.every(u => u.notification_preferences.muted_types.length === 0 &&
+        u.notification_preferences.muted_sections.length === 0));
+
+    data.users[0].notification_preferences.muted_sections = [99];
+    assert.deepEqual(migration(13).validate(data), ['muted sections must exist (id 1)']);
+});
+
+test('runMigrations applies every pending step once, after a backup', () => {
+    const store = memoryStore(legacyData());
+    const result = runMigrations(store);
+
+    assert.equal(result.from, 0);
+    assert.equal(result.to, LATEST_VERSION);
+    assert.deepEqual(result.applied.map(m => m.version), migrations.map(m => m.version));
+    assert.deepEqual(result.applied[0].changes, { sections: 2, revisions: 2 });
+    assert.deepEqual(store.backups, [legacyData()]);
+    assert.equal(store.data.schemaVersion, LATEST_VERSION);
+
+    const again = runMigrations(store);
+    assert.deepEqual(again, { from: LATEST_VERSION, to: LATEST_VERSION, applied: [] });
+    assert.equal(store.backups.length, 1);
+});
+
+test('a dry run reports the changes without writing', () => {
+    const store = memoryStore(legacyData());
+    const result = runMigrations(store, { dryRun: true });
+    assert.equal(result.to, LATEST_VERSION);
+    assert.deepEqual(store.data, legacyData());
+    assert.deepEqual(store.backups, []);
+});
+
+test('a step that fails validation stops the run and leaves the data alone', () => {
+    const data = legacyData();
+    data.discussions[0].scenario_id = 42;
+    const store = memoryStore(data);
+
+    assert.throws(() => runMigrations(store), err => {
+        assert.ok(err instanceof MigrationError);
+        assert.deepEqual(err.problems, ['discussion scenario must exist (id 1)']);
+        assert.match(err.message, /^Migration 8 \(model-scenarios\) failed validation/);
+        return true;
+    });
+    assert.deepEqual(store.data, data);
+    assert.deepEqual(store.backups, []);
+});
+
+test('refuses a database from a newer version', () => {
+    const store = memoryStore({ ...legacyData(), schemaVersion: LATEST_VERSION + 1 });
+    assert.throws(() => runMigrations(store), /newer than this app supports/);
+});
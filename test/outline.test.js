@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Outline = require('../public/outline');
+
+const sections = [
+    { id: 1, level: 1 },
+    { id: 2, level: 2 },
+    { id: 3, level: 3 },
+    { id: 4, level: 1 }
+];
+
+test('a section can go at most one level below the one before it', () => {
+    assert.equal(Outline.maxLevelAt(sections, 0), 1);
+    assert.equal(Outline.maxLevelAt(sections, 1), 2);
+    assert.equal(Outline.maxLevelAt(sections, 3), 4);
+    assert.equal(Outline.maxLevelAt(sections, sections.length), 2);
+});
+
+test('the limit follows the normalized outline and stops at MAX_LEVEL', () => {
+    // Section 3 is left too deep after its parent moved away
+    assert.equal(Outline.maxLevelAt([{ id: 1, level: 1 }, { id: 3, level: 3 }], 2), 3);
+
+    const deep = Array.from({ length: Outline.MAX_LEVEL }, (_, i) => ({ id: i + 1, level: i + 1 }));
+    assert.equal(Outline.maxLevelAt(deep, deep.length), Outline.MAX_LEVEL);
+});
+
+test('normalizeLevels pulls sections up to fit under the one before', () => {
+    const levels = Outline.normalizeLevels([{ id: 1, level: 2 }, { id: 2, level: 4 }, { id: 3, level: 2 }])
+        .map(s => s.level);
+    assert.deepEqual(levels, [1, 2, 2]);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, sendValidationError, ValidationError } = require('../lib/validation');
+
+// Run the middleware on a fake request; returns the cleaned request or the 400 answer
+function run(schema, req) {
+    const request = { params: {}, query: {}, body: {}, ...req };
+    let answer = null;
+    let passed = false;
+    const res = {
+        status(code) {
+            answer = { status: code };
+            return this;
+        },
+        json(body) {
+            answer.body = body;
+            return this;
+        }
+    };
+    validate(schema)(request, res, () => {
+        passed = true;
+    });
+    return passed ? { req: request } : { error: answer };
+}
+
+test('converts params and query strings to their declared types', () => {
+    const { req } = run({
+        params: { id: { type: 'integer', required: true, min: 1 } },
+        query: { encrypted: { type: 'boolean', default: false }, limit: { type: 'number' } }
+    }, { params: { id: '12' }, query: { encrypted: 'true', limit: '2.5' } });
+
+    assert.deepEqual(req.params, { id: 12 });
+    assert.deepEqual(req.query, { encrypted: true, limit: 2.5 });
+});
+
+test('does not convert body values', () => {
+    const { error } = run({ body: { count: { type: 'integer' } } }, { body: { count: '3' } });
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.body.fields, { count: 'must be an integer' });
+});
+
+test('drops fields the schema does not name', () => {
+    const { req } = run({ body: { text: { type: 'string' } } }, { body: { text: 'hi', role: 'owner' }, query: { x: '1' } });
+    assert.deepEqual(req.body, { text: 'hi' });
+    assert.deepEqual(req.query, {});
+});
+
+test('required, nullable and default', () => {
+    const schema = {
+        body: {
+            title: { type: 'string', required: true },
+            section_id: { type: 'integer', nullable: true, default: null },
+            note: { type: 'string' }
+        }
+    };
+    assert.deepEqual(run(schema, { body: { title: 'A' } }).req.body, { title: 'A', section_id: null });
+    assert.deepEqual(run(schema, { body: {} }).error.body.fields, { title: 'is required' });
+    assert.deepEqual(run(schema, { body: { title: null } }).error.body.fields, { title: 'is required' });
+    assert.deepEqual(run(schema, { body: { title: 'A', note: null } }).error.body.fields, { note: 'must not be null' });
+});
+
+test('trims and lowercases strings before checking them', () => {
+    const schema = { body: { username: { type: 'string', trim: true, lowercase: true, min: 1 } } };
+    assert.deepEqual(run(schema, { body: { username: '  Wife ' } }).req.body, { username: 'wife' });
+    assert.deepEqual(run(schema, { body: { username: '   ' } }).error.body.fields, { username: 'must not be empty' });
+});
+
+test('bounds apply to string length, numbers and array length', () => {
+    const schema = {
+        body: {
+            text: { type: 'string', max: 3 },
+            level: { type: 'integer', min: 1, max: 6 },
+            options: { type: 'array', min: 2 }
+        }
+    };
+    const { error } = run(schema, { body: { text: 'long', level: 7, options: ['a'] } });
+    assert.deepEqual(error.body.fields, {
+        text: 'must be at most 3 characters',
+        level: 'must be at most 6',
+        options: 'must be at least 2 items'
+    });
+});
+
+test('oneOf and pattern, with a custom pattern message', () => {
+    const schema = {
+        body: {
+            type: { type: 'string', oneOf: ['comment', 'question'] },
+            due: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'must be a date' },
+            code: { type: 'string', pattern: /^[a-z]+$/ }
+        }
+    };
+    const { error } = run(schema, { body: { type: 'rant', due: 'soon', code: 'A1' } });
+    assert.deepEqual(error.body.fields, {
+        type: 'must be one of: comment, question',
+        due: 'must be a date',
+        code: 'has an invalid format'
+    });
+});
+
+test('checks nested objects and array items by path', () => {
+    const schema = {
+        body: {
+            anchor: { type: 'object', fields: { start: { type: 'integer', required: true, min: 0 } } },
+            decided_by: { type: 'array', items: { type: 'integer', min: 1 } }
+        }
+    };
+    assert.deepEqual(run(schema, { body: { anchor: { start: 4, extra: true }, decided_by: [1, 2] } }).req.body,
+        { anchor: { start: 4 }, decided_by: [1, 2] });
+
+    const { error } = run(schema, { body: { anchor: { start: -1 }, decided_by: [1, 'two'] } });
+    assert.deepEqual(error.body.fields, {
+        'anchor.start': 'must be at least 0',
+        'decided_by[1]': 'must be an integer'
+    });
+});
+
+test('rejects arrays where objects are expected', () => {
+    const { error } = run({ body: { overrides: { type: 'object' } } }, { body: { overrides: [] } });
+    assert.deepEqual(error.body.fields, { overrides: 'must be an object' });
+});
+
+test('ValidationError names the first field in its message', () => {
+    const err = new ValidationError({ email: 'is required for a digest', digest: 'is wrong' });
+    assert.equal(err.message, 'email is required for a digest');
+    assert.equal(err.name, 'ValidationError');
+
+    let answer;
+    sendValidationError({ status: code => ({ json: body => { answer = { code, body }; } }) }, err);
+    assert.deepEqual(answer, { code: 400, body: { error: err.message, fields: err.fields } });
+});